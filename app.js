@@ -4,23 +4,79 @@
   const CONFIG = {
     deliveroo: {
       API_BASE: 'https://careers.deliveroo.co.uk/wp-json/wp/v2',
-      INDIA_LOCATION_ID: 411,
+      MAX_PAGES: 20,
     },
-    STATIC_DATA_URL: 'data/jobs.json',
+    REGISTRY_URL: 'config/companies.json',
+    REGIONS_URL: 'config/regions.json',
+    PUSH_CONFIG_URL: 'config/push.json',
+    SYNC_CONFIG_URL: 'config/sync.json',
+    REGISTRY_KEY: 'job_radar_registry',
+    REGIONS_KEY: 'job_radar_regions',
+    REGION_KEY: 'job_radar_region',
     CACHE_KEY: 'job_radar_cache',
     SEEN_KEY: 'job_radar_seen_ids',
+    DISMISSED_KEY: 'job_radar_dismissed',
+    STARRED_KEY: 'job_radar_starred',
     TEAMS_CACHE_KEY: 'deliveroo_teams_map',
+    SHOW_CLOSED_KEY: 'job_radar_show_closed',
+    SAVED_SEARCHES_KEY: 'job_radar_saved_searches',
+    REMIND_DAYS_KEY: 'job_radar_referral_remind_days',
+    REMINDED_KEY: 'job_radar_referral_reminded',
+    SYNC_KEY: 'job_radar_sync',
+    SYNC_QUEUE_KEY: 'job_radar_sync_queue',
+    SYNC_TEAM_KEY: 'job_radar_sync_team',
+    SYNC_DELAY_MS: 2000,
+    // Well under the sync server's MAX_CHANGES and MAX_BODY_BYTES
+    SYNC_BATCH_SIZE: 1000,
+    SYNC_BATCH_BYTES: 512 * 1024,
+    // Mirrors service-worker.js
+    BACKGROUND_TAG: 'refresh-jobs',
+    BACKGROUND_STATE_CACHE: 'job-radar-state',
+    BACKGROUND_STATE_URL: 'background-state.json',
+    BACKGROUND_INTERVAL_MS: 2 * 3600 * 1000,
+    FOCUS_REFRESH_MS: 15 * 60 * 1000,
+    DB_NAME: 'job_radar',
     PULL_THRESHOLD: 80,
+    SWIPE_THRESHOLD: 80,
+    UNDO_MS: 6000,
   };
 
   // ─── DOM helpers ───
   const $ = (sel, ctx) => (ctx || document).querySelector(sel);
   const $$ = (sel, ctx) => [...(ctx || document).querySelectorAll(sel)];
 
+  function downloadFile(name, content, type) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([content], { type }));
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+
   const dom = {
     refreshBtn: $('#refresh-btn'),
+    header: $('.header'),
+    regionSelect: $('#region-select'),
     pullIndicator: $('#pull-indicator'),
+    main: $('#main-content'),
+    sourceStatus: $('.source-status'),
+    trackerDialog: $('#tracker-dialog'),
+    pushBtn: $('#push-btn'),
+    pushDialog: $('#push-dialog'),
+    searchDialog: $('#search-dialog'),
+    contactsBtn: $('#contacts-btn'),
+    contactsDialog: $('#contacts-dialog'),
+    referralDialog: $('#referral-dialog'),
+    detailDialog: $('#detail-dialog'),
+    triageHelp: $('#triage-help'),
+    settingsBtn: $('#settings-btn'),
+    settingsDialog: $('#settings-dialog'),
+    triageToast: $('#triage-toast'),
+    insightsBtn: $('#insights-btn'),
+    insightsDialog: $('#insights-dialog'),
+    toolbar: $('#toolbar'),
     template: $('#job-card-template'),
+    sectionTemplate: $('#section-template'),
   };
 
   // ─── Cache ───
@@ -33,10 +89,330 @@
       try { localStorage.setItem(key, JSON.stringify(val)); }
       catch { /* full or unavailable */ }
     },
-    getSeenIds() { return new Set(this.get(CONFIG.SEEN_KEY) || []); },
-    updateSeenIds(ids) { this.set(CONFIG.SEEN_KEY, [...ids]); },
+    remove(key) {
+      try { localStorage.removeItem(key); }
+      catch { /* unavailable */ }
+    },
+    getSeenIds() { return new Set(this.get(Region.storageKey(CONFIG.SEEN_KEY)) || []); },
+    updateSeenIds(ids) { this.set(Region.storageKey(CONFIG.SEEN_KEY), [...ids]); },
+    // Dismissed jobs map `section:id` to the posted date they were dismissed at
+    getDismissed() { return this.get(Region.storageKey(CONFIG.DISMISSED_KEY)) || {}; },
+    setDismissed(map) { this.set(Region.storageKey(CONFIG.DISMISSED_KEY), map); },
+    getStarred() { return new Set(this.get(Region.storageKey(CONFIG.STARRED_KEY)) || []); },
+    updateStarred(keys) { this.set(Region.storageKey(CONFIG.STARRED_KEY), [...keys]); },
+  };
+
+  // ─── Regions (config/regions.json) ───
+  // Mirrors scripts/lib/regions.js. The picked region decides which data/
+  // directory is read, how salaries are written and where live sources and
+  // LinkedIn searches look. India, the default, keeps the original data
+  // paths and storage keys; other regions get their own.
+  const DEFAULT_REGION = {
+    key: 'india',
+    name: 'India',
+    countries: ['India', 'IN'],
+    cities: [],
+    salary: { symbol: '₹', unit: 'LPA', minimum: 50, steps: [50, 75, 100] },
+    sources: {
+      'deliveroo-wp': { locationId: 411 },
+      'linkedin-guest': { location: 'India', geoId: '102713980' },
+    },
+  };
+
+  const Region = {
+    regions: [DEFAULT_REGION],
+    defaultKey: DEFAULT_REGION.key,
+    current: DEFAULT_REGION,
+
+    async load() {
+      let config = null;
+      try {
+        const res = await fetch(CONFIG.REGIONS_URL);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        config = await res.json();
+        Cache.set(CONFIG.REGIONS_KEY, config);
+      } catch (err) {
+        console.warn('Regions fetch failed, using cached copy:', err);
+        config = Cache.get(CONFIG.REGIONS_KEY);
+      }
+      if (!config || !Array.isArray(config.regions) || !config.regions.length) return;
+      this.regions = config.regions;
+      this.defaultKey = config.default;
+      const picked = Cache.get(CONFIG.REGION_KEY);
+      this.current = this.regions.find((r) => r.key === picked)
+        || this.regions.find((r) => r.key === config.default)
+        || this.regions[0];
+    },
+
+    get isDefault() { return this.current.key === this.defaultKey; },
+
+    // Switching reloads: every section, cache and seen set is per region
+    select(key) {
+      Cache.set(CONFIG.REGION_KEY, key);
+      location.reload();
+    },
+
+    // data/<file> for the default region, data/regions/<key>/<file> otherwise
+    dataUrl(file) {
+      return this.isDefault ? `data/${file}` : `data/regions/${this.current.key}/${file}`;
+    },
+
+    storageKey(base) {
+      return this.isDefault ? base : `${base}_${this.current.key}`;
+    },
+
+    source(type) { return this.current.sources?.[type] || {}; },
+
+    // Salary amounts as scripts/lib/regions.js writes them: bare LPA
+    // ("50+ LPA"), thousands with their symbol ("£90k+")
+    amount(value) {
+      const { unit, symbol } = this.current.salary;
+      return unit === 'LPA' ? `${value} LPA` : `${symbol}${value}k`;
+    },
+    atLeast(value) {
+      const { unit, symbol } = this.current.salary;
+      return unit === 'LPA' ? `${value}+ LPA` : `${symbol}${value}k+`;
+    },
+    // ...and as shown: "₹22–41 LPA", "£95–120k"
+    display(text) {
+      const { unit, symbol } = this.current.salary;
+      return unit === 'LPA' ? `${symbol}${text}` : text;
+    },
+
+    // A registry entry with the region's source parameters and {placeholders}
+    // filled, as scripts/lib/regions.js applyRegion() does for the fetcher
+    apply(company) {
+      const region = this.current;
+      const { regions: overrides, ...base } = company;
+      const own = (overrides && overrides[region.key]) || {};
+      const source = { ...region.sources?.[company.source?.type], ...company.source, ...own.source };
+      const vars = { ...source, region: region.name, minSalary: this.atLeast(region.salary.minimum) };
+      const fill = (template, encode = (v) => v) => template.replace(
+        /\{(\w+)\}/g, (match, name) => (vars[name] != null ? encode(String(vars[name])) : match)
+      );
+      const entry = { ...base, ...own, source };
+      if (entry.careersUrl) entry.careersUrl = fill(entry.careersUrl, encodeURIComponent);
+      ['heading', 'targetRole'].forEach((field) => {
+        if (entry[field]) entry[field] = fill(entry[field]);
+      });
+      return entry;
+    },
+  };
+
+  // Header region picker; hidden while there's only one region
+  const RegionPicker = {
+    init() {
+      const { name } = Region.current;
+      $('.subtitle', dom.header).textContent = name;
+      document.title = `Job Radar — ${name}`;
+      const select = dom.regionSelect;
+      Region.regions.forEach((r) => select.add(new Option(r.name, r.key)));
+      select.value = Region.current.key;
+      select.hidden = Region.regions.length < 2;
+      select.addEventListener('change', () => Region.select(select.value));
+    },
+  };
+
+  // ─── Data schemas ───
+  // Mirror config/schemas/. jobs.json and the local job cache carry a
+  // schemaVersion (none = 0, from before versioning). Old caches are migrated
+  // step by step, newer or unreadable ones discarded, and jobs without an id
+  // or title are dropped rather than rendered as broken cards.
+  const JOBS_SCHEMA_VERSION = 1;
+  const CACHE_SCHEMA_VERSION = 1;
+  const STATS_SCHEMA_VERSION = 1;
+
+  const isJob = (job) => !!job && ['string', 'number'].includes(typeof job.id)
+    && typeof job.title === 'string' && job.title !== '';
+  const validJobs = (list) => (Array.isArray(list) ? list.filter(isJob) : []);
+
+  // Version v → v + 1
+  const CACHE_MIGRATIONS = {
+    // Unversioned caches were the sections map itself
+    0: (cached) => ({ sections: cached }),
+  };
+
+  // localStorage job cache: { schemaVersion, sections: { key: { jobs, closed, health, timestamp } } }
+  const JobCache = {
+    load() {
+      let cached = Cache.get(Region.storageKey(CONFIG.CACHE_KEY));
+      if (!cached || typeof cached !== 'object' || Array.isArray(cached)) return {};
+      let version = cached.schemaVersion || 0;
+      if (version > CACHE_SCHEMA_VERSION) return this.discard(`schema version ${version}`);
+      for (; version < CACHE_SCHEMA_VERSION; version++) cached = CACHE_MIGRATIONS[version](cached);
+
+      const sections = {};
+      for (const [key, data] of Object.entries(cached.sections || {})) {
+        if (!data || typeof data !== 'object') continue;
+        sections[key] = {
+          ...data,
+          jobs: validJobs(data.jobs),
+          closed: validJobs(data.closed),
+          timestamp: Number(data.timestamp) || 0,
+        };
+      }
+      return sections;
+    },
+
+    save(sections) {
+      Cache.set(Region.storageKey(CONFIG.CACHE_KEY), { schemaVersion: CACHE_SCHEMA_VERSION, sections });
+    },
+
+    discard(reason) {
+      console.warn(`Discarding cached jobs (${reason})`);
+      Cache.remove(Region.storageKey(CONFIG.CACHE_KEY));
+      return {};
+    },
+  };
+
+  // Throws on a jobs.json this app can't read. A newer schema means a newer
+  // app has been deployed, so the service worker is asked to fetch it.
+  function checkJobsData(data) {
+    if (!data || typeof data.companies !== 'object' || !data.companies) {
+      throw new Error('Malformed jobs.json');
+    }
+    const version = data.schemaVersion || 0;
+    if (version > JOBS_SCHEMA_VERSION) {
+      navigator.serviceWorker?.getRegistration().then((reg) => reg?.update());
+      throw new Error(`jobs.json is schema version ${version}; this app reads up to ${JOBS_SCHEMA_VERSION}`);
+    }
+    // Version 0 differs only in fields the app already treats as optional
+    return data;
+  }
+
+  // data/stats.json has no version 0: it was versioned from the start
+  function checkStatsData(data) {
+    if (!data || typeof data.total !== 'object' || !Array.isArray(data.days)) {
+      throw new Error('Malformed stats.json');
+    }
+    if (data.schemaVersion > STATS_SCHEMA_VERSION) {
+      navigator.serviceWorker?.getRegistration().then((reg) => reg?.update());
+      throw new Error(`stats.json is schema version ${data.schemaVersion}; this app reads up to ${STATS_SCHEMA_VERSION}`);
+    }
+    return data;
+  }
+
+  // Sections where "show recently closed" is switched on, per region
+  const ShowClosed = {
+    has(company) { return (Cache.get(Region.storageKey(CONFIG.SHOW_CLOSED_KEY)) || []).includes(company); },
+    toggle(company) {
+      const storageKey = Region.storageKey(CONFIG.SHOW_CLOSED_KEY);
+      const keys = new Set(Cache.get(storageKey) || []);
+      if (keys.has(company)) keys.delete(company); else keys.add(company);
+      Cache.set(storageKey, [...keys]);
+      return keys.has(company);
+    },
+  };
+
+  // ─── IndexedDB ───
+  // For state that must outlive the job cache (which App.refresh() rewrites).
+  const DB_VERSION = 2;
+
+  const LocalDB = {
+    dbPromise: null,
+
+    open() {
+      if (!this.dbPromise) {
+        this.dbPromise = new Promise((resolve, reject) => {
+          const req = indexedDB.open(CONFIG.DB_NAME, DB_VERSION);
+          req.onupgradeneeded = (e) => {
+            const db = req.result;
+            if (e.oldVersion < 1) db.createObjectStore('applications', { keyPath: 'key' });
+            if (e.oldVersion < 2) db.createObjectStore('contacts', { keyPath: 'id' });
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+        });
+      }
+      return this.dbPromise;
+    },
+
+    // Runs `fn(store)` in a transaction; resolves with the request's result
+    async run(storeName, mode, fn) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req && req.result);
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+
+    getAll(storeName) { return this.run(storeName, 'readonly', (s) => s.getAll()); },
+    put(storeName, value) { return this.run(storeName, 'readwrite', (s) => s.put(value)); },
+    putAll(storeName, values) { return this.run(storeName, 'readwrite', (s) => values.forEach((v) => s.put(v))); },
+    delete(storeName, key) { return this.run(storeName, 'readwrite', (s) => s.delete(key)); },
+    clear(storeName) { return this.run(storeName, 'readwrite', (s) => s.clear()); },
+  };
+
+  // ─── Application Tracker ───
+  // Per-job pipeline status with notes and dated history. Records snapshot the
+  // job so tracked roles stay listed after they drop out of data/jobs.json,
+  // and list the contacts asked for a referral (see Referrals).
+  const TRACKER_STATUSES = [
+    { id: 'interested', label: 'Interested' },
+    { id: 'applied', label: 'Applied' },
+    { id: 'referral', label: 'Referral requested' },
+    { id: 'interviewing', label: 'Interviewing' },
+    { id: 'offer', label: 'Offer' },
+    { id: 'rejected', label: 'Rejected' },
+  ];
+
+  const Tracker = {
+    records: new Map(),
+
+    async load() {
+      try {
+        const all = await LocalDB.getAll('applications');
+        this.records = new Map(all.map((r) => [r.key, r]));
+      } catch (err) {
+        console.warn('Application tracker unavailable:', err);
+      }
+    },
+
+    keyFor(company, job) { return `${company}:${job.id}`; },
+    get(company, job) { return this.records.get(this.keyFor(company, job)); },
+
+    async save(company, job, { status, date, notes, referrals }) {
+      const key = this.keyFor(company, job);
+      const prev = this.records.get(key);
+      const now = new Date().toISOString();
+      const last = prev?.history[prev.history.length - 1];
+      const history = [...(prev?.history || [])];
+      if (!last || last.status !== status || last.date !== date) history.push({ status, date });
+
+      const record = {
+        key,
+        section: company,
+        job: {
+          id: job.id, title: job.title, url: job.url || job.link, location: job.location,
+          department: job.department, team: job.team, postedDate: job.postedDate, salaryRange: job.salaryRange,
+          details: job.details,
+        },
+        status,
+        notes,
+        history,
+        referrals: referrals || prev?.referrals || [],
+        createdAt: prev?.createdAt || now,
+        updatedAt: now,
+      };
+      await LocalDB.put('applications', record);
+      this.records.set(key, record);
+      Sync.record('applications', key, record, { updatedAt: now });
+      return record;
+    },
+
+    async remove(key) {
+      await LocalDB.delete('applications', key);
+      this.records.delete(key);
+      Sync.record('applications', key, null, { deleted: true });
+    },
   };
 
+  function statusLabel(id) {
+    return TRACKER_STATUSES.find((s) => s.id === id)?.label || id;
+  }
+
   // ─── Utilities ───
   function decodeHTML(html) {
     const t = document.createElement('textarea');
@@ -50,6 +426,12 @@
     }).format(date);
   }
 
+  // "2026-08-17" → "17 Aug"
+  function formatDay(isoDate) {
+    return new Intl.DateTimeFormat('en-IN', { day: 'numeric', month: 'short', timeZone: 'UTC' })
+      .format(new Date(isoDate));
+  }
+
   const COMPANY_DOMAINS = {
     'deliveroo': 'deliveroo.co.uk',
     'salesforce': 'salesforce.com',
@@ -215,6 +597,19 @@
     return `https://www.google.com/s2/favicons?domain=${domain}&sz=64`;
   }
 
+  function formatAge(timestamp) {
+    const mins = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+    if (mins < 60) return `${Math.max(mins, 0)}m`;
+    if (mins < 1440) return `${Math.floor(mins / 60)}h`;
+    return `${Math.floor(mins / 1440)}d`;
+  }
+
+  function formatOpenFor(job) {
+    const days = (new Date(job.closedAt) - new Date(job.firstSeenAt)) / 86400000;
+    if (isNaN(days)) return '—';
+    return days < 1 ? '<1d' : `${Math.round(days)}d`;
+  }
+
   function formatPostedDate(raw) {
     if (!raw) return '—';
     try {
@@ -231,127 +626,605 @@
   }
 
   // ─── LinkedIn Search Helpers ───
-  const LINKEDIN_INDIA_GEO = '102713980';
+  // People searches are limited to the region's LinkedIn geo
+  const peopleSearchUrl = (keywords) => {
+    const kw = encodeURIComponent(keywords);
+    const geo = Region.source('linkedin-guest').geoId;
+    const geoUrn = geo ? `&geoUrn=%5B%22${geo}%22%5D` : '';
+    return `https://www.linkedin.com/search/results/people/?keywords=${kw}${geoUrn}&origin=GLOBAL_SEARCH_HEADER`;
+  };
 
   const LinkedInSearch = {
-    candidateUrl(jobTitle) {
-      const kw = encodeURIComponent(jobTitle);
-      return `https://www.linkedin.com/search/results/people/?keywords=${kw}&geoUrn=%5B%22${LINKEDIN_INDIA_GEO}%22%5D&origin=GLOBAL_SEARCH_HEADER`;
+    candidateUrl(jobTitle) { return peopleSearchUrl(jobTitle); },
+    referrerUrl(companyName) { return peopleSearchUrl(companyName); },
+  };
+
+  // ─── Salary bands ───
+  const SALARY_LEVELS = { mid: 'Mid', senior: 'Senior', staff: 'Staff', principal: 'Principal' };
+  const SALARY_SOURCES = { 'levels.fyi': 'levels.fyi', ambitionbox: 'AmbitionBox' };
+
+  // "₹22–41 LPA · Senior · AmbitionBox 3d old" (in the region's currency). A
+  // max-only figure reads "up to ₹137 LPA", and a level priced from a lower
+  // one's band says whose it is: "Senior band, no Staff data". Bands of
+  // unknown date show no age.
+  function renderSalary(el, job) {
+    const s = job.salary;
+    const upTo = s && s.min == null && s.max != null ? 'up to ' : '';
+    $('.salary-text', el).textContent = upTo + Region.display(job.salaryRange);
+    if (s) {
+      const level = SALARY_LEVELS[s.level] || s.level;
+      const band = s.band !== s.level
+        ? `${SALARY_LEVELS[s.band] || s.band} band, no ${level} data`
+        : level;
+      const age = s.asOf ? ` ${formatAge(s.asOf)} old` : '';
+      $('.salary-source', el).textContent = `${band} · ${SALARY_SOURCES[s.source] || s.source}${age}`;
+      el.title = ['min', 'median', 'max']
+        .filter((k) => s[k] != null)
+        .map((k) => `${k} ${Region.display(Region.amount(s[k]))}`)
+        .join(' · ');
+    }
+    el.hidden = false;
+  }
+
+  // ─── Search / Filter / Sort ───
+  // Toolbar state lives in the query string (?q=&city=&within=&new=&minLpa=
+  // &tech=&work=&maxYears=&visa=&sort=) so a filtered view can be shared as a link.
+  const CITY_ALIASES = {
+    bangalore: 'Bengaluru',
+    bengaluru: 'Bengaluru',
+    gurgaon: 'Gurugram',
+    gurugram: 'Gurugram',
+    'new delhi': 'Delhi',
+    bombay: 'Mumbai',
+    madras: 'Chennai',
+  };
+
+  // Location parts naming just the region's country, not a city
+  const isCountryOnly = (part) => Region.current.countries
+    .some((c) => c.toLowerCase() === part.toLowerCase());
+
+  // Canonical city names in a location string ("Greater Bengaluru Area" and
+  // "Bangalore Urban" are both Bengaluru); multi-location strings are split
+  // on "/", ";" and "|"
+  function citiesOf(location) {
+    const cities = new Set();
+    if (!location) return cities;
+    if (/\bremote\b/i.test(location)) cities.add('Remote');
+    location.split(/\s*[/;|]\s*/).forEach((part) => {
+      const first = part.split(',')[0].trim();
+      if (!first || first === '—' || /\bremote\b/i.test(first) || isCountryOnly(first)) return;
+      const base = first
+        .replace(/^greater\s+/i, '')
+        .replace(/\s+(area|district|division|city|urban|metropolitan region|south|north|east|west)$/i, '');
+      cities.add(CITY_ALIASES[base.toLowerCase()] || base);
+    });
+    return cities;
+  }
+
+  // Top of the band for the job's level, the figure the fetcher's cut-off
+  // uses too (bandValue in scripts/lib/salary.js); older data only has the
+  // salaryRange string
+  function salaryLpa(job) {
+    if (job.salary) return job.salary.max;
+    const n = parseFloat(job.salaryRange);
+    return isNaN(n) ? null : n;
+  }
+
+  // Still listed, but the apply link looked taken down on the last fetch
+  // (`status` from scripts/lib/links.js)
+  const linkDead = (job) => job.status === 'closed' && !job.closedAt;
+
+  const WORKPLACES = { remote: 'Remote', hybrid: 'Hybrid', onsite: 'On-site' };
+
+  // "Go, kotlin" -> ['go', 'kotlin']; a job matches any of them
+  const techTerms = (tech) => (tech || '').toLowerCase().split(/\s*,\s*/).filter(Boolean);
+
+  const SORTS = {
+    date: () => (a, b) => new Date(b.postedDate || b.date) - new Date(a.postedDate || a.date),
+    salary: () => (a, b) => (salaryLpa(b) ?? -1) - (salaryLpa(a) ?? -1),
+    company: ({ companyOf }) => (a, b) => companyOf(a).localeCompare(companyOf(b))
+      || new Date(b.postedDate) - new Date(a.postedDate),
+  };
+
+  const Filters = {
+    state: {
+      q: '', city: '', within: 0, newOnly: false, minLpa: 0,
+      tech: '', work: '', maxYears: 0, visa: false, sort: 'date',
+    },
+
+    fromURL() {
+      const p = new URLSearchParams(window.location.search);
+      this.state = {
+        q: p.get('q') || '',
+        city: p.get('city') || '',
+        within: parseInt(p.get('within'), 10) || 0,
+        newOnly: p.get('new') === '1',
+        minLpa: parseInt(p.get('minLpa'), 10) || 0,
+        tech: p.get('tech') || '',
+        work: WORKPLACES[p.get('work')] ? p.get('work') : '',
+        maxYears: parseInt(p.get('maxYears'), 10) || 0,
+        visa: p.get('visa') === '1',
+        sort: SORTS[p.get('sort')] ? p.get('sort') : 'date',
+      };
+    },
+
+    toURL() {
+      const p = new URLSearchParams(window.location.search);
+      const { q, city, within, newOnly, minLpa, tech, work, maxYears, visa, sort } = this.state;
+      const params = {
+        q, city, within: within || '', new: newOnly ? '1' : '', minLpa: minLpa || '',
+        tech, work, maxYears: maxYears || '', visa: visa ? '1' : '',
+        sort: sort === 'date' ? '' : sort,
+      };
+      Object.entries(params).forEach(([k, v]) => (v ? p.set(k, v) : p.delete(k)));
+      const qs = p.toString();
+      history.replaceState(null, '', `${window.location.pathname}${qs ? `?${qs}` : ''}${window.location.hash}`);
+    },
+
+    isActive() {
+      const { q, city, within, newOnly, minLpa, tech, work, maxYears, visa } = this.state;
+      return !!(q || city || within || newOnly || minLpa || tech || work || maxYears || visa);
+    },
+
+    // `criteria` defaults to the toolbar's; saved searches pass their own.
+    // The tech/work/maxYears/visa criteria read `details` from
+    // scripts/lib/details.js, so jobs without them never match.
+    matches(job, { seenIds, companyOf }, criteria = this.state) {
+      const { q, city, within, newOnly, minLpa, tech, work, maxYears, visa } = criteria;
+      const details = job.details || {};
+      if (q) {
+        const haystack = `${job.title} ${companyOf(job)} ${job.location || ''}`.toLowerCase();
+        if (!q.toLowerCase().split(/\s+/).every((term) => haystack.includes(term))) return false;
+      }
+      if (city && !citiesOf(job.location).has(city)) return false;
+      if (within) {
+        const posted = new Date(job.postedDate || job.date).getTime();
+        if (!(Date.now() - posted <= within * 86400000)) return false;
+      }
+      if (newOnly && seenIds.has(String(job.id))) return false;
+      if (minLpa && !(salaryLpa(job) >= minLpa)) return false;
+      if (tech) {
+        const have = (details.tech || []).map((t) => t.toLowerCase());
+        if (!techTerms(tech).some((t) => have.includes(t))) return false;
+      }
+      if (work && details.workplace !== work) return false;
+      if (maxYears && !(details.experience && details.experience.min <= maxYears)) return false;
+      if (visa && details.visa !== 'sponsored') return false;
+      return true;
     },
-    referrerUrl(companyName) {
-      const kw = encodeURIComponent(companyName);
-      return `https://www.linkedin.com/search/results/people/?keywords=${kw}&geoUrn=%5B%22${LINKEDIN_INDIA_GEO}%22%5D&origin=GLOBAL_SEARCH_HEADER`;
+
+    // Dismissed jobs are dropped; dead-link jobs sink below the rest
+    // whatever the sort
+    apply(jobs, ctx) {
+      const sort = SORTS[this.state.sort](ctx);
+      return jobs
+        .filter((job) => !Triage.isDismissed(ctx.sectionOf(job), job) && this.matches(job, ctx))
+        .sort((a, b) => linkDead(a) - linkDead(b) || sort(a, b));
     },
   };
 
-  // ─── Section UI Controller ───
-  const SECTION_COMPANY_MAP = {
-    deliveroo: 'Deliveroo',
-    salesforce: 'Salesforce',
-    booking: 'Booking.com',
-    linkedin: 'LinkedIn',
-    confluent: 'Confluent',
-    docusign: 'DocuSign',
-    indeed: 'Indeed',
-    tesco: 'Tesco',
+  // Unfiltered jobs per rendered section, for re-rendering on filter changes
+  const SectionJobs = new Map();
+
+  function rerenderSections() {
+    SectionJobs.forEach(({ jobs, seenIds }, key) => sectionUI(key).renderJobs(jobs, seenIds));
+    SavedSearches.renderAll();
+  }
+
+  const Toolbar = {
+    init() {
+      const form = dom.toolbar;
+      Filters.fromURL();
+      const { q, city, within, newOnly, minLpa, tech, work, maxYears, visa, sort } = Filters.state;
+      form.elements.q.value = q;
+      form.elements.tech.value = tech;
+      form.elements.work.value = work;
+      form.elements.maxYears.value = String(maxYears);
+      form.elements.visa.checked = visa;
+      form.elements.within.value = String(within);
+      form.elements.newOnly.checked = newOnly;
+      this.syncSalarySteps(minLpa);
+      form.elements.minLpa.value = String(minLpa);
+      form.elements.sort.value = sort;
+      this.syncCities(city);
+      this.syncTech();
+      $('.toolbar-save', form).addEventListener('click', () => SavedSearches.openEditor(null));
+
+      let timer = null;
+      form.addEventListener('submit', (e) => e.preventDefault());
+      form.addEventListener('input', (e) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => this.update(), ['q', 'tech'].includes(e.target.name) ? 150 : 0);
+      });
+      $('.toolbar-reset', form).addEventListener('click', () => {
+        form.reset();
+        this.update();
+      });
+    },
+
+    update() {
+      const el = dom.toolbar.elements;
+      Filters.state = {
+        q: el.q.value.trim(),
+        city: el.city.value,
+        within: parseInt(el.within.value, 10) || 0,
+        newOnly: el.newOnly.checked,
+        minLpa: parseInt(el.minLpa.value, 10) || 0,
+        tech: el.tech.value.trim(),
+        work: el.work.value,
+        maxYears: parseInt(el.maxYears.value, 10) || 0,
+        visa: el.visa.checked,
+        sort: el.sort.value,
+      };
+      Filters.toURL();
+      $('.toolbar-reset', dom.toolbar).hidden = !Filters.isActive();
+      rerenderSections();
+    },
+
+    // Minimum salary options in the region's currency
+    syncSalarySteps(selected) {
+      const select = dom.toolbar.elements.minLpa;
+      select.innerHTML = '';
+      select.add(new Option('Any salary', '0'));
+      const steps = Region.current.salary.steps || [];
+      [...new Set([...steps, selected].filter(Boolean))].sort((a, b) => a - b)
+        .forEach((v) => select.add(new Option(Region.display(Region.atLeast(v)), String(v))));
+    },
+
+    // City options: the region's cities first, then others from the loaded
+    // jobs, most common first
+    syncCities(selected = dom.toolbar.elements.city.value) {
+      const counts = new Map();
+      const regionCities = Region.current.cities || [];
+      SectionJobs.forEach(({ jobs }) => jobs.forEach((job) => {
+        citiesOf(job.location).forEach((c) => counts.set(c, (counts.get(c) || 0) + 1));
+      }));
+      if (selected && !counts.has(selected)) counts.set(selected, 0);
+
+      const select = dom.toolbar.elements.city;
+      select.innerHTML = '';
+      select.add(new Option('All cities', ''));
+      regionCities.forEach((c) => select.add(new Option(c, c)));
+      [...counts.entries()]
+        .filter(([c]) => !regionCities.includes(c))
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .forEach(([c]) => select.add(new Option(c, c)));
+      select.value = selected;
+      $('.toolbar-reset', dom.toolbar).hidden = !Filters.isActive();
+    },
+
+    // Tech suggestions (#tech-options, shared with the saved search editor)
+    // from the loaded jobs, most common first
+    syncTech() {
+      const counts = new Map();
+      SectionJobs.forEach(({ jobs }) => jobs.forEach((job) => {
+        ((job.details && job.details.tech) || []).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+      }));
+      const list = document.getElementById('tech-options');
+      list.innerHTML = '';
+      [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .forEach(([t]) => list.appendChild(new Option(t)));
+    },
+  };
+
+  // ─── Company Registry (config/companies.json) ───
+  const Registry = {
+    companies: [],
+
+    async load() {
+      try {
+        const res = await fetch(CONFIG.REGISTRY_URL);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        this.companies = (await res.json()).companies || [];
+        Cache.set(CONFIG.REGISTRY_KEY, this.companies);
+      } catch (err) {
+        console.warn('Registry fetch failed, using cached copy:', err);
+        this.companies = Cache.get(CONFIG.REGISTRY_KEY) || [];
+      }
+      this.companies = this.companies.map((c) => Region.apply(c));
+    },
+
+    get(key) { return this.companies.find((c) => c.key === key); },
+    live() { return this.companies.filter((c) => c.live); },
   };
 
+  // Company a job in `section` belongs to: the section's own, or the job's
+  // department for multi-company sections (LinkedIn Easy Apply)
+  function companyOf(section, job) {
+    const entry = Registry.get(section) || {};
+    return (entry.multiCompany ? job.department : entry.name) || '';
+  }
+
+  const SECTION_BADGES = {
+    referral: 'REFERRAL',
+    target: 'TARGET',
+    easy: 'EASY APPLY',
+    pipeline: 'PIPELINE',
+    saved: 'SAVED',
+  };
+
+  // data-* hooks in #section-template that sectionUI() looks up by company key
+  const SECTION_HOOKS = ['count', 'updated', 'health', 'loading', 'error', 'empty', 'warning', 'filtered', 'jobs', 'retry'];
+
+  // Clones #section-template and keys its hooks to `key`
+  function createSection(key, { badge, heading, subtitle }) {
+    const clone = dom.sectionTemplate.content.cloneNode(true);
+    const sec = $('.company-section', clone);
+    sec.dataset.company = key;
+    SECTION_HOOKS.forEach((hook) => {
+      const el = $(`[data-${hook}]`, sec);
+      if (el) el.dataset[hook] = key;
+    });
+
+    const badgeEl = $('.section-badge', sec);
+    badgeEl.textContent = SECTION_BADGES[badge] || '';
+    badgeEl.classList.add(`${badge}-badge`);
+    $('.section-heading', sec).textContent = heading;
+    if (subtitle) {
+      const role = $('.target-role', sec);
+      role.textContent = subtitle;
+      role.hidden = false;
+    }
+
+    $('.closed-toggle', sec).addEventListener('click', () => {
+      sectionUI(key).setClosedVisible(ShowClosed.toggle(key));
+    });
+    return sec;
+  }
+
+  function buildSections() {
+    const frag = document.createDocumentFragment();
+    frag.appendChild(Pipeline.createSection());
+    SavedSearches.searches.forEach((search) => frag.appendChild(SavedSearches.createSection(search)));
+    Registry.companies.forEach((c) => {
+      const sec = createSection(c.key, {
+        badge: c.badge,
+        heading: c.heading || c.name,
+        subtitle: c.targetRole,
+      });
+      if (c.badge === 'referral') sec.classList.add('referral-section');
+
+      if (c.live) {
+        // Live sources fetch in the browser, so they can fail and be retried
+        $('.loading-msg', sec).hidden = false;
+        $('.empty-msg', sec).textContent = 'No open roles right now.';
+      } else {
+        $('[data-error]', sec).remove();
+      }
+      frag.appendChild(sec);
+    });
+    dom.main.appendChild(frag);
+  }
+
+  function describeHealth(health) {
+    const what = health.status === 'error' ? 'Last fetch failed' : 'Last fetch was partial';
+    const why = health.error ? ` (${health.error})` : '';
+    const age = health.lastSuccessAt
+      ? `data is ${formatAge(health.lastSuccessAt)} old`
+      : 'no successful fetch yet';
+    return `${what}${why} · ${age}`;
+  }
+
+  // Footer panel listing every fetcher's last outcome from jobs.json
+  function renderSourceStatus(companies) {
+    const list = $('.source-status-list', dom.sourceStatus);
+    list.innerHTML = '';
+    for (const c of Registry.companies) {
+      const health = companies[c.key]?.health;
+      if (!health) continue;
+      const li = document.createElement('li');
+      li.className = `source-status-item status-${health.status}`;
+      const name = document.createElement('span');
+      name.className = 'source-status-name';
+      name.textContent = c.name;
+      const detail = document.createElement('span');
+      detail.className = 'source-status-detail';
+      detail.textContent = `${health.matchedCount}/${health.rawCount} matched · ${health.pages} page${health.pages !== 1 ? 's' : ''} · ${(health.durationMs / 1000).toFixed(1)}s`
+        + (health.links?.broken ? ` · ${health.links.broken} broken link${health.links.broken !== 1 ? 's' : ''}` : '')
+        + (health.error ? ` · ${health.error}` : '');
+      li.append(name, detail);
+      list.appendChild(li);
+    }
+    dom.sourceStatus.hidden = !list.children.length;
+  }
+
+  // ─── Section UI Controller ───
   function sectionUI(company) {
     const sec = $(`[data-company="${company}"]`);
     return {
       loading: $(`[data-loading="${company}"]`, sec),
       error: $(`[data-error="${company}"]`, sec),
       empty: $(`[data-empty="${company}"]`, sec),
+      warning: $(`[data-warning="${company}"]`, sec),
+      filtered: $(`[data-filtered="${company}"]`, sec),
+      healthChip: $(`[data-health="${company}"]`),
       list: $(`[data-jobs="${company}"]`, sec),
       count: $(`[data-count="${company}"]`),
       updated: $(`[data-updated="${company}"]`),
       retryBtn: $(`[data-retry="${company}"]`, sec),
+      closedToggle: $('.closed-toggle', sec),
+      closedList: $('.closed-list', sec),
 
       showState(state) {
         if (this.loading) this.loading.hidden = state !== 'loading';
         if (this.error) this.error.hidden = state !== 'error';
         if (this.empty) this.empty.hidden = state !== 'empty';
+        if (this.warning) this.warning.hidden = state !== 'warning';
+        if (this.filtered) this.filtered.hidden = state !== 'filtered';
         this.list.hidden = state !== 'jobs';
       },
 
-      renderJobs(jobs, seenIds) {
-        this.list.innerHTML = '';
-        if (!jobs.length) { this.showState('empty'); return; }
+      // Builds one card from #job-card-template. `seenIds` is null for
+      // closed jobs, which never get a NEW badge.
+      createCard(job, seenIds) {
+        const entry = Registry.get(company) || {};
+        const sectionCompany = entry.multiCompany ? '' : entry.name;
+        const isReferral = entry.badge === 'referral';
+        const isEasyApply = entry.badge === 'easy';
 
-        const sectionCompany = SECTION_COMPANY_MAP[company];
-        const isDeliveroo = company === 'deliveroo';
-        const isEasyApply = company === 'linkedin_easy_all';
+        const clone = dom.template.content.cloneNode(true);
+        const card = $('.job-card', clone);
+        const link = $('.job-link', clone);
+        const title = $('.job-title', clone);
+        const badge = $('.new-badge', clone);
+        const loc = $('.location-text', clone);
+        const team = $('.team-text', clone);
+        const dateEl = $('.date-text', clone);
+        const logo = $('.company-logo', clone);
 
-        this.showState('jobs');
-        const frag = document.createDocumentFragment();
-        jobs.forEach((job) => {
-          const clone = dom.template.content.cloneNode(true);
-          const link = $('.job-link', clone);
-          const title = $('.job-title', clone);
-          const badge = $('.new-badge', clone);
-          const loc = $('.location-text', clone);
-          const team = $('.team-text', clone);
-          const dateEl = $('.date-text', clone);
-          const logo = $('.company-logo', clone);
-
-          const jobUrl = job.url || job.link || '#';
-          link.href = jobUrl;
-          title.textContent = job.title;
-          loc.textContent = job.location || '—';
-          var teamLabel = job.team || job.department || '—';
-          if (job.salaryRange) teamLabel += ' · ₹' + job.salaryRange;
-          team.textContent = teamLabel;
-          dateEl.textContent = formatPostedDate(job.postedDate || job.date);
-          if (!seenIds.has(String(job.id))) badge.hidden = false;
-          $('.job-card', clone).dataset.jobId = job.id;
-
-          const applyCta = $('.apply-cta', clone);
-          applyCta.href = jobUrl;
-
-          const externalBadge = $('.external-badge', clone);
-          const easyApplyBadge = $('.easy-apply-badge', clone);
-          if (isEasyApply) {
-            easyApplyBadge.hidden = false;
-          } else if (!isDeliveroo) {
-            externalBadge.hidden = false;
-          }
+        const jobUrl = job.url || job.link || '#';
+        link.href = jobUrl;
+        title.textContent = job.title;
+        loc.textContent = job.location || '—';
+        team.textContent = job.team || job.department || '—';
+        if (job.salaryRange) renderSalary($('.job-salary', clone), job);
+        dateEl.textContent = formatPostedDate(job.postedDate || job.date);
+        if (seenIds && !seenIds.has(String(job.id))) badge.hidden = false;
+        card.dataset.jobId = job.id;
+        if (Highlight.has(company, job)) card.classList.add('highlighted');
+        if (linkDead(job)) {
+          card.classList.add('link-dead');
+          const deadBadge = $('.closed-badge', clone);
+          deadBadge.textContent = 'LINK DEAD';
+          deadBadge.title = 'The posting looked taken down when last checked';
+          deadBadge.hidden = false;
+        }
 
-          const logoCompany = sectionCompany || job.department || '';
-          const logoUrl = getLogoUrl(logoCompany);
-          if (logoUrl) {
-            logo.src = logoUrl;
-            logo.alt = logoCompany;
-            logo.onerror = function () { this.classList.add('logo-error'); };
-          }
+        const applyCta = $('.apply-cta', clone);
+        applyCta.href = jobUrl;
+
+        // Copies of this role found by other sections (see scripts/lib/identity.js)
+        const elsewhere = (job.sources || []).filter((s) => s.section !== company && s.url);
+        if (elsewhere.length) {
+          const alsoOn = $('.also-on', clone);
+          elsewhere.forEach((s) => {
+            const a = document.createElement('a');
+            a.href = s.url;
+            a.target = '_blank';
+            a.rel = 'noopener';
+            a.textContent = s.label;
+            alsoOn.append(' ', a);
+          });
+          alsoOn.hidden = false;
+        }
 
-          const findLink = $('.find-people-link', clone);
-          const findText = $('.find-people-text', clone);
+        const trackBtn = $('.track-btn', clone);
+        trackBtn.dataset.section = company;
+        Pipeline.bindTrackButton(trackBtn, company, job);
+        Referrals.bindCard(card, company, job);
+        JobDetails.bindCard(clone, company, job);
+        Triage.bindCard(card, company, job);
+        Sync.bindCard(card, company, job);
 
-          if (isDeliveroo) {
-            findLink.href = LinkedInSearch.candidateUrl(job.title);
-            findText.textContent = 'Candidates';
+        const externalBadge = $('.external-badge', clone);
+        const easyApplyBadge = $('.easy-apply-badge', clone);
+        if (isEasyApply) {
+          easyApplyBadge.hidden = false;
+        } else if (!isReferral) {
+          externalBadge.hidden = false;
+        }
+
+        const logoCompany = sectionCompany || job.department || '';
+        const logoUrl = getLogoUrl(logoCompany);
+        if (logoUrl) {
+          logo.src = logoUrl;
+          logo.alt = logoCompany;
+          logo.onerror = function () { this.classList.add('logo-error'); };
+        }
+
+        const findLink = $('.find-people-link', clone);
+        const findText = $('.find-people-text', clone);
+
+        if (isReferral) {
+          findLink.href = LinkedInSearch.candidateUrl(job.title);
+          findText.textContent = 'Candidates';
+          findLink.hidden = false;
+          findLink.classList.add('candidate-link');
+        } else {
+          const refCompany = sectionCompany || job.department || '';
+          if (refCompany) {
+            findLink.href = LinkedInSearch.referrerUrl(refCompany);
+            findText.textContent = 'Referrers';
             findLink.hidden = false;
-            findLink.classList.add('candidate-link');
-          } else {
-            const refCompany = sectionCompany || job.department || '';
-            if (refCompany) {
-              findLink.href = LinkedInSearch.referrerUrl(refCompany);
-              findText.textContent = 'Referrers';
-              findLink.hidden = false;
-              findLink.classList.add('referrer-link');
-            }
+            findLink.classList.add('referrer-link');
           }
+        }
+
+        return card;
+      },
 
-          frag.appendChild(clone);
+      // Renders `jobs` through the toolbar's filters and sort. The unfiltered
+      // list is kept so the section can re-render when the filters change.
+      renderJobs(jobs, seenIds) {
+        SectionJobs.set(company, { jobs, seenIds });
+        const visible = Filters.apply(jobs, {
+          seenIds,
+          companyOf: (job) => companyOf(company, job),
+          sectionOf: () => company,
         });
+
+        this.list.innerHTML = '';
+        this.setCount(visible.length, jobs.length);
+        if (!jobs.length) { this.showState('empty'); return; }
+        if (!visible.length) { this.showState('filtered'); return; }
+
+        this.showState('jobs');
+        const frag = document.createDocumentFragment();
+        visible.forEach((job) => frag.appendChild(this.createCard(job, seenIds)));
         this.list.appendChild(frag);
       },
 
-      updateMeta(count, timestamp) {
-        if (this.count) {
-          this.count.textContent = count > 0
-            ? `${count} role${count !== 1 ? 's' : ''}` : '';
+      // Jobs that disappeared from their source in the last week, behind a
+      // per-section "show recently closed" toggle.
+      renderClosed(closed) {
+        if (!this.closedList) return;
+        this.closedList.innerHTML = '';
+        this.closedToggle.hidden = !closed.length;
+        if (!closed.length) { this.closedList.hidden = true; return; }
+
+        const frag = document.createDocumentFragment();
+        closed.forEach((job) => {
+          const card = this.createCard(job, null);
+          card.classList.add('closed');
+          $('.closed-badge', card).hidden = false;
+          $('.date-text', card).textContent = `Closed ${formatPostedDate(job.closedAt)} · open ${formatOpenFor(job)}`;
+          frag.appendChild(card);
+        });
+        this.closedList.appendChild(frag);
+        this.setClosedVisible(ShowClosed.has(company), closed.length);
+      },
+
+      setClosedVisible(visible, count = this.closedList.children.length) {
+        this.closedList.hidden = !visible;
+        this.closedToggle.textContent = `${visible ? 'Hide' : 'Show'} recently closed (${count})`;
+        this.closedToggle.setAttribute('aria-expanded', String(visible));
+      },
+
+      // Flags a failed or partial fetch. Without jobs to show, the warning
+      // replaces the empty state so an outage doesn't read as "no roles".
+      showHealth(health) {
+        const failed = health && health.status !== 'ok';
+        if (this.healthChip) {
+          this.healthChip.hidden = !failed;
+          this.healthChip.textContent = failed ? `⚠ ${health.status === 'error' ? 'Fetch failed' : 'Partial fetch'}` : '';
+          this.healthChip.title = failed ? describeHealth(health) : '';
+        }
+        if (failed && !this.list.children.length && this.warning) {
+          $('.warning-chip', this.warning).textContent = `⚠ ${describeHealth(health)}`;
+          this.showState('warning');
         }
+      },
+
+      // "12 roles", or "3 of 12 roles" while toolbar filters hide some
+      setCount(shown, total = shown) {
+        if (!this.count) return;
+        const roles = `role${total !== 1 ? 's' : ''}`;
+        this.count.textContent = !total ? ''
+          : shown === total ? `${total} ${roles}` : `${shown} of ${total} ${roles}`;
+      },
+
+      updateMeta(timestamp) {
         if (this.updated && timestamp) {
           this.updated.textContent = `Updated ${formatTime(new Date(timestamp))}`;
         }
@@ -359,65 +1232,2097 @@
     };
   }
 
-  // ─── Deliveroo (live API, CORS OK) ───
-  const Deliveroo = {
-    async fetchTeamsMap() {
-      const cached = Cache.get(CONFIG.TEAMS_CACHE_KEY);
-      if (cached && cached.expiry > Date.now()) return cached.data;
-      try {
-        const res = await fetch(`${CONFIG.deliveroo.API_BASE}/teams?per_page=100`);
-        const teams = await res.json();
-        const map = {};
-        teams.forEach((t) => (map[t.id] = decodeHTML(t.name)));
-        Cache.set(CONFIG.TEAMS_CACHE_KEY, { data: map, expiry: Date.now() + 86400000 });
-        return map;
-      } catch { return cached?.data || {}; }
+  // ─── My Pipeline ───
+  // Cross-section view of tracked jobs plus the status editor sheet.
+  const Pipeline = {
+    editing: null,
+
+    createSection() {
+      const sec = createSection('pipeline', {
+        badge: 'pipeline', heading: 'My pipeline', subtitle: 'Tracked applications',
+      });
+      sec.classList.add('pipeline-section');
+      $('[data-error]', sec).remove();
+      const reminders = document.createElement('ul');
+      reminders.className = 'referral-reminders';
+      reminders.setAttribute('role', 'list');
+      reminders.hidden = true;
+      $('.section-body', sec).prepend(reminders);
+      sec.hidden = true;
+      return sec;
     },
 
-    async fetchJobs() {
-      const url = `${CONFIG.deliveroo.API_BASE}/roles?locations=${CONFIG.deliveroo.INDIA_LOCATION_ID}&per_page=100&orderby=date&order=desc`;
-      const [jobs, teamsMap] = await Promise.all([
-        fetch(url).then((r) => r.json()),
-        this.fetchTeamsMap(),
-      ]);
-      return jobs.map((j) => ({
-        id: j.id,
-        title: decodeHTML(j.title.rendered),
-        link: j.link,
-        url: j.link,
-        location: j.meta?.ats_location || j.meta?.ashby_location || 'India',
-        team: (j.teams || []).map((id) => teamsMap[id] || 'Unknown').join(', ') || '—',
-        postedDate: j.date,
-      }));
+    render() {
+      const ui = sectionUI('pipeline');
+      const order = TRACKER_STATUSES.map((s) => s.id);
+      const records = [...Tracker.records.values()].sort((a, b) =>
+        order.indexOf(a.status) - order.indexOf(b.status) || b.updatedAt.localeCompare(a.updatedAt)
+      );
+      $('[data-company="pipeline"]').hidden = !records.length;
+
+      ui.list.innerHTML = '';
+      ui.showState(records.length ? 'jobs' : 'empty');
+      const frag = document.createDocumentFragment();
+      records.forEach((r) => {
+        const card = sectionUI(r.section).createCard(r.job, null);
+        const last = r.history[r.history.length - 1];
+        $('.date-text', card).textContent = last?.date
+          ? `${statusLabel(r.status)} · ${formatPostedDate(last.date)}`
+          : statusLabel(r.status);
+        frag.appendChild(card);
+      });
+      ui.list.appendChild(frag);
+      ui.setCount(records.length);
+      Referrals.renderReminders($('.referral-reminders', $('[data-company="pipeline"]')));
     },
-  };
 
-  // ─── Target Companies (static JSON from GH Actions) ───
-  async function fetchTargetCompanyData() {
-    const res = await fetch(`${CONFIG.STATIC_DATA_URL}?t=${Date.now()}`);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return res.json();
-  }
+    // Sets a card's Track button from the job's tracker record
+    bindTrackButton(btn, company, job) {
+      const record = Tracker.get(company, job);
+      btn.textContent = record ? statusLabel(record.status) : '+ Track';
+      btn.classList.toggle('tracked', !!record);
+      btn.dataset.status = record ? record.status : '';
+      btn.onclick = () => this.openEditor(company, job);
+    },
 
-  // ─── Pull-to-Refresh ───
-  const PullToRefresh = {
-    startY: 0, pulling: false,
-    init() {
-      const el = $('#app');
-      el.addEventListener('touchstart', (e) => {
-        if (window.scrollY === 0 && e.touches.length === 1) {
-          this.startY = e.touches[0].clientY;
-          this.pulling = true;
+    refreshButtons(company, job) {
+      $$('.job-card').forEach((card) => {
+        if (card.dataset.jobId !== String(job.id)) return;
+        const btn = $('.track-btn', card);
+        if (btn && btn.dataset.section === company) {
+          this.bindTrackButton(btn, company, job);
+          Referrals.bindCard(card, company, job);
         }
-      }, { passive: true });
-      el.addEventListener('touchmove', (e) => {
-        if (!this.pulling) return;
-        const dy = e.touches[0].clientY - this.startY;
-        if (dy > 10 && window.scrollY === 0) {
-          dom.pullIndicator.classList.add('visible');
-          dom.pullIndicator.classList.toggle('releasing', dy > CONFIG.PULL_THRESHOLD);
-        } else {
-          dom.pullIndicator.classList.remove('visible', 'releasing');
+      });
+    },
+
+    openEditor(company, job) {
+      const form = $('.tracker-form', dom.trackerDialog);
+      const record = Tracker.get(company, job);
+      const last = record?.history[record.history.length - 1];
+      this.editing = { company, job };
+
+      $('.tracker-job-title', form).textContent = job.title;
+      $('.tracker-job-meta', form).textContent = [job.department || job.team, job.location].filter(Boolean).join(' · ');
+      form.elements.status.value = record?.status || 'interested';
+      form.elements.date.value = last?.date || new Date().toISOString().slice(0, 10);
+      form.elements.notes.value = record?.notes || '';
+      $('[data-action="untrack"]', form).hidden = !record;
+
+      const history = $('.tracker-history', form);
+      history.innerHTML = '';
+      (record?.history || []).forEach((h) => {
+        const li = document.createElement('li');
+        li.textContent = `${statusLabel(h.status)} — ${h.date || '—'}`;
+        history.appendChild(li);
+      });
+      dom.trackerDialog.showModal();
+    },
+
+    initEditor() {
+      const form = $('.tracker-form', dom.trackerDialog);
+      form.elements.status.innerHTML = '';
+      TRACKER_STATUSES.forEach((s) => form.elements.status.add(new Option(s.label, s.id)));
+
+      form.addEventListener('submit', async (e) => {
+        if (e.submitter?.value !== 'save' || !this.editing) return;
+        const { company, job } = this.editing;
+        try {
+          await Tracker.save(company, job, {
+            status: form.elements.status.value,
+            date: form.elements.date.value,
+            notes: form.elements.notes.value.trim(),
+          });
+        } catch (err) {
+          console.error('Saving application failed:', err);
+        }
+        this.refreshButtons(company, job);
+        this.render();
+      });
+
+      $('[data-action="untrack"]', form).addEventListener('click', async () => {
+        if (!this.editing) return;
+        const { company, job } = this.editing;
+        try {
+          await Tracker.remove(Tracker.keyFor(company, job));
+        } catch (err) {
+          console.error('Removing application failed:', err);
+        }
+        dom.trackerDialog.close();
+        this.refreshButtons(company, job);
+        this.render();
+      });
+    },
+  };
+
+  // ─── Saved searches ───
+  // User-defined sections: named criteria, like the toolbar's, evaluated over
+  // every loaded job. Each search keeps its own seen IDs, so its NEW badges
+  // count roles new to that search. Stored in localStorage; exported and
+  // imported as JSON to share (config/schemas/saved-searches.schema.json).
+  const SAVED_SEARCHES_VERSION = 1;
+  const SEARCH_FIELDS = ['name', 'q', 'city', 'within', 'minLpa', 'section', 'tech', 'work', 'maxYears', 'visa'];
+
+  // Cleans up a stored or imported search; null if it has no name
+  function normaliseSearch(raw) {
+    if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+    const text = (v) => (typeof v === 'string' ? v.trim() : '');
+    const amount = (v) => (Number.isFinite(v) && v > 0 ? v : 0);
+    return {
+      name: raw.name.trim().slice(0, 80),
+      q: text(raw.q),
+      city: text(raw.city),
+      within: amount(raw.within),
+      minLpa: amount(raw.minLpa),
+      section: text(raw.section),
+      tech: techTerms(text(raw.tech)).length ? text(raw.tech) : '',
+      work: WORKPLACES[raw.work] ? raw.work : '',
+      maxYears: amount(raw.maxYears),
+      visa: raw.visa === true,
+    };
+  }
+
+  const sameCriteria = (a, b) => SEARCH_FIELDS.every((f) => f === 'name' || a[f] === b[f]);
+
+  // "“staff backend” · Salesforce · Hyderabad · 80+ LPA · Go or Kotlin · Hybrid · past week"
+  function describeSearch({ q, section, city, minLpa, tech, work, maxYears, visa, within }) {
+    const parts = [
+      q && `“${q}”`,
+      section && (Registry.get(section)?.name || section),
+      city,
+      minLpa && Region.atLeast(minLpa),
+      tech && tech.split(/\s*,\s*/).filter(Boolean).join(' or '),
+      WORKPLACES[work],
+      maxYears && `≤ ${maxYears} yrs asked`,
+      visa && 'visa sponsored',
+      within && (within === 1 ? 'past 24h' : within === 7 ? 'past week' : `past ${within} days`),
+    ].filter(Boolean);
+    return parts.length ? parts.join(' · ') : 'All roles';
+  }
+
+  const SavedSearches = {
+    searches: [],
+    // Seen IDs per search as of the last refresh, behind this session's NEW badges
+    shownSeen: new Map(),
+    editing: null,
+
+    load() {
+      const stored = Cache.get(CONFIG.SAVED_SEARCHES_KEY);
+      this.searches = (Array.isArray(stored?.searches) ? stored.searches : [])
+        .map((raw) => {
+          const search = normaliseSearch(raw);
+          if (!search || !raw.id) return null;
+          return { ...search, id: String(raw.id), seenIds: Array.isArray(raw.seenIds) ? raw.seenIds.map(String) : [] };
+        })
+        .filter(Boolean);
+    },
+
+    save() {
+      Cache.set(CONFIG.SAVED_SEARCHES_KEY, { schemaVersion: SAVED_SEARCHES_VERSION, searches: this.searches });
+    },
+
+    sectionKey(search) { return `saved-${search.id}`; },
+
+    // Every loaded job with the section it came from, in registry order
+    pool() {
+      return Registry.companies.flatMap(({ key }) =>
+        (SectionJobs.get(key)?.jobs || []).map((job) => ({ section: key, job })));
+    },
+
+    matches(search, pool) {
+      const criteria = { ...search, newOnly: false };
+      return pool.filter(({ section, job }) => (!search.section || search.section === section)
+        && Filters.matches(job, { companyOf: () => companyOf(section, job) }, criteria));
+    },
+
+    createSection(search) {
+      const key = this.sectionKey(search);
+      const sec = createSection(key, { badge: 'saved', heading: search.name, subtitle: describeSearch(search) });
+      sec.classList.add('saved-section');
+      $('[data-error]', sec).remove();
+      $('.empty-msg', sec).textContent = 'No loaded roles match this search.';
+
+      const fresh = document.createElement('span');
+      fresh.className = 'section-new';
+      fresh.hidden = true;
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'section-edit';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openEditor(search.id);
+      });
+      $('[data-count]', sec).after(fresh);
+      $('.section-meta', sec).append(edit);
+      return sec;
+    },
+
+    // Renders one search's matches through the toolbar's filters and sort,
+    // with cards built by the section each job came from. Returns the matches.
+    render(search, pool = this.pool()) {
+      if (!this.shownSeen.has(search.id)) this.shownSeen.set(search.id, new Set(search.seenIds));
+      const seenIds = this.shownSeen.get(search.id);
+      const key = this.sectionKey(search);
+      const ui = sectionUI(key);
+      const matches = this.matches(search, pool);
+      const sectionOf = new Map(matches.map((m) => [m.job, m.section]));
+      const visible = Filters.apply(matches.map((m) => m.job), {
+        seenIds,
+        companyOf: (job) => companyOf(sectionOf.get(job), job),
+        sectionOf: (job) => sectionOf.get(job),
+      });
+
+      const fresh = matches.filter((m) => !seenIds.has(String(m.job.id))).length;
+      const freshEl = $(`[data-company="${key}"] .section-new`);
+      freshEl.textContent = `${fresh} new`;
+      freshEl.hidden = !fresh;
+
+      ui.list.innerHTML = '';
+      ui.setCount(visible.length, matches.length);
+      if (!matches.length) ui.showState('empty');
+      else if (!visible.length) ui.showState('filtered');
+      else {
+        ui.showState('jobs');
+        const frag = document.createDocumentFragment();
+        visible.forEach((job) => frag.appendChild(sectionUI(sectionOf.get(job)).createCard(job, seenIds)));
+        ui.list.appendChild(frag);
+      }
+      return matches;
+    },
+
+    // `markSeen` after a refresh: this render's NEW badges stay for the
+    // session, and the next refresh no longer counts these roles as new
+    renderAll({ markSeen = false } = {}) {
+      const pool = this.pool();
+      this.searches.forEach((search) => {
+        if (markSeen) this.shownSeen.delete(search.id);
+        const matches = this.render(search, pool);
+        if (markSeen) search.seenIds = [...new Set([...search.seenIds, ...matches.map((m) => String(m.job.id))])];
+      });
+      if (markSeen && this.searches.length) this.save();
+    },
+
+    // Adds (id null) or replaces a search. Roles matching a new or changed
+    // search count as seen, so NEW means new since it was saved.
+    upsert(id, fields) {
+      const index = this.searches.findIndex((s) => s.id === id);
+      const prev = this.searches[index];
+      const search = { ...fields, id: prev?.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, seenIds: [] };
+      search.seenIds = prev && sameCriteria(prev, search)
+        ? prev.seenIds
+        : this.matches(search, this.pool()).map((m) => String(m.job.id));
+      this.shownSeen.delete(search.id);
+
+      const sec = this.createSection(search);
+      if (prev) {
+        this.searches[index] = search;
+        $(`[data-company="${this.sectionKey(search)}"]`).replaceWith(sec);
+      } else {
+        this.searches.push(search);
+        const last = $$('.saved-section').pop() || $('[data-company="pipeline"]');
+        last.after(sec);
+      }
+      initCollapsible(sec);
+      this.save();
+      this.render(search);
+      return search;
+    },
+
+    remove(id) {
+      const search = this.searches.find((s) => s.id === id);
+      if (!search) return;
+      this.searches = this.searches.filter((s) => s !== search);
+      this.shownSeen.delete(id);
+      $(`[data-company="${this.sectionKey(search)}"]`)?.remove();
+      this.save();
+    },
+
+    // Criteria only: ids and seen state stay on this device
+    toJSON() {
+      return {
+        schemaVersion: SAVED_SEARCHES_VERSION,
+        exportedAt: new Date().toISOString(),
+        searches: this.searches.map((s) => Object.fromEntries(SEARCH_FIELDS.map((f) => [f, s[f]]))),
+      };
+    },
+
+    // Adds the searches from an exported file, skipping ones already saved
+    // with the same criteria and unusable entries
+    import(data) {
+      if (!data || !Array.isArray(data.searches)) throw new Error('Not a saved searches file');
+      if (data.schemaVersion > SAVED_SEARCHES_VERSION) {
+        throw new Error(`File is version ${data.schemaVersion}; this app reads up to ${SAVED_SEARCHES_VERSION}`);
+      }
+      let added = 0;
+      data.searches.forEach((raw) => {
+        const fields = normaliseSearch(raw);
+        if (!fields || this.searches.some((s) => sameCriteria(s, fields))) return;
+        this.upsert(null, fields);
+        added++;
+      });
+      return { added, skipped: data.searches.length - added };
+    },
+
+    download() {
+      downloadFile('job-radar-searches.json', JSON.stringify(this.toJSON(), null, 2), 'application/json');
+    },
+
+    // Opens the sheet for search `id`, or for a new search from the toolbar's filters
+    openEditor(id) {
+      const form = $('.tracker-form', dom.searchDialog);
+      const el = form.elements;
+      const search = this.searches.find((s) => s.id === id);
+      this.editing = search ? search.id : null;
+      const values = search || { name: '', ...Filters.state, section: '' };
+
+      el.section.innerHTML = '';
+      el.section.add(new Option('Any company', ''));
+      Registry.companies.forEach((c) => el.section.add(new Option(c.name, c.key)));
+      el.city.innerHTML = dom.toolbar.elements.city.innerHTML;
+      if (values.city && ![...el.city.options].some((o) => o.value === values.city)) {
+        el.city.add(new Option(values.city, values.city));
+      }
+      el.within.innerHTML = dom.toolbar.elements.within.innerHTML;
+      if (![...el.within.options].some((o) => o.value === String(values.within))) {
+        el.within.add(new Option(`Past ${values.within} days`, values.within));
+      }
+
+      el.name.value = values.name;
+      el.q.value = values.q;
+      el.section.value = values.section;
+      el.city.value = values.city;
+      el.within.value = String(values.within);
+      el.minLpa.value = values.minLpa || '';
+      el.tech.value = values.tech || '';
+      el.work.value = values.work || '';
+      el.maxYears.value = values.maxYears || '';
+      el.visa.checked = !!values.visa;
+      $('[data-action="delete"]', form).hidden = !search;
+      $('.search-share-status', form).hidden = true;
+      dom.searchDialog.showModal();
+    },
+
+    initEditor() {
+      const form = $('.tracker-form', dom.searchDialog);
+      const el = form.elements;
+      const status = $('.search-share-status', form);
+      const showStatus = (text) => {
+        status.textContent = text;
+        status.hidden = false;
+      };
+
+      form.addEventListener('submit', (e) => {
+        if (e.submitter?.value !== 'save') return;
+        const fields = normaliseSearch({
+          name: el.name.value,
+          q: el.q.value,
+          section: el.section.value,
+          city: el.city.value,
+          within: parseInt(el.within.value, 10),
+          minLpa: parseFloat(el.minLpa.value),
+          tech: el.tech.value,
+          work: el.work.value,
+          maxYears: parseInt(el.maxYears.value, 10),
+          visa: el.visa.checked,
+        });
+        if (fields) this.upsert(this.editing, fields);
+      });
+
+      $('[data-action="delete"]', form).addEventListener('click', () => {
+        this.remove(this.editing);
+        dom.searchDialog.close();
+      });
+
+      $('[data-action="export"]', form).addEventListener('click', () => {
+        if (!this.searches.length) return showStatus('No saved searches to export yet.');
+        this.download();
+      });
+      $('[data-action="import"]', form).addEventListener('click', () => el.importFile.click());
+      el.importFile.addEventListener('change', async () => {
+        const file = el.importFile.files[0];
+        el.importFile.value = '';
+        if (!file) return;
+        try {
+          const { added, skipped } = this.import(JSON.parse(await file.text()));
+          showStatus(`Imported ${added} search${added !== 1 ? 'es' : ''}${skipped ? `, skipped ${skipped} already saved or invalid` : ''}.`);
+        } catch (err) {
+          console.warn('Saved searches import failed:', err);
+          showStatus(`Couldn't import: ${err.message}`);
+        }
+      });
+    },
+  };
+
+  // ─── Referral contacts ───
+  // People we know, imported from LinkedIn's connections export
+  // (Connections.csv) or a hand-kept JSON list, and matched to job cards by
+  // normalised company name. Stored in IndexedDB ('contacts') and never
+  // uploaded anywhere.
+  const COMPANY_SUFFIXES = /\b(india|private|pvt|limited|ltd|inc|llc|llp|corp|corporation|co|technologies|technology|software|solutions|services|group|holdings)\b/g;
+
+  // Same rules as scripts/lib/identity.js: "Salesforce India Pvt Ltd" → "salesforce"
+  function normaliseCompany(name) {
+    return (name || '').toLowerCase()
+      .replace(/&amp;/g, '&').replace(/&/g, ' and ')
+      .replace(/[^a-z0-9 ]+/g, ' ')
+      .replace(COMPANY_SUFFIXES, ' ')
+      .replace(/\s+/g, ' ').trim();
+  }
+
+  // RFC 4180 rows: quoted fields may hold commas, newlines and "" quotes
+  function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else field += c;
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ',') {
+        row.push(field);
+        field = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += c;
+      }
+    }
+    if (field || row.length) rows.push([...row, field]);
+    return rows;
+  }
+
+  function toContact(raw) {
+    const text = (v) => (typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : '');
+    const name = text(raw.name);
+    const company = text(raw.company);
+    // Without a company there's nothing to match a card against
+    if (!name || !company) return null;
+    const url = text(raw.url);
+    return {
+      id: url || `${name}|${company}`.toLowerCase(),
+      name,
+      company,
+      title: text(raw.title),
+      url: /^https?:\/\//.test(url) ? url : '',
+      source: raw.source,
+    };
+  }
+
+  // Contacts from a Connections.csv export or a JSON list of
+  // { name, company, title, url }; returns { contacts, skipped }
+  function parseContacts(text) {
+    const body = text.replace(/^\uFEFF/, '').trim();
+    let rows;
+    if (body.startsWith('[') || body.startsWith('{')) {
+      const data = JSON.parse(body);
+      const list = Array.isArray(data) ? data : data.contacts;
+      if (!Array.isArray(list)) throw new Error('Expected a list of contacts');
+      rows = list.map((c) => c && {
+        name: c.name || [c.firstName, c.lastName].filter(Boolean).join(' '),
+        company: c.company,
+        title: c.title || c.position,
+        url: c.url || c.linkedin,
+        source: 'json',
+      });
+    } else {
+      const csv = parseCSV(body);
+      // LinkedIn puts a few lines of notes above the header row
+      const at = csv.findIndex((r) => r.includes('First Name') && r.includes('Company'));
+      if (at === -1) throw new Error('No "First Name" and "Company" columns; expected LinkedIn\'s Connections.csv');
+      const header = csv[at].map((h) => h.trim());
+      const col = (row, name) => row[header.indexOf(name)] || '';
+      rows = csv.slice(at + 1).filter((r) => r.some(Boolean)).map((r) => ({
+        name: `${col(r, 'First Name')} ${col(r, 'Last Name')}`,
+        company: col(r, 'Company'),
+        title: col(r, 'Position'),
+        url: col(r, 'URL'),
+        source: 'linkedin',
+      }));
+    }
+    const contacts = rows.map((r) => r && toContact(r)).filter(Boolean);
+    return { contacts, skipped: rows.length - contacts.length };
+  }
+
+  const Contacts = {
+    byCompany: new Map(),
+    count: 0,
+
+    async load() {
+      try {
+        this.index(await LocalDB.getAll('contacts'));
+      } catch (err) {
+        console.warn('Contacts unavailable:', err);
+      }
+    },
+
+    index(contacts) {
+      this.count = contacts.length;
+      this.byCompany = new Map();
+      contacts.forEach((c) => {
+        const key = normaliseCompany(c.company);
+        if (!key) return;
+        if (!this.byCompany.has(key)) this.byCompany.set(key, []);
+        this.byCompany.get(key).push(c);
+      });
+    },
+
+    at(company) { return this.byCompany.get(normaliseCompany(company)) || []; },
+
+    // Merges by id (the profile URL), so re-importing a newer export
+    // updates people who changed company or title
+    async import(contacts) {
+      await LocalDB.putAll('contacts', contacts);
+      this.index(await LocalDB.getAll('contacts'));
+    },
+
+    async clear() {
+      await LocalDB.clear('contacts');
+      this.index([]);
+    },
+
+    // Cards show contacts when rendered, so redraw them after a change
+    rerenderCards() {
+      SectionJobs.forEach(({ jobs, seenIds }, key) => sectionUI(key).renderJobs(jobs, seenIds));
+      SavedSearches.renderAll();
+      Pipeline.render();
+    },
+
+    initSheet() {
+      const form = $('.tracker-form', dom.contactsDialog);
+      const el = form.elements;
+      const status = $('.contacts-status', form);
+      const showStatus = (text) => {
+        status.textContent = text;
+        status.hidden = false;
+      };
+      const summarise = () => {
+        const companies = this.byCompany.size;
+        $('.contacts-summary', form).textContent = this.count
+          ? `${this.count} contact${this.count !== 1 ? 's' : ''} at ${companies} compan${companies !== 1 ? 'ies' : 'y'}`
+          : 'No contacts yet.';
+        $('[data-action="clear"]', form).hidden = !this.count;
+      };
+
+      dom.contactsBtn.addEventListener('click', () => {
+        summarise();
+        el.remindDays.value = Referrals.remindDays();
+        status.hidden = true;
+        dom.contactsDialog.showModal();
+      });
+      $('[data-action="import"]', form).addEventListener('click', () => el.contactsFile.click());
+      el.contactsFile.addEventListener('change', async () => {
+        const file = el.contactsFile.files[0];
+        el.contactsFile.value = '';
+        if (!file) return;
+        try {
+          const { contacts, skipped } = parseContacts(await file.text());
+          await this.import(contacts);
+          showStatus(`Imported ${contacts.length} contact${contacts.length !== 1 ? 's' : ''}${skipped ? `, skipped ${skipped} without a name or company` : ''}.`);
+        } catch (err) {
+          console.warn('Contacts import failed:', err);
+          showStatus(`Couldn't import: ${err.message}`);
+        }
+        summarise();
+        this.rerenderCards();
+      });
+      $('[data-action="clear"]', form).addEventListener('click', async () => {
+        try {
+          await this.clear();
+          showStatus('Contacts removed.');
+        } catch (err) {
+          console.error('Removing contacts failed:', err);
+        }
+        summarise();
+        this.rerenderCards();
+      });
+      el.remindDays.addEventListener('change', () => {
+        const days = parseInt(el.remindDays.value, 10);
+        if (days > 0) Cache.set(CONFIG.REMIND_DAYS_KEY, days);
+        this.rerenderCards();
+      });
+    },
+  };
+
+  // ─── Referral requests ───
+  // Who we asked for a referral for which job, kept on the job's tracker
+  // record as referrals: [{ contactId, name, title, askedAt, followedUpAt,
+  // repliedAt }]. Requests without a reply for REFERRAL_REMIND_DAYS (or the
+  // user's setting) are listed in My pipeline and, when notifications are
+  // allowed, raised as a local notification once a day.
+  const REFERRAL_REMIND_DAYS = 5;
+
+  const Referrals = {
+    editing: null,
+
+    remindDays() { return Cache.get(CONFIG.REMIND_DAYS_KEY) || REFERRAL_REMIND_DAYS; },
+
+    daysWaiting(r) { return Math.floor((Date.now() - Date.parse(r.followedUpAt || r.askedAt)) / 86400000); },
+
+    isOverdue(r) { return !!r && !r.repliedAt && this.daysWaiting(r) >= this.remindDays(); },
+
+    due() {
+      return [...Tracker.records.values()].flatMap((record) =>
+        (record.referrals || []).filter((r) => this.isOverdue(r)).map((referral) => ({ record, referral })));
+    },
+
+    // "asked 6d ago", "followed up today", "replied 2d ago"
+    describe(r) {
+      const ago = (iso) => {
+        const days = Math.floor((Date.now() - Date.parse(iso)) / 86400000);
+        return days === 0 ? 'today' : days === 1 ? 'yesterday' : `${days}d ago`;
+      };
+      if (r.repliedAt) return `replied ${ago(r.repliedAt)}`;
+      return r.followedUpAt ? `followed up ${ago(r.followedUpAt)}` : `asked ${ago(r.askedAt)}`;
+    },
+
+    // The card's "You know ..." row and referral button
+    bindCard(card, company, job) {
+      const row = $('.job-contacts', card);
+      const contacts = Contacts.at(companyOf(company, job));
+      const asked = Tracker.get(company, job)?.referrals || [];
+      row.hidden = !contacts.length && !asked.length;
+      if (row.hidden) return;
+
+      const names = contacts.slice(0, 2).map((c) => (c.title ? `${c.name} (${c.title})` : c.name));
+      const more = contacts.length > 2 ? ` +${contacts.length - 2} more` : '';
+      $('.contacts-text', row).textContent = contacts.length ? `You know ${names.join(', ')}${more}` : '';
+
+      const btn = $('.referral-btn', row);
+      const overdue = asked.filter((r) => this.isOverdue(r)).length;
+      const waiting = asked.filter((r) => !r.repliedAt).length;
+      btn.textContent = overdue ? `Follow up (${overdue})`
+        : asked.length ? `Referral: ${waiting ? `${waiting} waiting` : 'replied'}`
+        : 'Request referral';
+      btn.classList.toggle('overdue', overdue > 0);
+      btn.onclick = () => this.open(company, job);
+    },
+
+    open(company, job) {
+      this.editing = { company, job };
+      this.renderSheet();
+      dom.referralDialog.showModal();
+    },
+
+    renderSheet() {
+      const { company, job } = this.editing;
+      const form = $('.tracker-form', dom.referralDialog);
+      const companyName = companyOf(company, job);
+      $('.tracker-job-title', form).textContent = job.title;
+      $('.tracker-job-meta', form).textContent = [companyName, job.location].filter(Boolean).join(' · ');
+
+      // Contacts asked earlier stay listed if a later import drops them
+      const asked = new Map((Tracker.get(company, job)?.referrals || []).map((r) => [r.contactId, r]));
+      const people = [...Contacts.at(companyName)];
+      asked.forEach((r, id) => {
+        if (!people.some((c) => c.id === id)) people.push({ id, name: r.name, title: r.title, url: '' });
+      });
+
+      const list = $('.referral-list', form);
+      list.innerHTML = '';
+      people.forEach((contact) => {
+        const r = asked.get(contact.id);
+        const li = document.createElement('li');
+        li.className = 'referral-item';
+        li.classList.toggle('overdue', this.isOverdue(r));
+        const who = document.createElement(contact.url ? 'a' : 'span');
+        who.className = 'referral-name';
+        who.textContent = contact.name;
+        if (contact.url) {
+          who.href = contact.url;
+          who.target = '_blank';
+          who.rel = 'noopener';
+        }
+        const detail = document.createElement('span');
+        detail.className = 'referral-detail';
+        detail.textContent = [contact.title, r && this.describe(r)].filter(Boolean).join(' · ');
+        li.append(who, detail);
+
+        const action = (label, fn) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'referral-action';
+          btn.textContent = label;
+          btn.addEventListener('click', async () => {
+            try {
+              await fn();
+            } catch (err) {
+              console.error('Saving referral request failed:', err);
+            }
+            Pipeline.refreshButtons(company, job);
+            Pipeline.render();
+            this.renderSheet();
+          });
+          li.append(btn);
+        };
+        const now = () => new Date().toISOString();
+        if (!r) action('Mark asked', () => this.ask(company, job, contact));
+        else if (!r.repliedAt) {
+          if (this.isOverdue(r)) action('Followed up', () => this.update(company, job, contact.id, { followedUpAt: now() }));
+          action('Replied', () => this.update(company, job, contact.id, { repliedAt: now() }));
+        }
+        list.appendChild(li);
+      });
+
+      const empty = $('.referral-empty', form);
+      empty.hidden = people.length > 0;
+      $('a', empty).href = LinkedInSearch.referrerUrl(companyName);
+      $('.referral-help', form).textContent = `Requests without a reply come back as a reminder after ${this.remindDays()} days.`;
+    },
+
+    // Records asking `contact`. An untracked or "Interested" role moves to
+    // "Referral requested"; one further along keeps its status.
+    async ask(company, job, contact) {
+      const prev = Tracker.get(company, job);
+      const moves = !prev || prev.status === 'interested';
+      const last = prev?.history[prev.history.length - 1];
+      await Tracker.save(company, job, {
+        status: moves ? 'referral' : prev.status,
+        date: moves ? new Date().toISOString().slice(0, 10) : last?.date,
+        notes: prev?.notes || '',
+        referrals: [...(prev?.referrals || []), {
+          contactId: contact.id, name: contact.name, title: contact.title,
+          askedAt: new Date().toISOString(), followedUpAt: null, repliedAt: null,
+        }],
+      });
+    },
+
+    async update(company, job, contactId, changes) {
+      const prev = Tracker.get(company, job);
+      const last = prev.history[prev.history.length - 1];
+      await Tracker.save(company, job, {
+        status: prev.status,
+        date: last?.date,
+        notes: prev.notes,
+        referrals: prev.referrals.map((r) => (r.contactId === contactId ? { ...r, ...changes } : r)),
+      });
+    },
+
+    renderReminders(list) {
+      const due = this.due();
+      list.innerHTML = '';
+      list.hidden = !due.length;
+      due.forEach(({ record, referral }) => {
+        const li = document.createElement('li');
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'referral-reminder';
+        btn.textContent = `Follow up with ${referral.name} about ${record.job.title} · ${this.describe(referral)}`;
+        btn.addEventListener('click', () => this.open(record.section, record.job));
+        li.appendChild(btn);
+        list.appendChild(li);
+      });
+    },
+
+    // At most once a day per request; tapping opens the app at the job
+    async notifyDue() {
+      if (!('Notification' in window) || Notification.permission !== 'granted' || !('serviceWorker' in navigator)) return;
+      const reminded = Cache.get(CONFIG.REMINDED_KEY) || {};
+      const due = this.due().filter(({ record, referral }) =>
+        Date.now() - (reminded[`${record.key}:${referral.contactId}`] || 0) >= 86400000);
+      if (!due.length) return;
+      try {
+        const reg = await navigator.serviceWorker.ready;
+        await Promise.all(due.map(({ record, referral }) => {
+          reminded[`${record.key}:${referral.contactId}`] = Date.now();
+          return reg.showNotification(`Follow up with ${referral.name}`, {
+            body: `No reply about ${record.job.title} · ${this.describe(referral)}`,
+            tag: `referral-${record.key}-${referral.contactId}`,
+            icon: 'icons/icon-192.png',
+            data: { section: record.section, jobIds: [String(record.job.id)] },
+          });
+        }));
+        Cache.set(CONFIG.REMINDED_KEY, reminded);
+      } catch (err) {
+        console.warn('Referral reminders failed:', err);
+      }
+    },
+
+    initSheet() {
+      dom.referralDialog.addEventListener('close', () => { this.editing = null; });
+    },
+  };
+
+  // ─── Highlight ───
+  // New roles a push notification points at: ?section=<key>&highlight=<ids>
+  // when the app is opened from it, or a 'highlight' message from the
+  // service worker when it's already open.
+  const Highlight = {
+    section: null,
+    ids: new Set(),
+
+    fromURL() {
+      const p = new URLSearchParams(window.location.search);
+      if (!p.has('section')) return;
+      this.set(p.get('section'), (p.get('highlight') || '').split(','));
+      p.delete('section');
+      p.delete('highlight');
+      const qs = p.toString();
+      history.replaceState(null, '', `${window.location.pathname}${qs ? `?${qs}` : ''}${window.location.hash}`);
+    },
+
+    set(section, ids) {
+      this.section = section;
+      this.ids = new Set(ids.filter(Boolean).map(String));
+    },
+
+    has(company, job) {
+      return company === this.section && this.ids.has(String(job.id));
+    },
+
+    // Re-renders the section so its cards pick up the highlight, then scrolls
+    // to the first highlighted card
+    show() {
+      const sec = this.section && $(`.company-section[data-company="${this.section}"]`);
+      if (!sec) return;
+      sec.classList.remove('collapsed');
+      const entry = SectionJobs.get(this.section);
+      if (entry) sectionUI(this.section).renderJobs(entry.jobs, entry.seenIds);
+      ($('.job-card.highlighted', sec) || sec).scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+  };
+
+  // ─── Push Notifications ───
+  // Opt-in Web Push for new roles, sent by the GitHub Action (see
+  // scripts/lib/notify.js). Hidden unless config/push.json has a VAPID key.
+  function base64UrlToBytes(str) {
+    const b64 = (str + '='.repeat((4 - (str.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  }
+
+  const Push = {
+    config: {},
+
+    async init() {
+      try {
+        const res = await fetch(CONFIG.PUSH_CONFIG_URL);
+        if (res.ok) this.config = await res.json();
+      } catch { /* offline: leave the button hidden */ }
+      if (!this.config.vapidPublicKey || !('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+      dom.pushBtn.hidden = false;
+      dom.pushBtn.addEventListener('click', () => this.toggle());
+      $('[data-action="copy"]', dom.pushDialog).addEventListener('click', () => {
+        navigator.clipboard?.writeText($('textarea', dom.pushDialog).value);
+      });
+      const reg = await navigator.serviceWorker.ready;
+      this.setState(!!(await reg.pushManager.getSubscription()));
+    },
+
+    setState(subscribed) {
+      dom.pushBtn.setAttribute('aria-pressed', String(subscribed));
+    },
+
+    async toggle() {
+      try {
+        const reg = await navigator.serviceWorker.ready;
+        const existing = await reg.pushManager.getSubscription();
+        if (existing) {
+          await this.sendToEndpoint('DELETE', existing);
+          await existing.unsubscribe();
+          this.setState(false);
+          return;
+        }
+        if (await Notification.requestPermission() !== 'granted') return;
+        const sub = await reg.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: base64UrlToBytes(this.config.vapidPublicKey),
+        });
+        this.setState(true);
+        if (!(await this.sendToEndpoint('POST', sub))) this.showSubscription(sub);
+      } catch (err) {
+        console.warn('Push subscription failed:', err);
+      }
+    },
+
+    // Registers with the local stub endpoint (scripts/push.js serve), if
+    // configured. Resolves false when there's none or it can't be reached.
+    async sendToEndpoint(method, sub) {
+      if (!this.config.subscribeUrl) return false;
+      try {
+        const res = await fetch(this.config.subscribeUrl, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(sub),
+        });
+        return res.ok;
+      } catch {
+        return false;
+      }
+    },
+
+    // Without an endpoint, the subscription is pasted into the repo by hand
+    showSubscription(sub) {
+      $('textarea', dom.pushDialog).value = JSON.stringify(sub, null, 2);
+      dom.pushDialog.showModal();
+    },
+  };
+
+  // ─── Charts ───
+  // Plain SVG for the insights sheet. Charts draw in a fixed-width viewBox
+  // and scale to the sheet; colours come from CSS classes.
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const CHART_WIDTH = 320;
+  const CHART_HEIGHT = 120;
+  const PLOT_TOP = 14;
+  const PLOT_BOTTOM = 100;
+
+  function svgEl(name, attrs = {}, text) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+    if (text != null) el.textContent = text;
+    return el;
+  }
+
+  const Charts = {
+    frame(height, label) {
+      return svgEl('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${height}`, class: 'chart-svg', role: 'img', 'aria-label': label,
+      });
+    },
+
+    // Shared by line() and bars(): baseline, peak value and first/last labels
+    axes(svg, max, labels) {
+      svg.append(
+        svgEl('line', { x1: 0, x2: CHART_WIDTH, y1: PLOT_BOTTOM, y2: PLOT_BOTTOM, class: 'chart-axis' }),
+        svgEl('line', { x1: 0, x2: CHART_WIDTH, y1: PLOT_TOP, y2: PLOT_TOP, class: 'chart-grid' }),
+        svgEl('text', { x: CHART_WIDTH, y: PLOT_TOP - 4, 'text-anchor': 'end', class: 'chart-label' }, max),
+        svgEl('text', { x: 0, y: CHART_HEIGHT - 4, class: 'chart-label' }, labels[0]),
+        svgEl('text', { x: CHART_WIDTH, y: CHART_HEIGHT - 4, 'text-anchor': 'end', class: 'chart-label' }, labels[labels.length - 1]),
+      );
+    },
+
+    // One value per label, as a line over a shaded area
+    line(values, labels, label) {
+      const svg = this.frame(CHART_HEIGHT, label);
+      const max = Math.max(1, ...values);
+      const x = (i) => (values.length > 1 ? (i / (values.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2);
+      const y = (v) => PLOT_BOTTOM - (v / max) * (PLOT_BOTTOM - PLOT_TOP);
+      const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+      this.axes(svg, max, labels);
+      svg.append(
+        svgEl('polygon', { points: [`0,${PLOT_BOTTOM}`, ...points, `${CHART_WIDTH},${PLOT_BOTTOM}`].join(' '), class: 'chart-area' }),
+        svgEl('polyline', { points: points.join(' '), class: 'chart-line' }),
+      );
+      return svg;
+    },
+
+    // Grouped vertical bars: `series` is [{ name, values, className }]
+    bars(series, labels, label) {
+      const svg = this.frame(CHART_HEIGHT, label);
+      const max = Math.max(1, ...series.flatMap((s) => s.values));
+      const slot = CHART_WIDTH / labels.length;
+      const width = (slot * 0.7) / series.length;
+      this.axes(svg, max, labels);
+      series.forEach((s, si) => s.values.forEach((v, i) => {
+        const height = (v / max) * (PLOT_BOTTOM - PLOT_TOP);
+        const bar = svgEl('rect', {
+          x: (i * slot + slot * 0.15 + si * width).toFixed(1), y: (PLOT_BOTTOM - height).toFixed(1),
+          width: width.toFixed(1), height: height.toFixed(1), class: s.className,
+        });
+        bar.append(svgEl('title', {}, `${labels[i]}: ${v} ${s.name}`));
+        svg.append(bar);
+      }));
+      return svg;
+    },
+
+    // Horizontal bars for [{ label, count }] breakdowns
+    hbars(items, label) {
+      const row = 20;
+      const labelWidth = 110;
+      const svg = this.frame(Math.max(1, items.length) * row, label);
+      if (!items.length) {
+        svg.append(svgEl('text', { x: 0, y: 14, class: 'chart-label' }, 'No open roles'));
+        return svg;
+      }
+      const max = Math.max(1, ...items.map((item) => item.count));
+      items.forEach((item, i) => {
+        const y = i * row;
+        const width = (item.count / max) * (CHART_WIDTH - labelWidth - 30);
+        svg.append(
+          svgEl('text', { x: 0, y: y + 14, class: 'chart-label chart-category' }, item.label),
+          svgEl('rect', { x: labelWidth, y: y + 4, width: Math.max(width, 1).toFixed(1), height: row - 8, rx: 2, class: 'chart-bar' }),
+          svgEl('text', { x: (labelWidth + width + 4).toFixed(1), y: y + 14, class: 'chart-label' }, item.count),
+        );
+      });
+      return svg;
+    },
+  };
+
+  // ─── Job details ───
+  // The detail sheet and the card's tag line. Extracted fields come with the
+  // job (`details`, scripts/lib/details.js); the description itself is in
+  // data/descriptions/<section>.json, fetched once per section when a sheet
+  // first opens. Live jobs carry theirs as `description`.
+  const DESCRIPTION_TAGS = new Set(['P', 'BR', 'UL', 'OL', 'LI', 'STRONG', 'B', 'EM', 'I', 'H4']);
+  const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'NOSCRIPT', 'SVG', 'FORM', 'BUTTON']);
+  const VISA_LABELS = { sponsored: 'Sponsored', 'not-sponsored': 'Not sponsored' };
+
+  const JobDetails = {
+    descriptions: new Map(),
+    showing: null,
+
+    // "5–8 yrs", "5+ yrs"
+    years({ min, max }) { return max != null && max !== min ? `${min}–${max} yrs` : `${min}+ yrs`; },
+
+    // "Go · Kotlin · Hybrid · 5+ yrs"
+    summary(details) {
+      return [
+        ...details.tech.slice(0, 3),
+        WORKPLACES[details.workplace],
+        details.experience && this.years(details.experience),
+      ].filter(Boolean).join(' · ');
+    },
+
+    bindCard(card, company, job) {
+      const tags = $('.job-tags', card);
+      tags.textContent = job.details ? this.summary(job.details) : '';
+      tags.hidden = !tags.textContent;
+      const btn = $('.details-btn', card);
+      btn.hidden = !job.details && !job.description;
+      btn.onclick = () => this.open(company, job);
+    },
+
+    // Resolves to { id: html } for the section; a failed fetch is retried
+    // on the next open
+    load(section) {
+      if (!this.descriptions.has(section)) {
+        this.descriptions.set(section, fetch(Region.dataUrl(`descriptions/${section}.json`))
+          .then((res) => {
+            if (res.status === 404) return {};
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return res.json().then((data) => data.jobs || {});
+          })
+          .catch((err) => {
+            this.descriptions.delete(section);
+            throw err;
+          }));
+      }
+      return this.descriptions.get(section);
+    },
+
+    // Rebuilds description HTML from DESCRIPTION_TAGS without attributes,
+    // like scripts/lib/details.js; the template's content is inert, so
+    // nothing in it runs or loads
+    sanitize(html) {
+      const tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      const copy = (from, to) => from.childNodes.forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          to.append(node.textContent);
+        } else if (node.nodeType === Node.ELEMENT_NODE && !DROPPED_TAGS.has(node.tagName)) {
+          const tag = /^H[1-6]$/.test(node.tagName) ? 'H4' : node.tagName;
+          if (!DESCRIPTION_TAGS.has(tag)) return copy(node, to);
+          const el = document.createElement(tag);
+          copy(node, el);
+          to.append(el);
+        }
+      });
+      const frag = document.createDocumentFragment();
+      copy(tpl.content, frag);
+      return frag;
+    },
+
+    async open(company, job) {
+      const form = $('.tracker-form', dom.detailDialog);
+      const details = job.details;
+      this.showing = job;
+
+      $('.tracker-job-title', form).textContent = job.title;
+      $('.tracker-job-meta', form).textContent = [companyOf(company, job), job.location].filter(Boolean).join(' · ');
+      $('.detail-apply', form).href = job.url || job.link || '#';
+
+      const facts = $('.detail-facts', form);
+      facts.innerHTML = '';
+      [
+        ['Experience', details?.experience && this.years(details.experience)],
+        ['Tech', details?.tech.join(', ')],
+        ['Workplace', WORKPLACES[details?.workplace]],
+        ['Visa', VISA_LABELS[details?.visa]],
+      ].filter(([, value]) => value).forEach(([label, value]) => {
+        const li = document.createElement('li');
+        const strong = document.createElement('strong');
+        strong.textContent = label;
+        li.append(strong, ` ${value}`);
+        facts.appendChild(li);
+      });
+      facts.hidden = !facts.children.length;
+      const visaNote = $('.detail-visa', form);
+      visaNote.textContent = details?.visaNote || '';
+      visaNote.hidden = !visaNote.textContent;
+
+      const body = $('.detail-description', form);
+      const message = $('.detail-message', form);
+      body.innerHTML = '';
+      message.textContent = 'Loading description…';
+      message.hidden = false;
+      dom.detailDialog.showModal();
+
+      let html = job.description;
+      try {
+        if (!html) html = (await this.load(company))[job.id];
+        if (this.showing !== job) return;
+        message.textContent = html ? '' : 'No description saved for this role yet. The posting has the full text.';
+      } catch (err) {
+        console.warn('Description fetch failed:', err);
+        if (this.showing !== job) return;
+        message.textContent = "Couldn't load the description. The posting has the full text.";
+      }
+      if (html) body.appendChild(this.sanitize(html));
+      message.hidden = !message.textContent;
+    },
+  };
+
+  // ─── Insights dashboard ───
+  // Hiring velocity per company from data/stats.json, rolled up by the
+  // fetcher (scripts/lib/stats.js). Re-fetched each time the sheet opens.
+  const Insights = {
+    stats: null,
+
+    init() {
+      const form = $('.tracker-form', dom.insightsDialog);
+      dom.insightsBtn.addEventListener('click', () => this.open());
+      form.elements.company.addEventListener('change', () => this.render());
+    },
+
+    async open() {
+      const form = $('.tracker-form', dom.insightsDialog);
+      const message = $('.insights-message', form);
+      dom.insightsDialog.showModal();
+      try {
+        const res = await fetch(Region.dataUrl('stats.json'));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        this.stats = checkStatsData(await res.json());
+        message.hidden = true;
+      } catch (err) {
+        console.warn('Stats unavailable:', err);
+        // Keep showing the last stats loaded this session, if any
+        message.textContent = this.stats
+          ? "Couldn't refresh — showing earlier stats."
+          : "No stats yet. They're rolled up by the next scheduled fetch.";
+        message.hidden = false;
+      }
+      this.populateCompanies();
+      this.render();
+    },
+
+    populateCompanies() {
+      const select = $('.tracker-form', dom.insightsDialog).elements.company;
+      const current = select.value;
+      select.innerHTML = '';
+      select.add(new Option('All companies', ''));
+      Object.entries(this.stats?.companies || {})
+        .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+        .forEach(([key, c]) => select.add(new Option(c.name, key)));
+      select.value = this.stats?.companies[current] ? current : '';
+    },
+
+    render() {
+      const form = $('.tracker-form', dom.insightsDialog);
+      const stats = this.stats;
+      $('.insights-body', form).hidden = !stats;
+      if (!stats) return;
+
+      const key = form.elements.company.value;
+      const summary = (key && stats.companies[key]) || stats.total;
+      const last = (list) => list[list.length - 1] || 0;
+      const stat = (name, text) => {
+        const el = $(`[data-stat="${name}"]`, form);
+        el.textContent = text;
+        return el;
+      };
+      stat('open', summary.open);
+      stat('new', last(summary.newPerWeek));
+      stat('closed', last(summary.closedPerWeek));
+      stat('timeToClose', summary.medianDaysToClose == null ? '—' : `${summary.medianDaysToClose} days`)
+        .title = `Over ${summary.closedSample} role${summary.closedSample !== 1 ? 's' : ''} closed in the last 90 days`;
+
+      const chart = (name, svg) => {
+        const slot = $(`[data-chart="${name}"]`, form);
+        slot.innerHTML = '';
+        slot.appendChild(svg);
+      };
+      const weeks = stats.weeks.map(formatDay);
+      chart('openings', Charts.line(summary.openings, stats.days.map(formatDay), 'Open roles per day'));
+      chart('weekly', Charts.bars([
+        { name: 'new', values: summary.newPerWeek, className: 'chart-bar' },
+        { name: 'closed', values: summary.closedPerWeek, className: 'chart-bar chart-bar-closed' },
+      ], weeks, 'New and closed roles per week'));
+      chart('cities', Charts.hbars(summary.cities, 'Open roles by city'));
+      chart('salaryBands', Charts.hbars(summary.salaryBands, 'Open roles by salary band'));
+      $('.insights-updated', form).textContent = `Updated ${formatTime(new Date(stats.generatedAt))}`;
+    },
+  };
+
+  // ─── Deliveroo (live API, CORS OK) ───
+  const Deliveroo = {
+    async fetchTeamsMap() {
+      const cached = Cache.get(CONFIG.TEAMS_CACHE_KEY);
+      if (cached && cached.expiry > Date.now()) return cached.data;
+      try {
+        const res = await fetch(`${CONFIG.deliveroo.API_BASE}/teams?per_page=100`);
+        const teams = await res.json();
+        const map = {};
+        teams.forEach((t) => (map[t.id] = decodeHTML(t.name)));
+        Cache.set(CONFIG.TEAMS_CACHE_KEY, { data: map, expiry: Date.now() + 86400000 });
+        return map;
+      } catch { return cached?.data || {}; }
+    },
+
+    // The region's `locationId`, else the first location matching its `location`
+    async locationId() {
+      const { locationId, location } = Region.source('deliveroo-wp');
+      if (locationId) return locationId;
+      const res = await fetch(`${CONFIG.deliveroo.API_BASE}/locations?search=${encodeURIComponent(location)}&per_page=1`);
+      const [match] = await res.json();
+      if (!match) throw new Error(`No Deliveroo location matching "${location}"`);
+      return match.id;
+    },
+
+    // The region's roles, newest first; pages are added as &page=N
+    async rolesUrl() {
+      return `${CONFIG.deliveroo.API_BASE}/roles?locations=${await this.locationId()}&per_page=100&orderby=date&order=desc`;
+    },
+
+    // Every page of roles, read to X-WP-TotalPages. Roles the fetcher has
+    // already seen take its fuller record (see overlayLive).
+    async fetchJobs() {
+      const url = await this.rolesUrl();
+      const page = async (n) => {
+        const res = await fetch(`${url}&page=${n}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res;
+      };
+      const [first, teamsMap] = await Promise.all([page(1), this.fetchTeamsMap()]);
+      const totalPages = Math.min(parseInt(first.headers.get('X-WP-TotalPages'), 10) || 1, CONFIG.deliveroo.MAX_PAGES);
+      const pages = await Promise.all([
+        first.json(),
+        ...Array.from({ length: totalPages - 1 }, (_, i) => page(i + 2).then((r) => r.json())),
+      ]);
+      return pages.flat().map((j) => ({
+        id: j.id,
+        title: decodeHTML(j.title.rendered),
+        link: j.link,
+        url: j.link,
+        location: j.meta?.ats_location || j.meta?.ashby_location || Region.current.name,
+        team: (j.teams || []).map((id) => teamsMap[id] || 'Unknown').join(', ') || '—',
+        postedDate: j.date,
+        description: j.content?.rendered || '',
+      }));
+    },
+  };
+
+  // Registry `source.type` → in-browser fetcher, for entries marked `live`
+  const LIVE_SOURCES = {
+    'deliveroo-wp': Deliveroo,
+  };
+
+  // Live roles over the fetcher's snapshot of the same section: roles it has
+  // keep its record (first seen, details, salary, link status), roles posted
+  // since show as the live API has them, and roles no longer listed go
+  function overlayLive(snapshotJobs, liveJobs) {
+    const known = new Map(snapshotJobs.map((j) => [String(j.id), j]));
+    return liveJobs.map((job) => ({ ...job, ...known.get(String(job.id)) }));
+  }
+
+  // ─── Target Companies (static JSON from GH Actions) ───
+  async function fetchTargetCompanyData() {
+    const res = await fetch(`${Region.dataUrl('jobs.json')}?t=${Date.now()}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return checkJobsData(await res.json());
+  }
+
+  // ─── Triage ───
+  // Keyboard shortcuts and card swipes for working through the rendered
+  // cards. Starred and dismissed jobs are stored per region next to the seen
+  // ids; a dismissed job shows again once it's reposted with a new date.
+  const Triage = {
+    cards: new WeakMap(),
+    dismissed: {},
+    starred: new Set(),
+    current: null,
+    currentAt: null,
+    undoKey: null,
+    undoTimer: null,
+    startX: 0, startY: 0, swiping: null,
+
+    init() {
+      this.load();
+      document.addEventListener('keydown', (e) => this.onKey(e));
+      $('.triage-undo', dom.triageToast).addEventListener('click', () => this.undo());
+      this.initSwipe();
+    },
+
+    load() {
+      this.dismissed = Cache.getDismissed();
+      this.starred = Cache.getStarred();
+    },
+
+    postedOf(job) { return String(job.postedDate || job.date || ''); },
+
+    isDismissed(company, job) {
+      const at = this.dismissed[Tracker.keyFor(company, job)];
+      return at !== undefined && at === this.postedOf(job);
+    },
+
+    bindCard(card, company, job) {
+      this.cards.set(card, { company, job });
+      const starred = this.starred.has(Tracker.keyFor(company, job));
+      card.classList.toggle('starred', starred);
+      const starBtn = $('.star-btn', card);
+      starBtn.textContent = starred ? '★' : '☆';
+      starBtn.setAttribute('aria-pressed', String(starred));
+      starBtn.onclick = () => this.toggleStar(card);
+      $('.dismiss-btn', card).onclick = () => this.dismiss(card);
+    },
+
+    // Open cards in page order, skipping collapsed and hidden sections
+    visibleCards() {
+      return $$('.job-list[data-jobs] > .job-card', dom.main).filter((c) => !c.closest('.collapsed, [hidden]'));
+    },
+
+    // Where a card sits, to find its replacement after a re-render
+    locate(card) {
+      return { section: card.closest('.company-section').dataset.company, id: card.dataset.jobId };
+    },
+
+    find(at) {
+      return at && this.visibleCards().find((c) => c.dataset.jobId === at.id
+        && c.closest('.company-section').dataset.company === at.section);
+    },
+
+    select(card) {
+      if (this.current) this.current.classList.remove('triage-current');
+      this.current = card || null;
+      this.currentAt = card ? this.locate(card) : null;
+      if (!card) return;
+      card.classList.add('triage-current');
+      card.scrollIntoView({ block: 'nearest' });
+    },
+
+    // The selected card, found again if its section re-rendered
+    selected() {
+      if (this.current && !this.current.isConnected) this.select(this.find(this.currentAt));
+      return this.current;
+    },
+
+    move(step) {
+      const cards = this.visibleCards();
+      if (!cards.length) return;
+      const i = cards.indexOf(this.selected());
+      if (i === -1) this.select(step > 0 ? cards[0] : cards[cards.length - 1]);
+      else this.select(cards[Math.min(Math.max(i + step, 0), cards.length - 1)]);
+    },
+
+    toggleStar(card) {
+      const { company, job } = this.cards.get(card);
+      const key = Tracker.keyFor(company, job);
+      const starred = !this.starred.delete(key);
+      if (starred) this.starred.add(key);
+      Cache.updateStarred(this.starred);
+      Sync.record(Region.storageKey(CONFIG.STARRED_KEY), key, true, { deleted: !starred });
+      $$('.job-card').forEach((c) => {
+        const entry = this.cards.get(c);
+        if (entry && Tracker.keyFor(entry.company, entry.job) === key) this.bindCard(c, entry.company, entry.job);
+      });
+    },
+
+    // Hides the job from every section and moves the selection on to the
+    // next card
+    dismiss(card) {
+      const { company, job } = this.cards.get(card);
+      const key = Tracker.keyFor(company, job);
+      const other = (c) => {
+        const entry = this.cards.get(c);
+        return Tracker.keyFor(entry.company, entry.job) !== key;
+      };
+      const cards = this.visibleCards();
+      const i = cards.indexOf(card);
+      const next = cards.slice(i + 1).find(other) || cards.slice(0, Math.max(i, 0)).reverse().find(other);
+      const nextAt = next && this.locate(next);
+
+      this.dismissed[key] = this.postedOf(job);
+      Cache.setDismissed(this.dismissed);
+      Sync.record(Region.storageKey(CONFIG.DISMISSED_KEY), key, this.dismissed[key]);
+      rerenderSections();
+      if (card === this.current) this.select(this.find(nextAt));
+      this.showUndo(key, job);
+    },
+
+    showUndo(key, job) {
+      this.undoKey = key;
+      $('.triage-toast-text', dom.triageToast).textContent = `Dismissed “${job.title}”`;
+      dom.triageToast.hidden = false;
+      clearTimeout(this.undoTimer);
+      this.undoTimer = setTimeout(() => { dom.triageToast.hidden = true; }, CONFIG.UNDO_MS);
+    },
+
+    undo() {
+      if (!this.undoKey) return;
+      delete this.dismissed[this.undoKey];
+      Cache.setDismissed(this.dismissed);
+      Sync.record(Region.storageKey(CONFIG.DISMISSED_KEY), this.undoKey, null, { deleted: true });
+      this.undoKey = null;
+      clearTimeout(this.undoTimer);
+      dom.triageToast.hidden = true;
+      rerenderSections();
+    },
+
+    // Shortcuts are off while typing or while a sheet is open
+    onKey(e) {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable]') || $('dialog[open]')) return;
+      const card = this.selected();
+      const follow = (sel) => {
+        const a = card && $(sel, card);
+        if (a && !a.hidden) a.click();
+      };
+      const actions = {
+        j: () => this.move(1),
+        k: () => this.move(-1),
+        o: () => follow('.apply-cta'),
+        r: () => follow('.find-people-link'),
+        s: () => card && this.toggleStar(card),
+        x: () => card && this.dismiss(card),
+        u: () => this.undo(),
+        '/': () => dom.toolbar.elements.q.focus(),
+        '?': () => dom.triageHelp.showModal(),
+      };
+      if (!actions[e.key]) return;
+      e.preventDefault();
+      actions[e.key]();
+    },
+
+    // Swipe a card left to dismiss it or right to star it. A sideways swipe
+    // cancels PullToRefresh's pull.
+    initSwipe() {
+      const el = dom.main;
+      const reset = (card) => {
+        card.style.transform = '';
+        delete card.dataset.swipe;
+      };
+      el.addEventListener('touchstart', (e) => {
+        const card = e.touches.length === 1 && e.target.closest('.job-list[data-jobs] > .job-card');
+        this.swiping = card || null;
+        if (!card) return;
+        this.startX = e.touches[0].clientX;
+        this.startY = e.touches[0].clientY;
+      }, { passive: true });
+      el.addEventListener('touchmove', (e) => {
+        const card = this.swiping;
+        if (!card) return;
+        const dx = e.touches[0].clientX - this.startX;
+        const dy = e.touches[0].clientY - this.startY;
+        if (Math.abs(dx) < 10 || Math.abs(dx) < Math.abs(dy)) { reset(card); return; }
+        PullToRefresh.pulling = false;
+        dom.pullIndicator.classList.remove('visible', 'releasing');
+        card.style.transform = `translateX(${dx}px)`;
+        if (dx > CONFIG.SWIPE_THRESHOLD) card.dataset.swipe = 'star';
+        else if (dx < -CONFIG.SWIPE_THRESHOLD) card.dataset.swipe = 'dismiss';
+        else delete card.dataset.swipe;
+      }, { passive: true });
+      el.addEventListener('touchend', () => {
+        const card = this.swiping;
+        if (!card) return;
+        this.swiping = null;
+        const action = card.dataset.swipe;
+        reset(card);
+        if (!action) return;
+        this.select(card);
+        if (action === 'star') this.toggleStar(card);
+        else this.dismiss(card);
+      }, { passive: true });
+      el.addEventListener('touchcancel', () => {
+        if (this.swiping) reset(this.swiping);
+        this.swiping = null;
+      }, { passive: true });
+    },
+  };
+
+  // ─── Backup ───
+  // Everything the app keeps on this device as one versioned file
+  // (config/schemas/backup.schema.json): the job_radar_* localStorage keys
+  // (seen ids, stars, dismissals, saved searches, settings, cached jobs) and
+  // the tracker and contacts from IndexedDB. With a passphrase the contents
+  // are encrypted with AES-GCM under a PBKDF2 key.
+  const BACKUP_VERSION = 1;
+  const BACKUP_STORES = ['applications', 'contacts'];
+  const PBKDF2_ITERATIONS = 250000;
+
+  function bytesToBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  // Merging keeps this device's value where both have one, but combines
+  // lists (seen ids, stars) and adds saved searches it doesn't have
+  function mergeStored(key, local, incoming) {
+    if (local == null) return incoming;
+    if (incoming == null) return local;
+    if (key === CONFIG.SAVED_SEARCHES_KEY && Array.isArray(local.searches) && Array.isArray(incoming.searches)) {
+      const ids = new Set(local.searches.map((search) => search.id));
+      return { ...local, searches: [...local.searches, ...incoming.searches.filter((search) => !ids.has(search.id))] };
+    }
+    if (Array.isArray(local) && Array.isArray(incoming)) return [...new Set([...local, ...incoming])];
+    if (isObject(local) && isObject(incoming)) return { ...incoming, ...local };
+    return local;
+  }
+
+  function csvCell(value) {
+    let s = value == null ? '' : String(value);
+    if (/^[=+\-@]/.test(s)) s = `'${s}`; // not a formula in spreadsheets
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  const Backup = {
+    // Sync settings hold the user's token and stay out of backups
+    owns(key) {
+      return (key.startsWith('job_radar_') && !key.startsWith(CONFIG.SYNC_KEY))
+        || key.startsWith(CONFIG.TEAMS_CACHE_KEY);
+    },
+
+    storedKeys() {
+      const keys = [];
+      try {
+        for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+      } catch { /* unavailable */ }
+      return keys.filter((key) => this.owns(key));
+    },
+
+    async collect() {
+      const backup = {
+        schemaVersion: BACKUP_VERSION,
+        app: 'job-radar',
+        exportedAt: new Date().toISOString(),
+        storage: Object.fromEntries(this.storedKeys().map((key) => [key, Cache.get(key)])),
+      };
+      for (const store of BACKUP_STORES) {
+        try {
+          backup[store] = await LocalDB.getAll(store);
+        } catch (err) {
+          console.warn(`Backup without ${store}:`, err);
+          backup[store] = [];
+        }
+      }
+      return backup;
+    },
+
+    async deriveKey(passphrase, salt, iterations, usage) {
+      if (!crypto.subtle) throw new Error('Encryption needs the app served over HTTPS');
+      const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+      return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        [usage]
+      );
+    },
+
+    async encrypt(backup, passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const key = await this.deriveKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+      const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(backup)));
+      return {
+        schemaVersion: backup.schemaVersion,
+        app: backup.app,
+        exportedAt: backup.exportedAt,
+        encrypted: {
+          cipher: 'AES-GCM',
+          kdf: 'PBKDF2-SHA-256',
+          iterations: PBKDF2_ITERATIONS,
+          salt: bytesToBase64(salt),
+          iv: bytesToBase64(iv),
+          data: bytesToBase64(new Uint8Array(data)),
+        },
+      };
+    },
+
+    async decrypt({ encrypted }, passphrase) {
+      if (!passphrase) throw new Error('This backup is encrypted. Enter its passphrase and import again.');
+      const key = await this.deriveKey(passphrase, base64UrlToBytes(encrypted.salt), encrypted.iterations, 'decrypt');
+      try {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToBytes(encrypted.iv) }, key, base64UrlToBytes(encrypted.data));
+        return JSON.parse(new TextDecoder().decode(data));
+      } catch {
+        throw new Error('Wrong passphrase, or the file is damaged');
+      }
+    },
+
+    async read(text, passphrase) {
+      let data = JSON.parse(text);
+      if (data?.app !== 'job-radar') throw new Error('Not a Job Radar backup');
+      if (data.schemaVersion > BACKUP_VERSION) {
+        throw new Error(`File is version ${data.schemaVersion}; this app reads up to ${BACKUP_VERSION}`);
+      }
+      if (data.encrypted) data = await this.decrypt(data, passphrase);
+      if (!isObject(data.storage)) throw new Error('Not a Job Radar backup');
+      return data;
+    },
+
+    // "replace" clears this device first. "merge" uses mergeStored for
+    // localStorage and keeps the newer of two tracker records.
+    async restore(backup, mode) {
+      if (mode === 'replace') this.storedKeys().forEach((key) => Cache.remove(key));
+      Object.entries(backup.storage).forEach(([key, value]) => {
+        if (!this.owns(key)) return;
+        Cache.set(key, mode === 'replace' ? value : mergeStored(key, Cache.get(key), value));
+      });
+      for (const store of BACKUP_STORES) {
+        let records = Array.isArray(backup[store]) ? backup[store] : [];
+        if (mode === 'replace') {
+          await LocalDB.clear(store);
+        } else {
+          const keyPath = store === 'applications' ? 'key' : 'id';
+          const local = new Map((await LocalDB.getAll(store)).map((r) => [r[keyPath], r]));
+          records = records.filter((r) => {
+            const mine = local.get(r[keyPath]);
+            return !mine || (r.updatedAt || '') > (mine.updatedAt || '');
+          });
+        }
+        await LocalDB.putAll(store, records);
+      }
+    },
+
+    // The roles the current filters show, once each, with tracker status and star
+    toCSV() {
+      const header = ['Company', 'Title', 'Location', 'Team', 'Salary', 'Posted', 'Status', 'Starred', 'Section', 'URL'];
+      const rows = new Map();
+      $$('.job-list[data-jobs] > .job-card', dom.main).forEach((card) => {
+        const entry = Triage.cards.get(card);
+        if (!entry) return;
+        const { company, job } = entry;
+        const key = Tracker.keyFor(company, job);
+        if (rows.has(key)) return;
+        const salary = $('.job-salary', card);
+        const status = Tracker.get(company, job)?.status;
+        rows.set(key, [
+          companyOf(company, job),
+          job.title,
+          job.location,
+          job.team || job.department,
+          salary.hidden ? '' : $('.salary-text', salary).textContent,
+          job.postedDate || job.date,
+          TRACKER_STATUSES.find((s) => s.id === status)?.label,
+          Triage.starred.has(key) ? 'yes' : '',
+          Registry.get(company)?.name || company,
+          job.url || job.link,
+        ]);
+      });
+      return [header, ...rows.values()].map((row) => row.map(csvCell).join(',')).join('\r\n');
+    },
+
+    initSheet() {
+      const form = $('.tracker-form', dom.settingsDialog);
+      const el = form.elements;
+      const status = $('.settings-status', form);
+      const showStatus = (text) => {
+        status.textContent = text;
+        status.hidden = false;
+      };
+      const plural = (n, one, many = `${one}s`) => `${n} ${n !== 1 ? many : one}`;
+      const today = () => new Date().toISOString().slice(0, 10);
+
+      dom.settingsBtn.addEventListener('click', () => {
+        $('.settings-summary', form).textContent = [
+          plural(Cache.getSeenIds().size, 'seen role'),
+          plural(Triage.starred.size, 'star'),
+          plural(Tracker.records.size, 'tracked role'),
+          plural(Contacts.count, 'contact'),
+          plural(SavedSearches.searches.length, 'saved search', 'saved searches'),
+        ].join(' · ');
+        el.passphrase.value = '';
+        status.hidden = true;
+        dom.settingsDialog.showModal();
+      });
+
+      $('[data-action="export"]', form).addEventListener('click', async () => {
+        try {
+          let backup = await this.collect();
+          if (el.passphrase.value) backup = await this.encrypt(backup, el.passphrase.value);
+          downloadFile(`job-radar-backup-${today()}.json`, JSON.stringify(backup), 'application/json');
+          showStatus(backup.encrypted ? 'Exported, encrypted with your passphrase.' : 'Exported.');
+        } catch (err) {
+          console.error('Backup export failed:', err);
+          showStatus(`Couldn't export: ${err.message}`);
+        }
+      });
+
+      $('[data-action="import"]', form).addEventListener('click', () => el.backupFile.click());
+      el.backupFile.addEventListener('change', async () => {
+        const file = el.backupFile.files[0];
+        el.backupFile.value = '';
+        if (!file) return;
+        try {
+          await this.restore(await this.read(await file.text(), el.passphrase.value), el.mode.value);
+          showStatus('Imported. Reloading…');
+          location.reload();
+        } catch (err) {
+          console.warn('Backup import failed:', err);
+          showStatus(`Couldn't import: ${err.message}`);
+        }
+      });
+
+      $('[data-action="csv"]', form).addEventListener('click', () => {
+        // The byte order mark makes Excel read the file as UTF-8 (₹, €)
+        downloadFile(`job-radar-roles-${today()}.csv`, `\uFEFF${this.toCSV()}\r\n`, 'text/csv');
+      });
+    },
+  };
+
+  // ─── Sync ───
+  // Optional sync through a self-hosted server (scripts/sync-server.js): seen
+  // ids, stars, dismissals and tracker records follow the user between
+  // devices, and a team shares its "referred" list. Changes wait in a
+  // localStorage queue until the server takes them, and the newest of two
+  // edits wins. With no server URL or token, every method here does nothing.
+  const SYNCED_KEYS = [CONFIG.SEEN_KEY, CONFIG.STARRED_KEY, CONFIG.DISMISSED_KEY];
+  // Seeded entries lose to anything already on the server
+  const SYNC_EPOCH = new Date(0).toISOString();
+
+  const Sync = {
+    settings: {},
+    defaultUrl: '',
+    queue: [],
+    team: {},
+    timer: null,
+    running: null,
+    message: '',
+
+    get url() { return (this.settings.url || this.defaultUrl).replace(/\/+$/, ''); },
+    get enabled() { return !!(this.url && this.settings.token); },
+
+    init() {
+      this.settings = Cache.get(CONFIG.SYNC_KEY) || {};
+      this.queue = Cache.get(CONFIG.SYNC_QUEUE_KEY) || [];
+      this.team = Cache.get(CONFIG.SYNC_TEAM_KEY) || {};
+      this.initSheet();
+      window.addEventListener('online', () => this.flush());
+      fetch(CONFIG.SYNC_CONFIG_URL)
+        .then((res) => (res.ok ? res.json() : {}))
+        .then((config) => { this.defaultUrl = config.url || ''; })
+        .catch(() => { /* offline: only a saved URL syncs */ });
+    },
+
+    save() { Cache.set(CONFIG.SYNC_KEY, this.settings); },
+
+    change(collection, id, value, { scope = 'user', deleted = false, updatedAt = new Date().toISOString() } = {}) {
+      return { scope, collection, id, value: deleted ? null : value, deleted, updatedAt };
+    },
+
+    record(...args) { this.enqueue([this.change(...args)]); },
+
+    // Queues changes, replacing queued changes to the same entries
+    enqueue(changes) {
+      if (!this.enabled || !changes.length) return;
+      const keys = new Set(changes.map((c) => this.keyOf(c)));
+      this.queue = [...this.queue.filter((c) => !keys.has(this.keyOf(c))), ...changes];
+      Cache.set(CONFIG.SYNC_QUEUE_KEY, this.queue);
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), CONFIG.SYNC_DELAY_MS);
+    },
+
+    keyOf(c) { return `${c.scope}/${c.collection}/${c.id}`; },
+
+    // Everything on this device, for the first sync with a server
+    seed() {
+      const changes = [];
+      Object.keys(localStorage).filter((key) => SYNCED_KEYS.some((base) => key.startsWith(base))).forEach((key) => {
+        const stored = Cache.get(key);
+        const entries = Array.isArray(stored) ? stored.map((id) => [id, true]) : Object.entries(stored || {});
+        entries.forEach(([id, value]) => changes.push(this.change(key, String(id), value, { updatedAt: SYNC_EPOCH })));
+      });
+      Tracker.records.forEach((record, key) => changes.push(this.change('applications', key, record, { updatedAt: record.updatedAt })));
+      this.enqueue(changes);
+    },
+
+    // Sends the queue in batches and applies what changed on the server
+    // since the last sync. Changes stay queued when offline or on a server
+    // error. Changes the server refuses are dropped, so one bad change can't
+    // hold up the rest of the queue forever.
+    flush() {
+      if (!this.enabled || this.running) return this.running;
+      clearTimeout(this.timer);
+      this.running = this.send()
+        .then((dropped) => {
+          this.message = dropped ? `The server refused ${dropped} change${dropped !== 1 ? 's' : ''}; they were dropped.` : '';
+        })
+        .catch((err) => {
+          console.warn('Sync failed:', err);
+          this.message = navigator.onLine === false ? 'Offline; changes will sync when back online.' : `Sync failed: ${err.message}`;
+        })
+        .finally(() => {
+          this.running = null;
+          this.showStatus();
+        });
+      return this.running;
+    },
+
+    // One request per batch until the queue is empty (one request when it
+    // already is). A batch refused as a whole (400, 403, 413: too big, or
+    // from a server that refuses batches with a bad change in them) is
+    // retried in halves down to single changes, which are dropped.
+    // Resolves to the number of changes dropped.
+    async send() {
+      let limit = CONFIG.SYNC_BATCH_SIZE;
+      let dropped = 0;
+      do {
+        const sent = this.batch(limit);
+        const res = await fetch(`${this.url}/sync`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.settings.token}` },
+          body: JSON.stringify({ since: this.settings.rev || 0, changes: sent }),
+        });
+        if (res.status === 401) throw new Error('The server did not accept this token');
+        if ([400, 403, 413].includes(res.status) && sent.length) {
+          const reason = `${res.status} ${await res.text()}`.trim();
+          if (sent.length > 1) {
+            limit = Math.ceil(sent.length / 2);
+          } else {
+            console.warn('Sync refused a change:', sent[0], reason);
+            this.unqueue(sent);
+            dropped++;
+          }
+          continue;
+        }
+        if (!res.ok) throw new Error(`${res.status} ${await res.text()}`.trim());
+        const { rev, user, team, changes, rejected = [] } = await res.json();
+        rejected.forEach((r) => console.warn('Sync refused a change:', r));
+        dropped += rejected.length;
+        const joined = team !== this.settings.team;
+        this.unqueue(sent);
+        Object.assign(this.settings, { rev, user, team, syncedAt: new Date().toISOString() });
+        this.save();
+        // Cards show the team's button once the server names the team
+        if (!(await this.apply(changes, sent)) && joined) rerenderSections();
+      } while (this.queue.length);
+      return dropped;
+    },
+
+    // The oldest queued changes: at most `limit`, and at least one however
+    // big it is (the server says if it's too big)
+    batch(limit) {
+      const encoder = new TextEncoder();
+      const out = [];
+      let bytes = 0;
+      for (const c of this.queue) {
+        bytes += encoder.encode(JSON.stringify(c)).length;
+        if (out.length >= limit || (out.length && bytes > CONFIG.SYNC_BATCH_BYTES)) break;
+        out.push(c);
+      }
+      return out;
+    },
+
+    unqueue(sent) {
+      const done = new Set(sent);
+      this.queue = this.queue.filter((c) => !done.has(c));
+      Cache.set(CONFIG.SYNC_QUEUE_KEY, this.queue);
+    },
+
+    // Server entries win unless a newer local change to them is still
+    // queued. The server echoes what was just `sent`; those are skipped.
+    // Resolves to whether anything changed.
+    async apply(changes, sent = []) {
+      const pending = new Map(this.queue.map((q) => [this.keyOf(q), q.updatedAt]));
+      const echoes = new Set(sent.map((q) => `${this.keyOf(q)}@${q.updatedAt}`));
+      let changed = false;
+      for (const c of changes) {
+        if (pending.get(this.keyOf(c)) > c.updatedAt || echoes.has(`${this.keyOf(c)}@${c.updatedAt}`)) continue;
+        if (c.scope === 'team') {
+          const items = (this.team[c.collection] ||= {});
+          if (c.deleted) delete items[c.id];
+          else items[c.id] = { value: c.value, by: c.by, updatedAt: c.updatedAt };
+          changed = true;
+        } else if (c.collection === 'applications') {
+          changed = (await this.applyRecord(c)) || changed;
+        } else if (SYNCED_KEYS.some((base) => c.collection.startsWith(base))) {
+          this.applyStored(c);
+          changed = true;
+        }
+      }
+      if (!changed) return false;
+      Cache.set(CONFIG.SYNC_TEAM_KEY, this.team);
+      Triage.load();
+      rerenderSections();
+      Pipeline.render();
+      return true;
+    },
+
+    async applyRecord(c) {
+      const local = Tracker.records.get(c.id);
+      if (local && local.updatedAt >= c.updatedAt) return false;
+      if (!local && c.deleted) return false;
+      try {
+        if (c.deleted) {
+          await LocalDB.delete('applications', c.id);
+          Tracker.records.delete(c.id);
+        } else {
+          await LocalDB.put('applications', c.value);
+          Tracker.records.set(c.id, c.value);
+        }
+        return true;
+      } catch (err) {
+        console.warn('Synced application not saved:', err);
+        return false;
+      }
+    },
+
+    // Seen ids and stars are stored as lists, dismissals as id → posted date
+    applyStored(c) {
+      const stored = Cache.get(c.collection);
+      if (c.collection.startsWith(CONFIG.DISMISSED_KEY)) {
+        const map = stored || {};
+        if (c.deleted) delete map[c.id];
+        else map[c.id] = c.value;
+        Cache.set(c.collection, map);
+      } else {
+        const ids = new Set(stored || []);
+        if (c.deleted) ids.delete(c.id);
+        else ids.add(c.id);
+        Cache.set(c.collection, [...ids]);
+      }
+    },
+
+    // "Referred" on cards, for teams: marks roles teammates referred each other for
+    bindCard(card, company, job) {
+      const btn = $('.team-btn', card);
+      btn.hidden = !this.enabled || !this.settings.team;
+      if (btn.hidden) return;
+      const key = Tracker.keyFor(company, job);
+      const entry = this.team.referred?.[key];
+      btn.textContent = entry ? `Referred · ${entry.by}` : 'Referred?';
+      btn.setAttribute('aria-pressed', String(!!entry));
+      btn.title = entry ? `Marked by ${entry.by} for the team` : 'Tell your team someone was referred for this role';
+      btn.onclick = () => {
+        const value = { title: job.title, section: company, url: job.url || job.link };
+        const items = (this.team.referred ||= {});
+        if (entry) delete items[key];
+        else items[key] = { value, by: this.settings.user, updatedAt: new Date().toISOString() };
+        Cache.set(CONFIG.SYNC_TEAM_KEY, this.team);
+        this.record('referred', key, value, { scope: 'team', deleted: !!entry });
+        $$('.job-card').forEach((c) => {
+          const bound = Triage.cards.get(c);
+          if (bound && Tracker.keyFor(bound.company, bound.job) === key) this.bindCard(c, bound.company, bound.job);
+        });
+      };
+    },
+
+    showStatus() {
+      const status = $('.sync-status', dom.settingsDialog);
+      const { user, team, syncedAt } = this.settings;
+      const waiting = this.queue.length ? ` · ${this.queue.length} change${this.queue.length !== 1 ? 's' : ''} waiting` : '';
+      if (!this.enabled) status.textContent = 'Not syncing. Everything stays on this device.';
+      else if (this.message) status.textContent = `${this.message}${waiting}`;
+      else if (syncedAt) status.textContent = `Synced as ${user}${team ? ` (team ${team})` : ''} · last sync ${formatPostedDate(syncedAt).toLowerCase()}${waiting}`;
+      else status.textContent = `Not synced yet${waiting}`;
+    },
+
+    initSheet() {
+      const el = $('.tracker-form', dom.settingsDialog).elements;
+      dom.settingsBtn.addEventListener('click', () => {
+        el.syncUrl.value = this.settings.url || '';
+        el.syncUrl.placeholder = this.defaultUrl || 'https://sync.example.com';
+        el.syncToken.value = this.settings.token || '';
+        this.showStatus();
+      });
+      $('[data-action="sync"]', dom.settingsDialog).addEventListener('click', () => {
+        const url = el.syncUrl.value.trim();
+        const token = el.syncToken.value.trim();
+        const changed = url !== (this.settings.url || '') || token !== (this.settings.token || '');
+        // A different server or user starts over from revision 0
+        if (changed) this.settings = { url, token };
+        this.save();
+        if (changed) {
+          this.queue = [];
+          this.team = {};
+          Cache.set(CONFIG.SYNC_TEAM_KEY, this.team);
+          this.seed();
+        }
+        this.showStatus();
+        this.flush();
+        rerenderSections();
+      });
+    },
+  };
+
+  // ─── Background refresh ───
+  // Where Periodic Background Sync is available, the service worker fetches
+  // jobs.json and the live sources while the app is closed, badges the icon
+  // with the roles not seen yet and keeps the responses for the next
+  // refresh. It can't read localStorage, so every refresh leaves it the seen
+  // ids and the URLs to fetch in BACKGROUND_STATE_CACHE. Elsewhere, and in a
+  // tab left open, the app refreshes when it's back in focus.
+  const Background = {
+    async init() {
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && Date.now() - App.refreshedAt > CONFIG.FOCUS_REFRESH_MS) App.refresh();
+      });
+      if (!('serviceWorker' in navigator)) return;
+      try {
+        const reg = await navigator.serviceWorker.ready;
+        if (!('periodicSync' in reg)) return;
+        const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (state !== 'granted') return;
+        await reg.periodicSync.register(CONFIG.BACKGROUND_TAG, { minInterval: CONFIG.BACKGROUND_INTERVAL_MS });
+      } catch (err) {
+        console.warn('Periodic background sync unavailable:', err);
+      }
+    },
+
+    // After a refresh everything listed counts as seen, so the badge clears
+    async save(seenIds) {
+      navigator.clearAppBadge?.().catch(() => { /* not installed */ });
+      if (!('caches' in window)) return;
+      try {
+        const live = await Promise.all(Registry.live().map((c) => LIVE_SOURCES[c.source.type]?.rolesUrl().catch(() => null)));
+        const state = {
+          jobsUrl: new URL(Region.dataUrl('jobs.json'), location.href).href,
+          live: live.filter(Boolean),
+          seenIds: [...seenIds].map(String),
+          savedAt: new Date().toISOString(),
+        };
+        const cache = await caches.open(CONFIG.BACKGROUND_STATE_CACHE);
+        await cache.put(CONFIG.BACKGROUND_STATE_URL, new Response(JSON.stringify(state), {
+          headers: { 'Content-Type': 'application/json' },
+        }));
+      } catch (err) {
+        console.warn('Background refresh state not saved:', err);
+      }
+    },
+  };
+
+  // ─── Pull-to-Refresh ───
+  const PullToRefresh = {
+    startY: 0, pulling: false,
+    init() {
+      const el = $('#app');
+      el.addEventListener('touchstart', (e) => {
+        if (window.scrollY === 0 && e.touches.length === 1) {
+          this.startY = e.touches[0].clientY;
+          this.pulling = true;
+        }
+      }, { passive: true });
+      el.addEventListener('touchmove', (e) => {
+        if (!this.pulling) return;
+        const dy = e.touches[0].clientY - this.startY;
+        if (dy > 10 && window.scrollY === 0) {
+          dom.pullIndicator.classList.add('visible');
+          dom.pullIndicator.classList.toggle('releasing', dy > CONFIG.PULL_THRESHOLD);
+        } else {
+          dom.pullIndicator.classList.remove('visible', 'releasing');
         }
       }, { passive: true });
       el.addEventListener('touchend', () => {
@@ -431,8 +3336,8 @@
   };
 
   // ─── Collapsible sections ───
-  function initCollapsible() {
-    $$('.section-header').forEach((header) => {
+  function initCollapsible(root) {
+    $$('.section-header', root).forEach((header) => {
       header.addEventListener('click', () => {
         header.closest('.company-section').classList.toggle('collapsed');
       });
@@ -442,9 +3347,24 @@
   // ─── App ───
   const App = {
     isLoading: false,
+    refreshedAt: 0,
 
     async init() {
       dom.refreshBtn.addEventListener('click', () => this.refresh());
+      Highlight.fromURL();
+      SavedSearches.load();
+      await Region.load();
+      await Promise.all([Registry.load(), Tracker.load(), Contacts.load()]);
+      RegionPicker.init();
+      buildSections();
+      Pipeline.initEditor();
+      SavedSearches.initEditor();
+      Contacts.initSheet();
+      Referrals.initSheet();
+      Backup.initSheet();
+      Sync.init();
+      Pipeline.render();
+      Toolbar.init();
       $$('[data-retry]').forEach((btn) => {
         btn.addEventListener('click', (e) => {
           e.stopPropagation();
@@ -452,31 +3372,35 @@
         });
       });
       PullToRefresh.init();
+      Triage.init();
       initCollapsible();
       this.registerSW();
+      Background.init();
+      Push.init();
+      Insights.init();
       this.loadFromCache();
       await this.refresh();
+      Highlight.show();
+      Referrals.notifyDue();
     },
 
     loadFromCache() {
-      const cached = Cache.get(CONFIG.CACHE_KEY);
-      if (!cached) return;
+      const cached = JobCache.load();
       const seenIds = Cache.getSeenIds();
 
-      if (cached.deliveroo?.jobs?.length) {
-        const ui = sectionUI('deliveroo');
-        ui.renderJobs(cached.deliveroo.jobs, seenIds);
-        ui.updateMeta(cached.deliveroo.jobs.length, cached.deliveroo.timestamp);
-      }
-
-      for (const key of ['salesforce', 'booking', 'linkedin', 'confluent', 'docusign', 'indeed', 'tesco', 'linkedin_easy_all']) {
+      for (const { key } of Registry.companies) {
         const data = cached[key];
         if (data?.jobs?.length) {
           const ui = sectionUI(key);
           ui.renderJobs(data.jobs, seenIds);
-          ui.updateMeta(data.jobs.length, data.timestamp);
+          ui.updateMeta(data.timestamp);
+          ui.showHealth(data.health);
         }
+        if (data?.closed?.length) sectionUI(key).renderClosed(data.closed);
       }
+      Toolbar.syncCities();
+      Toolbar.syncTech();
+      SavedSearches.renderAll();
     },
 
     async refresh() {
@@ -486,46 +3410,59 @@
       dom.refreshBtn.disabled = true;
 
       const previousSeenIds = Cache.getSeenIds();
-      const cached = Cache.get(CONFIG.CACHE_KEY) || {};
-      const newCache = { ...cached };
+      const newCache = JobCache.load();
       const allJobIds = new Set(previousSeenIds);
 
-      // Fetch Deliveroo (live) and target companies (static JSON) in parallel
-      const results = await Promise.allSettled([
-        this.refreshDeliveroo(previousSeenIds, newCache, allJobIds),
-        this.refreshTargetCompanies(previousSeenIds, newCache, allJobIds),
+      // jobs.json and live sources in parallel; live sections wait for the
+      // snapshot and lay their roles over it
+      const snapshot = this.refreshSnapshot(previousSeenIds, newCache, allJobIds);
+      await Promise.allSettled([
+        snapshot,
+        ...Registry.live().map((c) => this.refreshLive(c, snapshot, previousSeenIds, newCache, allJobIds)),
       ]);
 
-      Cache.set(CONFIG.CACHE_KEY, newCache);
+      JobCache.save(newCache);
+      Toolbar.syncCities();
+      Toolbar.syncTech();
+      SavedSearches.renderAll({ markSeen: true });
       Cache.updateSeenIds(allJobIds);
+      const seenKey = Region.storageKey(CONFIG.SEEN_KEY);
+      Sync.enqueue([...allJobIds].filter((id) => !previousSeenIds.has(id)).map((id) => Sync.change(seenKey, String(id), true)));
+      Sync.flush();
+      Background.save(allJobIds);
+      this.refreshedAt = Date.now();
 
       this.isLoading = false;
       dom.refreshBtn.classList.remove('spinning');
       dom.refreshBtn.disabled = false;
     },
 
-    async refreshDeliveroo(seenIds, cache, allIds) {
-      const ui = sectionUI('deliveroo');
-      const hadData = ui.list.children.length > 0;
-      if (!hadData) ui.showState('loading');
-
+    // `snapshot` resolves to jobs.json (null if it failed), whose copy of the
+    // section stays up if the live call fails
+    async refreshLive(company, snapshot, seenIds, cache, allIds) {
+      const ui = sectionUI(company.key);
       try {
-        const jobs = await Deliveroo.fetchJobs();
+        const source = LIVE_SOURCES[company.source.type];
+        if (!source) throw new Error(`Unknown live source: ${company.source.type}`);
+        const [live, data] = await Promise.all([source.fetchJobs(), snapshot]);
+        const jobs = overlayLive(validJobs(data?.companies?.[company.key]?.jobs), live);
         const ts = Date.now();
         ui.renderJobs(jobs, seenIds);
-        ui.updateMeta(jobs.length, ts);
-        cache.deliveroo = { jobs, timestamp: ts };
+        ui.updateMeta(ts);
+        // Live descriptions stay out of localStorage
+        cache[company.key] = { ...cache[company.key], jobs: jobs.map(({ description, ...job }) => job), timestamp: ts };
         jobs.forEach((j) => allIds.add(String(j.id)));
       } catch (err) {
-        console.error('Deliveroo fetch failed:', err);
-        if (!hadData && ui.error) {
-          ui.showState('error');
-        }
+        console.error(`${company.name} fetch failed:`, err);
+        await snapshot;
+        if (!ui.list.children.length && ui.error) ui.showState('error');
       }
     },
 
-    async refreshTargetCompanies(seenIds, cache, allIds) {
-      const companies = ['salesforce', 'booking', 'linkedin', 'confluent', 'docusign', 'indeed', 'tesco', 'linkedin_easy_all'];
+    // Every section from jobs.json. Resolves to the data, or null if the
+    // fetch failed.
+    async refreshSnapshot(seenIds, cache, allIds) {
+      const companies = Registry.companies.map((c) => c.key);
       companies.forEach((c) => {
         const ui = sectionUI(c);
         if (ui.list.children.length === 0) ui.showState('loading');
@@ -543,18 +3480,24 @@
             continue;
           }
 
-          const jobs = companyData.jobs || [];
+          const jobs = validJobs(companyData.jobs);
+          const closed = validJobs(companyData.closed);
           ui.renderJobs(jobs, seenIds);
-          ui.updateMeta(jobs.length, ts);
-          cache[key] = { jobs, timestamp: ts };
+          ui.updateMeta(ts);
+          ui.showHealth(companyData.health);
+          ui.renderClosed(closed);
+          cache[key] = { jobs, timestamp: ts, health: companyData.health, closed };
           jobs.forEach((j) => allIds.add(String(j.id)));
         }
+        renderSourceStatus(data.companies || {});
+        return data;
       } catch (err) {
-        console.error('Target companies fetch failed:', err);
+        console.error('jobs.json fetch failed:', err);
         for (const key of companies) {
           const ui = sectionUI(key);
           if (ui.list.children.length === 0) ui.showState('empty');
         }
+        return null;
       }
     },
 
@@ -562,6 +3505,12 @@
       if ('serviceWorker' in navigator) {
         navigator.serviceWorker.register('service-worker.js')
           .catch((e) => console.warn('SW registration failed:', e));
+        navigator.serviceWorker.addEventListener('message', async (e) => {
+          if (e.data?.type !== 'highlight') return;
+          Highlight.set(e.data.section, e.data.jobIds);
+          await this.refresh();
+          Highlight.show();
+        });
       }
     },
   };
@@ -0,0 +1,40 @@
+/**
+ * Ashby public job board API.
+ * Board token: the slug in jobs.ashbyhq.com/<token>.
+ */
+
+const API_BASE = 'https://api.ashbyhq.com/posting-api/job-board';
+
+function boardUrl(board) {
+  return `${API_BASE}/${encodeURIComponent(board)}`;
+}
+
+const EMPLOYMENT_TYPES = {
+  FullTime: 'Full time',
+  PartTime: 'Part time',
+  Intern: 'Internship',
+  Contract: 'Contract',
+  Temporary: 'Temporary',
+};
+
+function parse(raw, board, now = Date.now()) {
+  const data = JSON.parse(raw);
+  return (data.jobs || [])
+    .filter((j) => j.isListed !== false)
+    .map((j) => ({
+      id: j.id,
+      title: (j.title || '').trim(),
+      url: j.jobUrl || j.applyUrl,
+      location: [j.location, ...(j.secondaryLocations || []).map((s) => s.location)]
+        .filter(Boolean).join(' / ') || '—',
+      department: [j.department, j.team].filter(Boolean).join(' · ') || '—',
+      type: EMPLOYMENT_TYPES[j.employmentType] || j.employmentType || 'Full time',
+      postedDate: j.publishedAt || new Date(now).toISOString(),
+    }));
+}
+
+async function fetchJobs(board, { httpGet }) {
+  return parse(await httpGet(boardUrl(board), { 'Accept': 'application/json' }));
+}
+
+module.exports = { name: 'ashby', boardUrl, parse, fetchJobs };
@@ -0,0 +1,30 @@
+/**
+ * Greenhouse job board API.
+ * Board token: the slug in boards.greenhouse.io/<token> (e.g. "stripe").
+ */
+
+const API_BASE = 'https://boards-api.greenhouse.io/v1/boards';
+
+function boardUrl(board) {
+  // content=true is needed for departments
+  return `${API_BASE}/${encodeURIComponent(board)}/jobs?content=true`;
+}
+
+function parse(raw, board, now = Date.now()) {
+  const data = JSON.parse(raw);
+  return (data.jobs || []).map((j) => ({
+    id: String(j.id),
+    title: (j.title || '').trim(),
+    url: j.absolute_url,
+    location: (j.location && j.location.name) || '—',
+    department: (j.departments || []).map((d) => d.name).join(', ') || '—',
+    type: 'Full time',
+    postedDate: j.first_published || j.updated_at || new Date(now).toISOString(),
+  }));
+}
+
+async function fetchJobs(board, { httpGet }) {
+  return parse(await httpGet(boardUrl(board), { 'Accept': 'application/json' }));
+}
+
+module.exports = { name: 'greenhouse', boardUrl, parse, fetchJobs };
@@ -0,0 +1,32 @@
+/**
+ * ATS adapters: each one turns a public job board into normalised jobs.
+ *
+ * Adapter interface:
+ *   name                      — ATS id used as `source.ats` in config/companies.json
+ *   fetchJobs(board, client, options)
+ *                             — resolves to normalised jobs for a board token.
+ *                               `client` is { httpGet, httpPost } (see lib/http.js),
+ *                               injected so tests can replay recorded responses.
+ *                               `options.searchText` narrows boards that support
+ *                               server-side search (Workday).
+ *                               `options.onTruncated(message)` is called when a
+ *                               paged board lists more postings than its page
+ *                               cap lets it read (Workday).
+ *   parse(raw, board, now)    — normalises one raw response body
+ *
+ * Normalised job: { id, title, url, location, department, type, postedDate }
+ * postedDate is always a string: postings without a date get the fetch time
+ * (`now`), as the scrapers in fetch-jobs.js do.
+ */
+
+const greenhouse = require('./greenhouse');
+const lever = require('./lever');
+const ashby = require('./ashby');
+const workday = require('./workday');
+
+module.exports = {
+  [greenhouse.name]: greenhouse,
+  [lever.name]: lever,
+  [ashby.name]: ashby,
+  [workday.name]: workday,
+};
@@ -0,0 +1,39 @@
+/**
+ * Lever postings API.
+ * Board token: the slug in jobs.lever.co/<token>. Boards hosted in the EU
+ * (jobs.eu.lever.co) use "eu:<token>".
+ */
+
+function boardUrl(board) {
+  const [region, token] = board.includes(':') ? board.split(':') : [null, board];
+  const host = region === 'eu' ? 'api.eu.lever.co' : 'api.lever.co';
+  return `https://${host}/v0/postings/${encodeURIComponent(token)}?mode=json`;
+}
+
+const COMMITMENTS = {
+  'full-time': 'Full time',
+  'part-time': 'Part time',
+};
+
+function parse(raw, board, now = Date.now()) {
+  const postings = JSON.parse(raw);
+  return (Array.isArray(postings) ? postings : []).map((p) => {
+    const cat = p.categories || {};
+    const commitment = (cat.commitment || '').trim();
+    return {
+      id: p.id,
+      title: (p.text || '').trim(),
+      url: p.hostedUrl || p.applyUrl,
+      location: cat.location || (cat.allLocations || []).join(', ') || '—',
+      department: [cat.department, cat.team].filter(Boolean).join(' · ') || '—',
+      type: COMMITMENTS[commitment.toLowerCase()] || commitment || 'Full time',
+      postedDate: new Date(p.createdAt || now).toISOString(),
+    };
+  });
+}
+
+async function fetchJobs(board, { httpGet }) {
+  return parse(await httpGet(boardUrl(board), { 'Accept': 'application/json' }));
+}
+
+module.exports = { name: 'lever', boardUrl, parse, fetchJobs };
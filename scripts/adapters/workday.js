@@ -0,0 +1,70 @@
+/**
+ * Workday candidate experience ("cxs") API.
+ * Board token: "<tenant>.<wdN>/<site>", taken from the careers URL
+ * https://<tenant>.<wdN>.myworkdayjobs.com/<site> (e.g. "databricks.wd1/External").
+ *
+ * Workday pages at 20 postings and only reports relative dates
+ * ("Posted 3 Days Ago"), which are resolved against the fetch time. Phrasing
+ * parsePostedOn doesn't know gets the fetch time itself.
+ */
+
+const PAGE_SIZE = 20;
+const MAX_PAGES = 25;
+
+function parseBoard(board) {
+  const [hostPart, site] = board.split('/');
+  const tenant = hostPart.split('.')[0];
+  return { host: `${hostPart}.myworkdayjobs.com`, tenant, site };
+}
+
+function boardUrl(board) {
+  const { host, tenant, site } = parseBoard(board);
+  return `https://${host}/wday/cxs/${tenant}/${site}/jobs`;
+}
+
+function parsePostedOn(text, now = Date.now()) {
+  const t = (text || '').toLowerCase();
+  let days = null;
+  if (t.includes('today')) days = 0;
+  else if (t.includes('yesterday')) days = 1;
+  else {
+    const m = t.match(/(\d+)\+?\s+days?/);
+    if (m) days = parseInt(m[1], 10);
+  }
+  if (days === null) return null;
+  return new Date(now - days * 86400000).toISOString().slice(0, 10);
+}
+
+function parse(raw, board, now = Date.now()) {
+  const { host, site } = parseBoard(board);
+  const data = JSON.parse(raw);
+  return (data.jobPostings || []).map((p) => ({
+    id: (p.bulletFields && p.bulletFields[0]) || p.externalPath.split('/').pop(),
+    title: (p.title || '').trim(),
+    url: `https://${host}/en-US/${site}${p.externalPath}`,
+    location: p.locationsText || '—',
+    department: '—',
+    type: 'Full time',
+    postedDate: parsePostedOn(p.postedOn, now) || new Date(now).toISOString(),
+  }));
+}
+
+async function fetchJobs(board, { httpPost }, { searchText = '', onTruncated = () => {} } = {}) {
+  const url = boardUrl(board);
+  const jobs = [];
+  let total = Infinity;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const raw = await httpPost(url, {
+      appliedFacets: {}, limit: PAGE_SIZE, offset: page * PAGE_SIZE, searchText,
+    });
+    const batch = parse(raw, board);
+    jobs.push(...batch);
+    // Workday only reports `total` on the first page
+    if (page === 0) total = JSON.parse(raw).total || 0;
+    if (batch.length < PAGE_SIZE || jobs.length >= total) return jobs;
+  }
+  onTruncated(`Read ${MAX_PAGES} pages, ${jobs.length} of ${total} postings`);
+  return jobs;
+}
+
+module.exports = { name: 'workday', boardUrl, parse, parsePostedOn, fetchJobs };
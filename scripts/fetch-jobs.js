@@ -4,91 +4,136 @@
  * Fetches job listings from target companies and writes data/jobs.json.
  * Runs via GitHub Actions on a schedule, or manually.
  *
- * Sources:
- *   Salesforce  — RSS/XML feed (all jobs, filtered to India + SMTS roles)
- *   Booking.com — JSON API (iCIMS/Jibe, filtered to India + SWE roles)
- *   LinkedIn    — Guest HTML endpoint (parsed, filtered to SWE roles in India)
+ * Companies and their sources are declared in config/companies.json, role
+ * filters in config/rules/<key>.json. Source types:
+ *   salesforce-rss      — RSS/XML feed (all jobs, filtered by country)
+ *   booking-json        — JSON API (iCIMS/Jibe)
+ *   linkedin-guest      — Guest HTML endpoint, restricted to one company ID
+ *   smartrecruiters     — SmartRecruiters postings API
+ *   ats                 — Greenhouse / Lever / Ashby / Workday board (scripts/adapters)
+ *   linkedin-easy-apply — Guest HTML endpoint, Easy Apply across all companies
+ *   deliveroo-wp        — Deliveroo's WordPress roles API, with its taxonomies
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
-
-function httpGet(url, headers = {}) {
-  return new Promise((resolve, reject) => {
-    const mod = url.startsWith('https') ? https : http;
-    const req = mod.get(url, { headers }, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return httpGet(res.headers.location, headers).then(resolve, reject);
-      }
-      if (res.statusCode >= 400) {
-        return reject(new Error(`HTTP ${res.statusCode}`));
-      }
-      const chunks = [];
-      res.on('data', (c) => chunks.push(c));
-      res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-    });
-    req.on('error', reject);
-    req.setTimeout(30000, () => { req.destroy(); reject(new Error('Timeout')); });
+const { parseArgs } = require('util');
+const { httpGet, httpPost, httpProbe, getMetrics } = require('./lib/http');
+const adapters = require('./adapters');
+const { loadRule, evaluateRule } = require('./lib/rules');
+const { notifyNewRoles } = require('./lib/notify');
+const { updateFeeds } = require('./lib/feeds');
+const { HISTORY_DAYS, updateStats } = require('./lib/stats');
+const { checkLinks } = require('./lib/links');
+const details = require('./lib/details');
+const regions = require('./lib/regions');
+const salary = require('./lib/salary');
+const schema = require('./lib/schema');
+const { canonicalId, createIndex } = require('./lib/identity');
+
+// ─── Company Registry ───
+// config/companies.json is the single list of sections shared with the PWA.
+// Each entry names a source type (see SOURCES below) and its parameters; the
+// role filter lives in config/rules/<key>.json. Locations come from the
+// region (config/regions.json, scripts/lib/regions.js), which every entry
+// carries as `region`.
+const REGISTRY_PATH = path.join(__dirname, '..', 'config', 'companies.json');
+
+function loadRegistry(levelOverrides = {}, registryPath = REGISTRY_PATH, region = regions.getRegion()) {
+  const companies = JSON.parse(fs.readFileSync(registryPath, 'utf8')).companies;
+  return companies.map((c) => {
+    const rule = loadRule(c.key, levelOverrides[c.key]);
+    if (!rule && SOURCES[c.source.type]) {
+      console.warn(`[${c.name}] No config/rules/${c.key}.json, accepting every title`);
+    }
+    return { ...regions.applyRegion(c, region), region, rule };
   });
 }
 
-/**
- * Strict role matching per company.
- * Only titles the user is actually targeting.
- */
+// ─── Role Filter ───
+// Every title a source hands to the role filter is kept per company and
+// written to data/raw-titles.json, so rules can be re-run offline with
+// --dry-run.
+const RAW_TITLES_FILE = 'raw-titles.json';
+const rawTitles = {};
+
 function matchesRoleFilter(title, company) {
-  const t = title.toLowerCase();
-
-  switch (company) {
-    case 'salesforce':
-      // "Senior Member of Technical Staff" / "SMTS" only
-      return /\bsmts\b/.test(t) || t.includes('senior member of technical staff');
-
-    case 'booking':
-      // "Senior Software Engineer" only (not plain SWE I/II, not Staff, not Architect)
-      return /senior\s+software\s+engineer/i.test(title);
-
-    case 'linkedin':
-      // "Senior Software Engineer" / "Sr. Software Engineer" only (not Staff, not Principal)
-      if (/\b(staff|principal|lead|manager|director)\b/i.test(title)) return false;
-      return /\b(senior|sr\.?)\s+software\s+engineer/i.test(title);
-
-    case 'confluent':
-      // SSE2 = Senior Software Engineer only
-      if (/\b(staff|principal|lead|manager|director)\b/i.test(title)) return false;
-      return /\b(senior|sr\.?)\s+software\s+engineer/i.test(title);
-
-    case 'docusign':
-      // P4 = Senior Software Engineer only
-      if (/\b(staff|principal|lead|manager|director)\b/i.test(title)) return false;
-      return /\b(senior|sr\.?)\s+software\s+engineer/i.test(title);
-
-    case 'indeed':
-      // L2-II = Senior Software Engineer only
-      if (/\b(staff|principal|lead|manager|director)\b/i.test(title)) return false;
-      return /\b(senior|sr\.?)\s+software\s+engineer/i.test(title);
-
-    case 'tesco':
-      // SE3 = Senior Software Engineer only
-      if (/\b(staff|principal|lead|manager|director)\b/i.test(title)) return false;
-      return /\b(senior|sr\.?)\s+(software|full[- ]?stack)\s+engineer/i.test(title);
-
-    default:
-      return false;
+  (rawTitles[company.key] = rawTitles[company.key] || new Set()).add(title);
+  return evaluateRule(company.rule, title).accepted;
+}
+
+function loadRawTitles(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, RAW_TITLES_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Failed sources keep their previous titles rather than emptying the file
+function saveRawTitles(dir, previous, health, now = Date.now()) {
+  const companies = {};
+  for (const [key, h] of Object.entries(health)) {
+    const titles = rawTitles[key] ? [...rawTitles[key]].sort() : [];
+    const prevTitles = previous && previous.companies && previous.companies[key];
+    companies[key] = h.status === 'error' && prevTitles ? prevTitles : titles;
   }
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, RAW_TITLES_FILE), JSON.stringify({ fetchedAt: new Date(now).toISOString(), companies }, null, 2));
+}
+
+// ─── Fetch Health ───
+// Every source fills in a report so that "the feed is down" can be told apart
+// from "no matching roles". Reports are written to jobs.json as
+// companies[key].health and surfaced by the PWA.
+function createReport() {
+  return {
+    status: 'ok',
+    error: null,
+    httpStatus: null,
+    pages: 0,
+    rawCount: 0,
+    matchedCount: 0,
+    durationMs: 0,
+  };
+}
+
+function recordError(report, err) {
+  report.error = err.message;
+  report.httpStatus = err.statusCode || null;
+}
+
+// A source that stopped at its page cap while its reported total was larger.
+// The run is partial (see runSource), so the jobs past the cap aren't closed.
+function recordTruncated(report, message) {
+  report.truncated = true;
+  if (!report.error) report.error = message;
+}
+
+// Every fetcher takes its network as an { httpGet, httpPost } client, so
+// tests can replay recorded responses instead (scripts/lib/replay.js)
+const defaultClient = { httpGet, httpPost, httpProbe };
+
+// HTTP client that counts successful requests as fetched pages
+function trackedClient(report, network = defaultClient) {
+  const count = (body) => { report.pages++; return body; };
+  return {
+    httpGet: (...args) => network.httpGet(...args).then(count),
+    httpPost: (...args) => network.httpPost(...args).then(count),
+  };
 }
 
 // ─── Salesforce (RSS/XML) ───
-async function fetchSalesforce() {
-  console.log('[Salesforce] Fetching RSS feed...');
-  const url = 'https://careers.salesforce.com/en/jobs/xml/?rss=true';
+async function fetchSalesforce(company, report, network = defaultClient) {
+  const { url, country: targetCountry } = company.source;
+  const client = trackedClient(report, network);
+  console.log(`[${company.name}] Fetching RSS feed...`);
 
   try {
-    const xml = await httpGet(url);
+    const xml = await client.httpGet(url, {}, { conditional: true });
     const jobs = [];
     const jobBlocks = xml.split('<job>').slice(1);
+    report.rawCount = jobBlocks.length;
 
     for (const block of jobBlocks) {
       const get = (tag) => {
@@ -97,10 +142,10 @@ async function fetchSalesforce() {
       };
 
       const country = get('country');
-      if (country !== 'India') continue;
+      if (country !== targetCountry) continue;
 
       const title = get('title');
-      if (!matchesRoleFilter(title, 'salesforce')) continue;
+      if (!matchesRoleFilter(title, company)) continue;
 
       jobs.push({
         id: get('requisitionid'),
@@ -114,27 +159,29 @@ async function fetchSalesforce() {
     }
 
     jobs.sort((a, b) => new Date(b.postedDate) - new Date(a.postedDate));
-    console.log(`[Salesforce] Found ${jobs.length} matching India roles`);
+    console.log(`[${company.name}] Found ${jobs.length} matching ${company.region.name} roles`);
     return jobs;
   } catch (err) {
-    console.error('[Salesforce] Error:', err.message);
+    console.error(`[${company.name}] Error:`, err.message);
+    recordError(report, err);
     return [];
   }
 }
 
 // ─── Booking.com (JSON API) ───
-async function fetchBooking() {
-  console.log('[Booking.com] Fetching jobs API...');
-  const url = 'https://jobs.booking.com/api/jobs?location=India&limit=100';
+async function fetchBooking(company, report, network = defaultClient) {
+  const client = trackedClient(report, network);
+  console.log(`[${company.name}] Fetching jobs API...`);
 
   try {
-    const raw = await httpGet(url);
+    const raw = await client.httpGet(company.source.url, {}, { conditional: true });
     const data = JSON.parse(raw);
     const jobs = [];
+    report.rawCount = (data.jobs || []).length;
     for (const item of data.jobs || []) {
       const d = item.data || {};
       const title = d.title || '';
-      if (!matchesRoleFilter(title, 'booking')) continue;
+      if (!matchesRoleFilter(title, company)) continue;
 
       jobs.push({
         id: d.req_id || d.slug,
@@ -144,77 +191,25 @@ async function fetchBooking() {
         department: (d.category || []).map((c) => c.trim()).join(', ') || '—',
         type: d.employment_type || 'Full time',
         postedDate: d.posted_date || d.create_date,
+        // Moved into data/descriptions by scripts/lib/details.js
+        description: [d.description, d.responsibilities, d.qualifications].filter(Boolean).join(''),
       });
     }
 
     jobs.sort((a, b) => new Date(b.postedDate) - new Date(a.postedDate));
-    console.log(`[Booking.com] Found ${jobs.length} matching India roles`);
+    console.log(`[${company.name}] Found ${jobs.length} matching ${company.region.name} roles`);
     return jobs;
   } catch (err) {
-    console.error('[Booking.com] Error:', err.message);
+    console.error(`[${company.name}] Error:`, err.message);
+    recordError(report, err);
     return [];
   }
 }
 
-// ─── LinkedIn (Guest HTML API) ───
-async function fetchLinkedIn() {
-  console.log('[LinkedIn] Fetching guest job listings...');
-  const allJobs = [];
-
-  // f_C=1337 = LinkedIn company, sortBy=DD = most recent, f_TPR=r2592000 = past month
-  const baseUrl =
-    'https://www.linkedin.com/jobs-guest/jobs/api/seeMoreJobPostings/search' +
-    '?keywords=Senior+Software+Engineer&location=India&f_C=1337&sortBy=DD&f_TPR=r2592000';
-
-  try {
-    for (let start = 0; start < 100; start += 25) {
-      const url = `${baseUrl}&start=${start}`;
-      const html = await httpGet(url, {
-        'User-Agent': 'Mozilla/5.0 (compatible; JobTracker/1.0)',
-      });
-      if (!html.includes('base-search-card')) break;
-
-      const cards = html.split('data-entity-urn').slice(1);
-      for (const card of cards) {
-        const titleMatch = card.match(/base-search-card__title[^"]*"[^>]*>([^<]+)/);
-        const linkMatch = card.match(/href="(https?:\/\/[^"]*linkedin\.com\/jobs\/view\/[^"?&]+)/);
-        const locMatch = card.match(/job-search-card__location[^>]*>([^<]+)/);
-        const companyMatch = card.match(/subtitle[\s\S]*?href="[^"]*company[^"]*"[^>]*>\s*([^<]+)/);
-        const companyFallback = card.match(/base-search-card__subtitle[^>]*>[\s\S]*?(?:<[^>]*>)*\s*(\S[^<]+)/);
-        const dateMatch = card.match(/datetime="([^"]+)"/);
-
-        if (!titleMatch) continue;
-        const title = titleMatch[1].trim();
-        if (!matchesRoleFilter(title, 'linkedin')) continue;
-
-        const company = (companyMatch ? companyMatch[1] : companyFallback ? companyFallback[1] : '').trim() || 'LinkedIn';
-        allJobs.push({
-          id: linkMatch ? linkMatch[1].split('/').pop() : `li-${allJobs.length}`,
-          title,
-          url: linkMatch ? linkMatch[1] : '#',
-          location: locMatch ? locMatch[1].trim() : 'India',
-          department: company,
-          type: 'Full time',
-          postedDate: dateMatch ? dateMatch[1] : new Date().toISOString(),
-        });
-      }
-
-      // Small delay between pages
-      await new Promise((r) => setTimeout(r, 500));
-    }
-
-    allJobs.sort((a, b) => new Date(b.postedDate) - new Date(a.postedDate));
-    console.log(`[LinkedIn] Found ${allJobs.length} matching India roles`);
-    return allJobs;
-  } catch (err) {
-    console.error('[LinkedIn] Error:', err.message);
-    return allJobs;
-  }
-}
-
 // ─── LinkedIn Easy Apply ───
 
-function parseLinkedInCards(html) {
+// `fallbackLocation` is used for cards without one (the searched location)
+function parseLinkedInCards(html, fallbackLocation) {
   const results = [];
   const cards = html.split('data-entity-urn').slice(1);
   for (const card of cards) {
@@ -234,7 +229,7 @@ function parseLinkedInCards(html) {
       id: jobId || `li-${results.length}`,
       title,
       url: linkMatch ? linkMatch[1] : '#',
-      location: locMatch ? locMatch[1].trim() : 'India',
+      location: locMatch ? locMatch[1].trim() : fallbackLocation,
       department: company,
       type: 'Easy Apply',
       postedDate: dateMatch ? dateMatch[1] : new Date().toISOString(),
@@ -243,137 +238,33 @@ function parseLinkedInCards(html) {
   return results;
 }
 
-// ─── Salary Lookup: levels.fyi (primary) → AmbitionBox (fallback) ───
-const MIN_SALARY_LPA = 50;
-const SALARY_CACHE_PATH = path.join(__dirname, '..', 'data', 'salary-cache.json');
-const SALARY_CACHE_TTL_DAYS = 14;
-
-// Curated India TC data (P75, senior/staff level) from levels.fyi via job-tracker.
-// Key = lowercase company name, value = max TC in LPA.
-const LEVELS_FYI_INDIA_TC = {
-  'atlassian': 198, 'uber': 155, 'rubrik': 151, 'stripe': 137, 'apple': 137,
-  'docusign': 100, 'indeed': 100, 'tesco': 85,
-  'snowflake': 120, 'palantir': 120, 'microsoft': 110, 'linkedin': 110,
-  'datadog': 110, 'databricks': 103, 'hashicorp': 100, 'gitlab': 100,
-  'confluent': 95, 'salesforce': 91, 'intuit': 91, 'palo alto networks': 90,
-  'cloudflare': 90, 'elastic': 90, 'flipkart': 86, 'nutanix': 85,
-  'zscaler': 85, 'new relic': 85, 'vmware': 80, 'broadcom': 80, 'netapp': 80,
-  'arista networks': 80, 'razorpay': 80, 'akamai': 75, 'phonepe': 75,
-  'google': 73, 'oracle': 70, 'cisco': 70, 'f5 networks': 70,
-  'juniper networks': 70, 'adobe': 70, 'amazon': 68, 'aws': 68,
-  'booking.com': 66, 'fortinet': 65, 'servicenow': 65, 'goldman sachs': 64,
-  'walmart': 62, 'morgan stanley': 54, 'paypal': 51, 'cred': 50,
-  'visa': 40, 'groww': 40, 'paytm': 35, 'zerodha': 35, 'mastercard': 33,
-  'bharatpe': 32, 'hdfc bank': 28, 'bajaj finance': 28, 'upstox': 28,
-  'icici bank': 25, 'genpact': 25, 'hdfc': 24, 'tcs': 22, 'infosys': 22,
-  'wipro': 20, 'cognizant': 22, 'capgemini': 20, 'hcl': 20,
-  'yes bank': 18, 'concentrix': 18, 'federal bank': 16, 'bandhan bank': 15,
-  'epam systems': 28, 'epam': 28, 'cgi': 16, 'freshworks': 26, 'agoda': 59,
-  'roku': 90, 'coinbase': 69, 'rippling': 60, 'doordash': 64,
-  'commonwealth bank': 38, 'uplers': 22,
-};
-
-function lookupLevelsFyi(companyName) {
-  var c = companyName.toLowerCase().trim();
-  if (LEVELS_FYI_INDIA_TC[c] !== undefined) return LEVELS_FYI_INDIA_TC[c];
-  for (var key in LEVELS_FYI_INDIA_TC) {
-    if (c.includes(key) || key.includes(c)) return LEVELS_FYI_INDIA_TC[key];
-  }
-  return null;
-}
-
-function loadSalaryCache() {
-  try {
-    return JSON.parse(fs.readFileSync(SALARY_CACHE_PATH, 'utf8'));
-  } catch {
-    return {};
-  }
-}
-
-function saveSalaryCache(cache) {
-  fs.mkdirSync(path.dirname(SALARY_CACHE_PATH), { recursive: true });
-  fs.writeFileSync(SALARY_CACHE_PATH, JSON.stringify(cache, null, 2));
-}
-
-function companyToSlug(name) {
-  return name.toLowerCase()
-    .replace(/&amp;/g, 'and').replace(/&/g, 'and')
-    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-}
-
-var childProcess = require('child_process');
-
-function curlGet(url) {
-  return new Promise(function (resolve, reject) {
-    childProcess.exec(
-      'curl -sL -H "User-Agent: Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36" --max-time 10 ' + JSON.stringify(url),
-      { maxBuffer: 2 * 1024 * 1024 },
-      function (err, stdout) {
-        if (err) return reject(err);
-        resolve(stdout);
-      }
-    );
-  });
-}
-
-async function fetchSalaryFromAmbitionBox(companySlug) {
-  var url = 'https://www.ambitionbox.com/salaries/' + companySlug + '-salaries/senior-software-engineer';
-  try {
-    var html = await curlGet(url);
-    var rangeMatch = html.match(/salary[^₹]{0,50}₹([\d,.]+)\s*(Lakhs?|L|Cr)[^₹]{0,30}₹([\d,.]+)\s*(Lakhs?|L|Cr)/i);
-    if (rangeMatch) {
-      var minLPA = parseFloat(rangeMatch[1].replace(/,/g, ''));
-      var maxLPA = parseFloat(rangeMatch[3].replace(/,/g, ''));
-      if (rangeMatch[2].toLowerCase().startsWith('cr')) minLPA *= 100;
-      if (rangeMatch[4].toLowerCase().startsWith('cr')) maxLPA *= 100;
-      return { minLPA: minLPA, maxLPA: maxLPA, source: 'ambitionbox' };
-    }
-    return { minLPA: null, maxLPA: null };
-  } catch {
-    return { minLPA: null, maxLPA: null };
-  }
-}
-
-async function getSalaryData(companyName, cache) {
-  // 1. Try levels.fyi curated data (instant, no network)
-  var levelsTc = lookupLevelsFyi(companyName);
-  if (levelsTc !== null) {
-    return { maxLPA: levelsTc, source: 'levels.fyi' };
-  }
-
-  // 2. Try AmbitionBox cache
-  var slug = companyToSlug(companyName);
-  var cached = cache[slug];
-  var now = Date.now();
-  if (cached && cached.ts && (now - cached.ts) < SALARY_CACHE_TTL_DAYS * 86400000) {
-    return cached;
-  }
-
-  // 3. Fetch from AmbitionBox (fallback)
-  var data = await fetchSalaryFromAmbitionBox(slug);
-  cache[slug] = { minLPA: data.minLPA, maxLPA: data.maxLPA, source: 'ambitionbox', ts: now };
-  return cache[slug];
-}
-
-// ─── Generic LinkedIn Company Fetcher ───
-// Uses the same guest API as fetchLinkedIn() but with a specific company ID (f_C).
-async function fetchLinkedInCompany(companyId, companyName, filterKey) {
+// ─── Generic LinkedIn Company Fetcher (Guest HTML API) ───
+// Searches the guest job listings restricted to one company ID (f_C).
+// sortBy=DD = most recent, f_TPR=r2592000 = past month. Pages hold 25 cards;
+// `source.maxPages` caps how many are read (default 4).
+async function fetchLinkedInCompany(company, report, network = defaultClient) {
+  const { companyId } = company.source;
+  const client = trackedClient(report, network);
+  const companyName = company.name;
   console.log(`[${companyName}] Fetching LinkedIn company jobs (f_C=${companyId})...`);
   const allJobs = [];
 
   const baseUrl =
     'https://www.linkedin.com/jobs-guest/jobs/api/seeMoreJobPostings/search' +
-    `?keywords=Senior+Software+Engineer&location=India&f_C=${companyId}&sortBy=DD&f_TPR=r2592000`;
+    `?keywords=Senior+Software+Engineer&location=${encodeURIComponent(company.source.location)}&f_C=${companyId}&sortBy=DD&f_TPR=r2592000`;
+
+  const maxPages = company.source.maxPages || 4;
 
   try {
-    for (let start = 0; start < 100; start += 25) {
+    for (let start = 0; start < maxPages * 25; start += 25) {
       const url = `${baseUrl}&start=${start}`;
-      const html = await httpGet(url, {
+      const html = await client.httpGet(url, {
         'User-Agent': 'Mozilla/5.0 (compatible; JobTracker/1.0)',
       });
       if (!html.includes('base-search-card')) break;
 
       const cards = html.split('data-entity-urn').slice(1);
+      report.rawCount += cards.length;
       for (const card of cards) {
         const titleMatch = card.match(/base-search-card__title[^"]*"[^>]*>([^<]+)/);
         const linkMatch = card.match(/href="(https?:\/\/[^"]*linkedin\.com\/jobs\/view\/[^"?&]+)/);
@@ -382,55 +273,61 @@ async function fetchLinkedInCompany(companyId, companyName, filterKey) {
 
         if (!titleMatch) continue;
         const title = titleMatch[1].trim();
-        if (!matchesRoleFilter(title, filterKey)) continue;
+        if (!matchesRoleFilter(title, company)) continue;
 
         allJobs.push({
           id: linkMatch ? linkMatch[1].split('/').pop() : `li-${allJobs.length}`,
           title,
           url: linkMatch ? linkMatch[1] : '#',
-          location: locMatch ? locMatch[1].trim() : 'India',
+          location: locMatch ? locMatch[1].trim() : company.source.location,
           department: companyName,
           type: 'Full time',
           postedDate: dateMatch ? dateMatch[1] : new Date().toISOString(),
         });
       }
-
-      await new Promise((r) => setTimeout(r, 500));
     }
 
     allJobs.sort((a, b) => new Date(b.postedDate) - new Date(a.postedDate));
-    console.log(`[${companyName}] Found ${allJobs.length} matching India roles`);
+    console.log(`[${companyName}] Found ${allJobs.length} matching ${company.region.name} roles`);
     return allJobs;
   } catch (err) {
     console.error(`[${companyName}] Error:`, err.message);
+    recordError(report, err);
     return allJobs;
   }
 }
 
-// ─── Tesco (SmartRecruiters) ───
-async function fetchTesco() {
-  console.log('[Tesco] Fetching SmartRecruiters jobs...');
-  const url = 'https://api.smartrecruiters.com/v1/companies/Tesco/postings?limit=100&offset=0';
+// ─── SmartRecruiters (e.g. Tesco) ───
+async function fetchSmartRecruiters(company, report, network = defaultClient) {
+  const { company: srCompany, locationPattern } = company.source;
+  const client = trackedClient(report, network);
+  console.log(`[${company.name}] Fetching SmartRecruiters jobs...`);
+  const url = `https://api.smartrecruiters.com/v1/companies/${srCompany}/postings?limit=100&offset=0`;
+  const locationRe = new RegExp(locationPattern, 'i');
 
   try {
-    const raw = await httpGet(url, { 'Accept': 'application/json' });
+    const raw = await client.httpGet(url, { 'Accept': 'application/json' });
     const data = JSON.parse(raw);
     const jobs = [];
+    report.rawCount = (data.content || []).length;
+    if (data.totalFound > report.rawCount) {
+      recordTruncated(report, `Read ${report.rawCount} of ${data.totalFound} postings (one page of 100)`);
+    }
 
     for (const job of data.content || []) {
       const city = (job.location && job.location.city) || '';
       const country = (job.location && job.location.country) || '';
       const locationStr = [city, country].filter(Boolean).join(', ');
-      if (!/india|bengaluru|bangalore|hyderabad/i.test(locationStr)) continue;
+      if (!locationRe.test(locationStr)) continue;
 
       const title = job.name || '';
-      if (!matchesRoleFilter(title, 'tesco')) continue;
+      if (!matchesRoleFilter(title, company)) continue;
 
       jobs.push({
         id: job.id,
         title,
-        url: `https://careers.smartrecruiters.com/Tesco/${job.id}`,
-        location: locationStr || 'India',
+        url: `https://careers.smartrecruiters.com/${srCompany}/${job.id}`,
+        location: locationStr || company.region.name,
         department: (job.department && job.department.label) || '—',
         type: (job.typeOfEmployment && job.typeOfEmployment.label) || 'Full time',
         postedDate: job.releasedDate || new Date().toISOString(),
@@ -438,10 +335,140 @@ async function fetchTesco() {
     }
 
     jobs.sort((a, b) => new Date(b.postedDate) - new Date(a.postedDate));
-    console.log(`[Tesco] Found ${jobs.length} matching India roles`);
+    console.log(`[${company.name}] Found ${jobs.length} matching ${company.region.name} roles`);
     return jobs;
   } catch (err) {
-    console.error('[Tesco] Error:', err.message);
+    console.error(`[${company.name}] Error:`, err.message);
+    recordError(report, err);
+    return [];
+  }
+}
+
+// ─── Deliveroo (WordPress roles API) ───
+// Deliveroo's careers site is WordPress: roles are posts whose taxonomies
+// (teams, departments, ...) are lists of term IDs, resolved against each
+// taxonomy's terms. Roles and terms are both paged, read to X-WP-TotalPages.
+// The PWA still calls the roles API itself (`live` in the registry), as a
+// fresher overlay on this snapshot.
+const DELIVEROO_API = 'https://careers.deliveroo.co.uk/wp-json/wp/v2';
+const DELIVEROO_TAXONOMIES = ['teams', 'departments', 'employment_types', 'workplace_types', 'locations'];
+const WP_MAX_PAGES = 20;
+
+// Workplace type term names → details.workplace (see scripts/lib/details.js)
+const WORKPLACE_TYPES = [[/hybrid/i, 'hybrid'], [/remote/i, 'remote'], [/office|on-?site/i, 'onsite']];
+
+// Reads a paged WordPress collection into `items`, which keeps the pages
+// read so far if a later one fails; `url` already has a query string.
+// `onTruncated(message)` is called when there are more than WP_MAX_PAGES.
+async function fetchWpPages(client, url, items = [], onTruncated = () => {}) {
+  let totalPages = 1;
+  for (let page = 1; page <= Math.min(totalPages, WP_MAX_PAGES); page++) {
+    const res = await client.httpGet(`${url}&page=${page}`, { 'Accept': 'application/json' }, {
+      responseHeaders: ['X-WP-TotalPages'],
+    });
+    items.push(...JSON.parse(res.body));
+    totalPages = parseInt(res.headers['x-wp-totalpages'], 10) || 1;
+  }
+  if (totalPages > WP_MAX_PAGES) onTruncated(`Read ${WP_MAX_PAGES} of ${totalPages} pages`);
+  return items;
+}
+
+// { taxonomy: { termId: name } }
+async function fetchWpTerms(client, api) {
+  const terms = {};
+  for (const taxonomy of DELIVEROO_TAXONOMIES) {
+    const items = await fetchWpPages(client, `${api}/${taxonomy}?per_page=100`);
+    terms[taxonomy] = Object.fromEntries(items.map((t) => [t.id, details.decodeEntities(t.name)]));
+  }
+  return terms;
+}
+
+// The region's `locationId`, else the location term named like its `location`
+function deliverooLocationId({ locationId, location }, locations) {
+  if (locationId) return locationId;
+  const wanted = String(location || '').toLowerCase();
+  const entries = Object.entries(locations);
+  const match = entries.find(([, name]) => name.toLowerCase() === wanted)
+    || entries.find(([, name]) => name.toLowerCase().includes(wanted));
+  if (!match) throw new Error(`No Deliveroo location matching "${location}"`);
+  return match[0];
+}
+
+// Only roles pages count towards health's `pages`; the terms are lookups
+async function fetchDeliveroo(company, report, network = defaultClient) {
+  const api = company.source.api || DELIVEROO_API;
+  console.log(`[${company.name}] Fetching WordPress roles...`);
+  const roles = [];
+  let terms;
+
+  try {
+    terms = await fetchWpTerms(network, api);
+    const locationId = deliverooLocationId(company.source, terms.locations);
+    const url = `${api}/roles?locations=${locationId}&per_page=100&orderby=date&order=desc`;
+    await fetchWpPages(trackedClient(report, network), url, roles, (message) => recordTruncated(report, message));
+  } catch (err) {
+    console.error(`[${company.name}] Error:`, err.message);
+    recordError(report, err);
+  }
+
+  report.rawCount = roles.length;
+  const names = (role, taxonomy) => (role[taxonomy] || [])
+    .map((id) => terms[taxonomy][id]).filter(Boolean).join(taxonomy === 'locations' ? ' / ' : ', ');
+  const jobs = [];
+  for (const role of roles) {
+    const title = details.decodeEntities((role.title && role.title.rendered) || '');
+    if (!matchesRoleFilter(title, company)) continue;
+    const workplace = WORKPLACE_TYPES.find(([re]) => re.test(names(role, 'workplace_types')));
+
+    jobs.push({
+      id: role.id,
+      title,
+      url: role.link,
+      location: names(role, 'locations')
+        || (role.meta && (role.meta.ats_location || role.meta.ashby_location)) || company.region.name,
+      department: names(role, 'departments') || '—',
+      team: names(role, 'teams') || '—',
+      type: names(role, 'employment_types') || 'Full time',
+      postedDate: role.date_gmt ? `${role.date_gmt}Z` : role.date,
+      // Both moved into data/descriptions and `details` by scripts/lib/details.js
+      description: (role.content && role.content.rendered) || '',
+      workplace: workplace ? workplace[1] : null,
+    });
+  }
+
+  jobs.sort((a, b) => new Date(b.postedDate) - new Date(a.postedDate));
+  console.log(`[${company.name}] Found ${jobs.length} matching ${company.region.name} roles`);
+  return jobs;
+}
+
+// ─── ATS Job Boards (Greenhouse, Lever, Ashby, Workday) ───
+// source: { type: 'ats', ats: 'greenhouse', board: 'stripe', locationPattern, searchText? }
+async function fetchAtsBoard(company, report, network = defaultClient) {
+  const { ats, board, locationPattern, searchText } = company.source;
+  const adapter = adapters[ats];
+  if (!adapter) {
+    console.error(`[${company.name}] Unknown ATS "${ats}"`);
+    recordError(report, new Error(`Unknown ATS "${ats}"`));
+    return [];
+  }
+  console.log(`[${company.name}] Fetching ${ats} board "${board}"...`);
+  const locationRe = new RegExp(locationPattern, 'i');
+
+  try {
+    const all = await adapter.fetchJobs(board, trackedClient(report, network), {
+      searchText, onTruncated: (message) => recordTruncated(report, message),
+    });
+    report.rawCount = all.length;
+    const jobs = all.filter((j) =>
+      locationRe.test(j.location) && matchesRoleFilter(j.title, company)
+    );
+
+    jobs.sort((a, b) => new Date(b.postedDate) - new Date(a.postedDate));
+    console.log(`[${company.name}] Found ${jobs.length} matching ${company.region.name} roles (of ${all.length})`);
+    return jobs;
+  } catch (err) {
+    console.error(`[${company.name}] Error:`, err.message);
+    recordError(report, err);
     return [];
   }
 }
@@ -476,55 +503,38 @@ function isExternalApplyCompany(companyName) {
   return false;
 }
 
-// Backend-focused role filter for Easy Apply
-function matchesEasyApplyFilter(title) {
-  const t = title.toLowerCase();
-  // Exclude non-backend roles
-  if (/\b(frontend|front[- ]end|ui\b|ux\b|react|angular|ios|android|mobile)\b/.test(t)) return false;
-  if (/\b(security|cybersec|infosec|penetration|threat)\b/.test(t)) return false;
-  if (/\b(machine learning|ml\b|data scientist|ai\b|nlp|computer vision)\b/.test(t)) return false;
-  if (/\b(manager|director|recruiter|analyst|consultant|intern|qa\b|test|sdet)\b/.test(t)) return false;
-  if (/\b(network|hardware|firmware|embedded)\b/.test(t)) return false;
-  // Must be senior-level
-  if (!/\b(senior|sr\.?|lead|staff|principal)\b/.test(t)) return false;
-  // Must be backend-adjacent engineering
-  return /\b(software|backend|back[- ]end|full[- ]?stack|platform|systems|cloud|devops|sre|infrastructure|distributed)\b/.test(t) &&
-    /\b(engineer|developer|architect)\b/.test(t);
-}
-
-async function fetchLinkedInEasyApplyAll() {
+async function fetchLinkedInEasyApplyAll(company, report, network = defaultClient) {
   console.log('[LinkedIn Easy Apply All] Fetching across multiple queries...');
+  const client = trackedClient(report, network);
   const seen = new Set();
   const allJobs = [];
 
-  const searches = [
-    'Senior+Software+Engineer',
-    'Senior+Backend+Engineer',
-    'Senior+Platform+Engineer',
-    'Staff+Software+Engineer',
-    'Senior+Software+Developer',
-  ];
+  const maxPages = company.source.maxPages || 20;
+  const searches = company.source.searches.map(
+    (s) => encodeURIComponent(s).replace(/%20/g, '+')
+  );
 
   for (const keywords of searches) {
     const base =
       'https://www.linkedin.com/jobs-guest/jobs/api/seeMoreJobPostings/search' +
-      '?keywords=' + keywords + '&location=India&f_AL=true&sortBy=DD&f_TPR=r2592000';
+      '?keywords=' + keywords + '&location=' + encodeURIComponent(company.source.location) + '&f_AL=true&sortBy=DD&f_TPR=r2592000';
 
     try {
-      for (let start = 0; start < 500; start += 25) {
+      for (let start = 0; start < maxPages * 25; start += 25) {
         const url = base + '&start=' + start;
-        const html = await httpGet(url, {
+        const html = await client.httpGet(url, {
           'User-Agent': 'Mozilla/5.0 (compatible; JobTracker/1.0)',
         });
         if (!html.includes('base-search-card')) break;
 
-        const jobs = parseLinkedInCards(html);
+        const jobs = parseLinkedInCards(html, company.source.location);
+        report.rawCount += jobs.length;
         let added = 0;
         for (const job of jobs) {
           if (seen.has(job.id)) continue;
-          if (!matchesEasyApplyFilter(job.title)) continue;
-          const company = (job.department || '').toLowerCase().trim();
-          if (isExternalApplyCompany(company)) continue;
+          if (!matchesRoleFilter(job.title, company)) continue;
+          const employer = (job.department || '').toLowerCase().trim();
+          if (isExternalApplyCompany(employer)) continue;
           seen.add(job.id);
           allJobs.push(job);
           added++;
@@ -532,14 +542,11 @@ async function fetchLinkedInEasyApplyAll() {
 
         // Stop paginating this query if we're getting zero new results
         if (added === 0 && start >= 100) break;
-
-        await new Promise(function (r) { setTimeout(r, 300); });
       }
     } catch (err) {
       console.error('[LinkedIn Easy Apply All] Error on "' + keywords + '":', err.message);
+      recordError(report, err);
     }
-
-    await new Promise(function (r) { setTimeout(r, 500); });
   }
 
   allJobs.sort(function (a, b) { return new Date(b.postedDate) - new Date(a.postedDate); });
@@ -548,252 +555,442 @@ async function fetchLinkedInEasyApplyAll() {
   return allJobs;
 }
 
-// Filter jobs by salary: levels.fyi (primary) → AmbitionBox (fallback)
-async function filterBySalary(jobs, salaryCache) {
-  var uniqueCompanies = new Set();
-  jobs.forEach(function (j) { if (j.department) uniqueCompanies.add(j.department); });
-
-  // First pass: check how many are covered by levels.fyi vs need AmbitionBox
-  var needAmbitionBox = [];
-  var levelsHits = 0;
-  Array.from(uniqueCompanies).forEach(function (c) {
-    if (lookupLevelsFyi(c) !== null) { levelsHits++; }
-    else { needAmbitionBox.push(c); }
-  });
-
-  console.log('[Salary] ' + uniqueCompanies.size + ' unique companies: ' + levelsHits + ' from levels.fyi, ' + needAmbitionBox.length + ' need AmbitionBox');
+// ─── Job Lifecycle ───
+// Jobs stay listed for as long as their source keeps returning them. Each run
+// stamps firstSeenAt / lastSeenAt; a job missing from a complete run gets
+// closedAt and moves to data/history.json. Recent closures (last 7 days) are
+// also kept in jobs.json so the PWA can show them.
+const RECENTLY_CLOSED_DAYS = 7;
+const HISTORY_FILE = 'history.json';
+
+// history.json follows config/schemas/history.schema.json
+const HISTORY_MIGRATIONS = {
+  // Unversioned archives have the same shape, minus the version
+  0: (raw) => ({ ...raw, companies: raw.companies || {} }),
+};
 
-  // Fetch AmbitionBox data for companies not in levels.fyi
-  var CONCURRENCY = 5;
-  for (var i = 0; i < needAmbitionBox.length; i += CONCURRENCY) {
-    var batch = needAmbitionBox.slice(i, i + CONCURRENCY);
-    await Promise.all(batch.map(function (c) { return getSalaryData(c, salaryCache); }));
-    if (i + CONCURRENCY < needAmbitionBox.length) {
-      await new Promise(function (r) { setTimeout(r, 300); });
+// jobs.json follows config/schemas/jobs.schema.json; JOBS_MIGRATIONS[v]
+// upgrades version v to v + 1.
+const JOBS_MIGRATIONS = {
+  // Unversioned output. Sections from before fetch health and the job
+  // lifecycle lack health, closed and seen dates: the run that wrote them is
+  // taken to have succeeded, and its jobs to have been seen then.
+  0: (data) => {
+    const at = data.fetchedAt;
+    const companies = {};
+    for (const [key, sec] of Object.entries(data.companies || {})) {
+      const jobs = (sec.jobs || []).map((j) => ({
+        ...j, firstSeenAt: j.firstSeenAt || at, lastSeenAt: j.lastSeenAt || at, closedAt: j.closedAt || null,
+      }));
+      companies[key] = {
+        ...sec,
+        health: sec.health || {
+          ...createReport(), rawCount: jobs.length, matchedCount: jobs.length, lastSuccessAt: at,
+        },
+        jobs,
+        closed: sec.closed || [],
+      };
     }
-  }
-
-  saveSalaryCache(salaryCache);
+    return { ...data, companies };
+  },
+};
 
-  var passed = [];
-  var rejected = [];
-  var noData = [];
-  var sourceCounts = { 'levels.fyi': 0, 'ambitionbox': 0, 'none': 0 };
+function loadExistingJobs(outPath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+  } catch {
+    return null;
+  }
+  return schema.migrate('jobs', raw, JOBS_MIGRATIONS);
+}
 
-  jobs.forEach(function (job) {
-    var company = job.department || '';
-    var salaryData = getSalaryDataSync(company, salaryCache);
+function byPostedDesc(a, b) {
+  return new Date(b.postedDate) - new Date(a.postedDate);
+}
 
-    if (salaryData.maxLPA === null) {
-      passed.push(job);
-      noData.push(company);
-      sourceCounts.none++;
-      return;
-    }
+/**
+ * Diffs this run's jobs against the previous run's.
+ * `complete` is false when the source failed or only partly fetched; nothing
+ * is closed then, since a missing job may just be on a page we didn't get.
+ * `prevFetchedAt` backfills firstSeenAt for jobs recorded before tracking.
+ * Returns { jobs, closed } where `closed` are the jobs that closed this run.
+ */
+function mergeJobs(existingJobs, freshJobs, { now = Date.now(), complete = true, prevFetchedAt = null } = {}) {
+  const nowIso = new Date(now).toISOString();
+  const previous = new Map(existingJobs.map((j) => [String(j.id), j]));
+  const byId = new Map();
 
-    sourceCounts[salaryData.source || 'none']++;
+  for (const job of freshJobs) {
+    const prev = previous.get(String(job.id));
+    byId.set(String(job.id), {
+      ...job,
+      firstSeenAt: (prev && prev.firstSeenAt) || nowIso,
+      lastSeenAt: nowIso,
+      closedAt: null,
+    });
+  }
 
-    if (salaryData.maxLPA >= MIN_SALARY_LPA) {
-      job.salaryRange = salaryData.maxLPA + ' LPA';
-      job.salarySource = salaryData.source;
-      passed.push(job);
+  const closed = [];
+  for (const [id, job] of previous) {
+    if (byId.has(id)) continue;
+    const tracked = {
+      ...job,
+      firstSeenAt: job.firstSeenAt || prevFetchedAt || nowIso,
+      lastSeenAt: job.lastSeenAt || prevFetchedAt || nowIso,
+    };
+    if (complete) {
+      closed.push({ ...tracked, closedAt: nowIso });
     } else {
-      rejected.push(company + ' (' + salaryData.maxLPA + ' LPA, ' + (salaryData.source || '?') + ')');
+      byId.set(id, { ...tracked, closedAt: null });
     }
-  });
-
-  var uniqueNoData = Array.from(new Set(noData));
-  var uniqueRejected = Array.from(new Set(rejected));
-
-  console.log('[Salary] ' + jobs.length + ' jobs → ' + passed.length + ' passed (' + MIN_SALARY_LPA + '+ LPA or no data)');
-  console.log('[Salary] Sources: levels.fyi=' + sourceCounts['levels.fyi'] + ', ambitionbox=' + sourceCounts['ambitionbox'] + ', no data=' + sourceCounts['none']);
-  if (uniqueRejected.length) {
-    console.log('[Salary] Rejected (' + uniqueRejected.length + ' companies): ' + uniqueRejected.slice(0, 15).join(', '));
-  }
-  if (uniqueNoData.length) {
-    console.log('[Salary] No data (' + uniqueNoData.length + ' companies, kept): ' + uniqueNoData.slice(0, 10).join(', ') + (uniqueNoData.length > 10 ? '...' : ''));
   }
 
-  return passed;
+  return { jobs: [...byId.values()].sort(byPostedDesc), closed };
 }
 
-// Synchronous salary lookup (after async cache is populated)
-function getSalaryDataSync(companyName, cache) {
-  var levelsTc = lookupLevelsFyi(companyName);
-  if (levelsTc !== null) {
-    return { maxLPA: levelsTc, source: 'levels.fyi' };
-  }
-  var slug = companyToSlug(companyName);
-  var cached = cache[slug];
-  if (cached && cached.maxLPA !== null && cached.maxLPA !== undefined) {
-    return { maxLPA: cached.maxLPA, source: 'ambitionbox' };
+// Keeps closures from the last RECENTLY_CLOSED_DAYS, minus jobs that reopened
+function recentlyClosed(previousClosed, newlyClosed, openJobs, now = Date.now()) {
+  const cutoff = now - RECENTLY_CLOSED_DAYS * 86400000;
+  const open = new Set(openJobs.map((j) => String(j.id)));
+  const byId = new Map();
+  for (const job of [...previousClosed, ...newlyClosed]) {
+    if (open.has(String(job.id))) continue;
+    if (new Date(job.closedAt).getTime() < cutoff) continue;
+    byId.set(String(job.id), job);
   }
-  return { maxLPA: null, source: null };
+  return [...byId.values()].sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt));
 }
 
-// ─── Job Accumulation ───
-// Merge new jobs into existing ones, keeping a 7-day rolling window.
-// This ensures each run adds fresh jobs without losing recent ones.
-const ROLLING_WINDOW_DAYS = 7;
-
-function loadExistingJobs(outPath) {
+function loadHistory(dir) {
+  let raw;
   try {
-    const raw = fs.readFileSync(outPath, 'utf8');
-    return JSON.parse(raw);
+    raw = JSON.parse(fs.readFileSync(path.join(dir, HISTORY_FILE), 'utf8'));
   } catch {
-    return null;
+    return { schemaVersion: schema.schemaVersion('history'), companies: {} };
   }
+  return schema.migrate('history', raw, HISTORY_MIGRATIONS);
 }
 
-function mergeJobs(existingJobs, freshJobs) {
-  const byId = new Map();
-  const cutoff = Date.now() - ROLLING_WINDOW_DAYS * 86400000;
+// Appends closures to the archive, one list per company, and drops those
+// that closed before the stats window (HISTORY_DAYS) so the file stays small
+function saveHistory(dir, history, closedByCompany, now = Date.now()) {
+  const cutoff = now - HISTORY_DAYS * 86400000;
+  const companies = {};
+  for (const key of new Set([...Object.keys(history.companies), ...Object.keys(closedByCompany)])) {
+    const kept = [...(history.companies[key] || []), ...(closedByCompany[key] || [])]
+      .filter((job) => Date.parse(job.closedAt) >= cutoff);
+    if (kept.length) companies[key] = kept;
+  }
+  history.schemaVersion = schema.schemaVersion('history');
+  history.updatedAt = new Date(now).toISOString();
+  history.companies = companies;
+  schema.assertValid('history', history);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, HISTORY_FILE), JSON.stringify(history, null, 2));
+}
+
+// ─── Sources ───
+// Registry `source.type` → fetcher. Entries marked `live` are also fetched
+// by the PWA directly, over what's written here.
+const SOURCES = {
+  'salesforce-rss': fetchSalesforce,
+  'booking-json': fetchBooking,
+  'linkedin-guest': fetchLinkedInCompany,
+  'smartrecruiters': fetchSmartRecruiters,
+  'ats': fetchAtsBoard,
+  'linkedin-easy-apply': fetchLinkedInEasyApplyAll,
+  'deliveroo-wp': fetchDeliveroo,
+};
+
+// How a job's `sources` entries are labelled on the card ("also on ...")
+const SOURCE_LABELS = {
+  'linkedin-guest': 'LinkedIn',
+  'linkedin-easy-apply': 'LinkedIn Easy Apply',
+};
+const sourceLabel = (company) => SOURCE_LABELS[company.source.type] || 'Careers site';
+
+// Company a job belongs to: the section's, or the job's own in aggregated searches
+const companyOf = (company, job) => (company.multiCompany ? job.department : company.name) || '';
+
+// Runs one source and finalises its health report. `prevHealth` carries
+// lastSuccessAt forward so the PWA can say how stale a failed section is.
+async function runSource(company, prevHealth, network = defaultClient) {
+  const report = createReport();
+  const started = Date.now();
+  const jobs = await SOURCES[company.source.type](company, report, network);
+  report.durationMs = Date.now() - started;
+  report.matchedCount = jobs.length;
+  if (report.error) report.status = report.pages > 0 ? 'partial' : 'error';
+  report.lastSuccessAt = report.status === 'error'
+    ? (prevHealth && prevHealth.lastSuccessAt) || null
+    : new Date().toISOString();
+  return { jobs, report };
+}
 
-  for (const job of existingJobs) {
-    const posted = new Date(job.postedDate).getTime();
-    if (posted >= cutoff) {
-      byId.set(String(job.id), job);
+// One malformed job must not stop the run, so each source's jobs are checked
+// against the schema's sourceJob before merging. A missing or unreadable
+// postedDate becomes the fetch time, as the scrapers do; other invalid jobs
+// are dropped and make the section partial, so no open job is closed on
+// their account. Both are counted in health.invalid.
+function checkJobs(company, jobs, report, now) {
+  const fetchedAt = new Date(now).toISOString();
+  const problems = [];
+  let repaired = 0;
+  const valid = jobs.filter((job) => {
+    if (job && typeof job === 'object' && Number.isNaN(Date.parse(job.postedDate))) {
+      job.postedDate = fetchedAt;
+      repaired++;
     }
+    const errors = schema.validate('jobs', job, 'sourceJob');
+    if (errors.length) problems.push(`${(job && job.id) || '?'}: ${errors[0]}`);
+    return !errors.length;
+  });
+  const dropped = jobs.length - valid.length;
+  if (repaired || dropped) {
+    report.invalid = { repaired, dropped };
+    console.warn(`[${company.name}] ${repaired} jobs given the fetch time as postedDate, ${dropped} invalid jobs dropped`);
   }
+  if (dropped) {
+    report.error = report.error || `${dropped} invalid job${dropped !== 1 ? 's' : ''} dropped (${problems[0]})`;
+    if (report.status === 'ok') report.status = 'partial';
+  }
+  return valid;
+}
 
-  for (const job of freshJobs) {
-    byId.set(String(job.id), job);
+// ─── Command Line ───
+//   --region <key>     fetch one region from config/regions.json (default: its
+//                      default region, written to data/; others go to
+//                      data/regions/<key>/)
+//   --dry-run          re-run the rules against data/raw-titles.json and print
+//                      accepted/rejected titles; no network, nothing written
+//   --company <key>    limit the dry run to one company
+//   --level key=LEVEL  override a rule's target level (repeatable)
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      region: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      company: { type: 'string' },
+      level: { type: 'string', multiple: true, default: [] },
+    },
+  });
+  const levels = {};
+  for (const pair of values.level) {
+    const [key, level] = pair.split('=');
+    if (!key || !level) throw new Error(`--level expects key=LEVEL, got "${pair}"`);
+    levels[key] = level;
   }
+  return { region: values.region || null, dryRun: values['dry-run'], company: values.company || null, levels };
+}
 
-  return [...byId.values()].sort(
-    (a, b) => new Date(b.postedDate) - new Date(a.postedDate)
-  );
+function dryRun(companies, onlyKey, dir) {
+  const raw = loadRawTitles(dir);
+  if (!raw) {
+    console.error(`No ${path.relative(path.join(__dirname, '..'), path.join(dir, RAW_TITLES_FILE))} yet — run a normal fetch first.`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`Dry run against raw titles from ${raw.fetchedAt}`);
+  for (const c of companies) {
+    if (onlyKey && c.key !== onlyKey) continue;
+    const titles = raw.companies[c.key] || [];
+    const results = titles.map((title) => ({ title, ...evaluateRule(c.rule, title) }));
+    const accepted = results.filter((r) => r.accepted);
+    const level = c.rule ? c.rule.target || 'any' : 'no rule';
+    console.log(`\n${c.name} [${level}] — ${accepted.length}/${titles.length} accepted`);
+    for (const r of accepted) console.log(`  + ${r.title}`);
+    for (const r of results) if (!r.accepted) console.log(`  - ${r.title}  (${r.reason})`);
+  }
 }
 
-// ─── Main ───
-async function main() {
-  console.log('Starting job fetch...', new Date().toISOString());
+// ─── Output ───
+/**
+ * Runs every source and assembles jobs.json from their results and the
+ * previous run's `existing` output. Nothing is written to disk: salary
+ * lookups update `salaryCtx.cache` in place, and the caller saves the output,
+ * history, cache and descriptions. `previousDescriptions` holds the last
+ * run's descriptions by section key and job ID. `now` defaults to when the
+ * sources finished.
+ * Returns { output, closedByCompany, newRoles, descriptions }.
+ */
+async function buildOutput(companies, existing, {
+  network = defaultClient, salaryCtx, previousDescriptions = {}, now: fixedNow,
+} = {}) {
+  const prevCompanies = (existing && existing.companies) || {};
 
-  const outPath = path.join(__dirname, '..', 'data', 'jobs.json');
-  const existing = loadExistingJobs(outPath);
+  const results = await Promise.all(
+    companies.map((c) => runSource(c, prevCompanies[c.key] && prevCompanies[c.key].health, network))
+  );
+  const now = fixedNow || Date.now();
+  const fresh = {};
+  const health = {};
+  companies.forEach((c, i) => {
+    health[c.key] = results[i].report;
+    fresh[c.key] = checkJobs(c, results[i].jobs, health[c.key], now);
+  });
+
+  const descriptions = {};
+
+  // Canonical identity: every job lists where it was seen. Company sections
+  // are indexed first; an aggregated search's copy of one of their roles is
+  // folded into that role's `sources` instead of becoming a second card.
+  const index = createIndex();
+  for (const c of companies) {
+    for (const job of fresh[c.key]) {
+      job.canonicalId = canonicalId(companyOf(c, job), job);
+      job.sources = [{ section: c.key, label: sourceLabel(c), url: job.url }];
+      if (!c.source.excludeCareersDupes) index.add(companyOf(c, job), job, job);
+    }
+  }
 
-  const [salesforce, booking, linkedin, confluent, docusign, indeed, tesco, linkedinEasyAll] = await Promise.all([
-    fetchSalesforce(),
-    fetchBooking(),
-    fetchLinkedIn(),
-    fetchLinkedInCompany('11319256', 'Confluent', 'confluent'),
-    fetchLinkedInCompany('1089', 'DocuSign', 'docusign'),
-    fetchLinkedInCompany('6440', 'Indeed', 'indeed'),
-    fetchTesco(),
-    fetchLinkedInEasyApplyAll(),
-  ]);
-
-  // Build a set of titles already covered by careers sections to mark Easy Apply dupes
-  const careersTitles = new Set();
-  for (const job of [...salesforce, ...booking, ...linkedin, ...confluent, ...docusign, ...indeed, ...tesco]) {
-    careersTitles.add(job.title.toLowerCase().trim());
+  for (const c of companies) {
+    if (c.source.excludeCareersDupes) {
+      const raw = fresh[c.key];
+      fresh[c.key] = raw.filter((job) => {
+        const primary = index.find(companyOf(c, job), job);
+        if (primary) primary.sources.push(...job.sources);
+        return !primary;
+      });
+      console.log(`[${c.name}] ${raw.length} raw → ${fresh[c.key].length} after folding in roles from company sections`);
+    }
+    await salary.annotateSalaries(fresh[c.key], (j) => companyOf(c, j), { client: network, ...salaryCtx });
+    if (c.source.salaryFilter) {
+      fresh[c.key] = salary.filterBySalary(fresh[c.key], c.region.salary.minimum, c.region.salary);
+    }
+    health[c.key].matchedCount = fresh[c.key].length;
+    const previous = previousDescriptions[c.key] || {};
+    descriptions[c.key] = {
+      ...previous,
+      ...await details.addDetails(fresh[c.key], c, { client: network, previous }),
+    };
   }
 
-  // Remove careers-section duplicates from Easy Apply All
-  const easyAllDeduped = linkedinEasyAll.filter(
-    (j) => !careersTitles.has(j.title.toLowerCase().trim())
-  );
+  // Diff against the previous run: stamp seen dates, close missing jobs
+  const prev = (key, field) => (prevCompanies[key] && prevCompanies[key][field]) || [];
+  const prevFetchedAt = (existing && existing.fetchedAt) || null;
 
-  console.log(`[Easy Apply All] ${linkedinEasyAll.length} raw → ${easyAllDeduped.length} after removing careers dupes`);
+  const output = {
+    schemaVersion: schema.schemaVersion('jobs'),
+    fetchedAt: new Date(now).toISOString(),
+    companies: {},
+  };
+  const closedByCompany = {};
+  const newRoles = [];
+
+  for (const c of companies) {
+    const complete = health[c.key].status === 'ok';
+    const { jobs, closed } = mergeJobs(prev(c.key, 'jobs'), fresh[c.key], { now, complete, prevFetchedAt });
+    closedByCompany[c.key] = closed;
+    // A company's first run has nothing to diff against, so nothing is "new"
+    if (prevCompanies[c.key]) {
+      const prevIds = new Set(prev(c.key, 'jobs').map((j) => String(j.id)));
+      const added = jobs.filter((j) => !prevIds.has(String(j.id)));
+      newRoles.push({ key: c.key, name: c.name, multiCompany: !!c.multiCompany, jobs: added });
+    }
+    console.log(`[Merge] ${c.name}: ${fresh[c.key].length} fresh → ${jobs.length} open, ${closed.length} closed` +
+      (complete ? '' : ' (incomplete fetch, nothing closed)'));
+    output.companies[c.key] = {
+      name: c.name,
+      targetRole: c.targetRole,
+      careersUrl: c.careersUrl,
+      health: health[c.key],
+      jobs,
+      closed: recentlyClosed(prev(c.key, 'closed'), closed, jobs, now),
+    };
+  }
 
-  // Filter by salary (50+ LPA) using AmbitionBox data
-  const salaryCache = loadSalaryCache();
-  const easyAllSalaryFiltered = await filterBySalary(easyAllDeduped, salaryCache);
+  return { output, closedByCompany, newRoles, descriptions };
+}
 
-  // Merge fresh results with existing data (7-day rolling window)
-  const prevCompanies = (existing && existing.companies) || {};
-  const prev = (key) => (prevCompanies[key] && prevCompanies[key].jobs) || [];
-  const mergedSalesforce = mergeJobs(prev('salesforce'), salesforce);
-  const mergedBooking = mergeJobs(prev('booking'), booking);
-  const mergedLinkedin = mergeJobs(prev('linkedin'), linkedin);
-  const mergedConfluent = mergeJobs(prev('confluent'), confluent);
-  const mergedDocuSign = mergeJobs(prev('docusign'), docusign);
-  const mergedIndeed = mergeJobs(prev('indeed'), indeed);
-  const mergedTesco = mergeJobs(prev('tesco'), tesco);
-  const mergedEasyAll = mergeJobs(prev('linkedin_easy_all'), easyAllSalaryFiltered);
-
-  console.log(`[Merge] Salesforce: ${salesforce.length} fresh → ${mergedSalesforce.length} total`);
-  console.log(`[Merge] Booking: ${booking.length} fresh → ${mergedBooking.length} total`);
-  console.log(`[Merge] LinkedIn: ${linkedin.length} fresh → ${mergedLinkedin.length} total`);
-  console.log(`[Merge] Confluent: ${confluent.length} fresh → ${mergedConfluent.length} total`);
-  console.log(`[Merge] DocuSign: ${docusign.length} fresh → ${mergedDocuSign.length} total`);
-  console.log(`[Merge] Indeed: ${indeed.length} fresh → ${mergedIndeed.length} total`);
-  console.log(`[Merge] Tesco: ${tesco.length} fresh → ${mergedTesco.length} total`);
-  console.log(`[Merge] Easy Apply: ${easyAllSalaryFiltered.length} fresh → ${mergedEasyAll.length} total`);
+// ─── Main ───
+async function main() {
+  const cli = parseCli(process.argv.slice(2));
+  const region = regions.getRegion(cli.region);
+  const dir = regions.dataDir(region);
+  const companies = loadRegistry(cli.levels, REGISTRY_PATH, region).filter((c) => SOURCES[c.source.type]);
+  if (cli.company && !companies.some((c) => c.key === cli.company)) {
+    throw new Error(`Unknown company "${cli.company}"`);
+  }
+  if (cli.dryRun) return dryRun(companies, cli.company, dir);
 
-  const output = {
-    fetchedAt: new Date().toISOString(),
-    companies: {
-      salesforce: {
-        name: 'Salesforce',
-        targetRole: 'Senior Member of Technical Staff (SMTS)',
-        careersUrl: 'https://careers.salesforce.com/en/jobs/?country=India',
-        jobs: mergedSalesforce,
-      },
-      booking: {
-        name: 'Booking.com',
-        targetRole: 'Senior Software Engineer',
-        careersUrl: 'https://jobs.booking.com/booking/jobs?location=India',
-        jobs: mergedBooking,
-      },
-      linkedin: {
-        name: 'LinkedIn',
-        targetRole: 'Senior Software Engineer',
-        careersUrl:
-          'https://www.linkedin.com/jobs/search/?f_C=1337&geoId=102713980',
-        jobs: mergedLinkedin,
-      },
-      confluent: {
-        name: 'Confluent',
-        targetRole: 'Senior Software Engineer (SSE2)',
-        careersUrl: 'https://careers.confluent.io/jobs/engineering-india',
-        jobs: mergedConfluent,
-      },
-      docusign: {
-        name: 'DocuSign',
-        targetRole: 'Senior Software Engineer (P4)',
-        careersUrl: 'https://www.docusign.com/company/careers',
-        jobs: mergedDocuSign,
-      },
-      indeed: {
-        name: 'Indeed',
-        targetRole: 'Senior Software Engineer (L2-II)',
-        careersUrl: 'https://indeed.indeed.com/careers',
-        jobs: mergedIndeed,
-      },
-      tesco: {
-        name: 'Tesco',
-        targetRole: 'Senior Software Engineer (SE3)',
-        careersUrl: 'https://www.tesco-careers.com/search-jobs/',
-        jobs: mergedTesco,
-      },
-      linkedin_easy_all: {
-        name: 'LinkedIn Easy Apply',
-        targetRole: 'Senior+ Backend · 50+ LPA · All Companies · India',
-        careersUrl:
-          'https://www.linkedin.com/jobs/search/?keywords=Senior+Software+Engineer&location=India&f_AL=true',
-        jobs: mergedEasyAll,
-      },
-    },
+  console.log(`Starting job fetch for ${region.name}...`, new Date().toISOString());
+
+  const outPath = path.join(dir, 'jobs.json');
+  const existing = loadExistingJobs(outPath);
+  const salaryCtx = {
+    curated: region.salary.bands ? salary.loadCuratedBands(path.join(__dirname, '..', region.salary.bands)) : null,
+    cache: salary.loadSalaryCache(),
+    ambitionBox: region.salary.ambitionBox,
+    currency: region.salary,
   };
+  const previousDescriptions = Object.fromEntries(companies.map((c) => [c.key, details.loadDescriptions(dir, c.key)]));
+  const { output, closedByCompany, newRoles, descriptions } = await buildOutput(companies, existing, {
+    salaryCtx, previousDescriptions,
+  });
+  const now = new Date(output.fetchedAt).getTime();
+  await checkLinks(output, { client: defaultClient, previous: existing });
+  output.httpMetrics = getMetrics();
+
+  // Invalid jobs were already repaired or dropped per section (checkJobs), so
+  // this only catches structural bugs. Nothing is written unless it passes,
+  // so the workflow never commits a jobs.json the PWA can't read.
+  schema.assertValid('jobs', output);
+  salary.saveSalaryCache(salaryCtx.cache);
+
+  const history = loadHistory(dir);
+  saveHistory(dir, history, closedByCompany, now);
+  const health = {};
+  for (const [key, sec] of Object.entries(output.companies)) health[key] = sec.health;
+  saveRawTitles(dir, loadRawTitles(dir), health, now);
 
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
   fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  details.saveDescriptions(dir, output, descriptions, now);
+
+  const rel = path.relative(path.join(__dirname, '..'), dir);
+  const feed = updateFeeds(newRoles, companies, now, { dir, region });
+  console.log(`[Feeds] ${feed.added} new entries, ${feed.total} in ${rel}/feed.xml / feed.json`);
+
+  const stats = updateStats(output, history, now, { dir, salary: region.salary });
+  console.log(`[Stats] ${Object.keys(stats.companies).length} companies over ${stats.days.length} days in ${rel}/stats.json`);
+
+  const sections = Object.values(output.companies);
+  const total = sections.reduce((n, sec) => n + sec.jobs.length, 0);
+  console.log(`\nDone. ${total} total roles in ${rel}/jobs.json`);
+  sections.forEach((sec) => {
+    const h = sec.health;
+    const note = h.status === 'ok' ? '' : ` [${h.status.toUpperCase()}: ${h.error}]`;
+    const links = h.links ? `, ${h.links.broken} broken / ${h.links.unknown} unverified links` : '';
+    console.log(`  ${sec.name}: ${sec.jobs.length} (${h.matchedCount}/${h.rawCount} matched, ${h.pages} pages, ${h.durationMs}ms${links})${note}`);
+  });
+  console.log('\nHTTP:');
+  Object.entries(output.httpMetrics).forEach(([host, m]) => {
+    console.log(`  ${host}: ${m.requests} requests, ${m.retries} retries, ${m.errors} errors, ${m.notModified} not modified, ${Math.round(m.bytes / 1024)} KB, ${m.totalMs}ms`);
+  });
+
+  // Subscriptions don't say which region they follow, so only the default
+  // region notifies
+  if (region.isDefault) await notifyNewRoles(newRoles);
+}
 
-  const total = mergedSalesforce.length + mergedBooking.length + mergedLinkedin.length +
-    mergedConfluent.length + mergedDocuSign.length + mergedIndeed.length + mergedTesco.length + mergedEasyAll.length;
-  console.log(`\nDone. ${total} total roles in data/jobs.json`);
-  console.log(`  Salesforce: ${mergedSalesforce.length}`);
-  console.log(`  Booking.com: ${mergedBooking.length}`);
-  console.log(`  LinkedIn: ${mergedLinkedin.length}`);
-  console.log(`  Confluent: ${mergedConfluent.length}`);
-  console.log(`  DocuSign: ${mergedDocuSign.length}`);
-  console.log(`  Indeed: ${mergedIndeed.length}`);
-  console.log(`  Tesco: ${mergedTesco.length}`);
-  console.log(`  LinkedIn Easy Apply (All): ${mergedEasyAll.length}`);
-}
-
-main().catch((err) => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SOURCES,
+  loadRegistry,
+  loadExistingJobs,
+  parseLinkedInCards,
+  mergeJobs,
+  recentlyClosed,
+  loadHistory,
+  saveHistory,
+  runSource,
+  buildOutput,
+};
@@ -0,0 +1,297 @@
+/**
+ * Job descriptions and the fields extracted from them.
+ *
+ * Booking's Jibe JSON and Deliveroo's WordPress roles list descriptions
+ * inline; SmartRecruiters and LinkedIn need one request per job, to the
+ * posting detail endpoint and the guest job-view page. Either way the HTML is sanitised down to a few formatting tags
+ * and stored per section in data/descriptions/<key>.json, which the PWA
+ * loads when a detail sheet opens. jobs.json only carries what's extracted for filtering:
+ *
+ *   details: {
+ *     experience: { min, max } | null    years asked for ("5-8 years")
+ *     tech: ['Go', 'Kafka', ...]         known tech keywords, in TECH_KEYWORDS order
+ *     workplace: 'remote' | 'hybrid' | 'onsite' | null
+ *     visa: 'sponsored' | 'not-sponsored' | null
+ *     visaNote: string | null            the sentence that mentions visas
+ *   }
+ *
+ * Descriptions don't change once posted, so they're reused from the last
+ * run's file; only jobs without one are requested, at most
+ * DETAIL_FETCH_LIMIT per section per run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const schema = require('./schema');
+
+const DESCRIPTIONS_DIR = 'descriptions';
+const DETAIL_FETCH_LIMIT = 60;
+const MAX_DESCRIPTION_CHARS = 20000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; JobTracker/1.0)';
+
+// ─── Sanitising ───
+const ALLOWED_TAGS = new Set(['p', 'br', 'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'h4']);
+// Headings of any level become h4, under the sheet's h3 title; divs become
+// line breaks
+const TAG_ALIASES = { h1: 'h4', h2: 'h4', h3: 'h4', h5: 'h4', h6: 'h4', div: 'br' };
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Reduces description HTML to ALLOWED_TAGS without attributes. Scripts,
+ * styles and embeds are dropped with their content; other tags are dropped
+ * and their text kept; stray angle brackets are escaped. Returns '' for
+ * empty input.
+ */
+function sanitizeHtml(html) {
+  if (!html) return '';
+  let out = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|iframe|noscript|svg|form|button)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>|[<>]/gi, (tag, rawName) => {
+      if (!rawName) return tag === '<' ? '&lt;' : '&gt;';
+      const name = TAG_ALIASES[rawName.toLowerCase()] || rawName.toLowerCase();
+      if (!ALLOWED_TAGS.has(name)) return ' ';
+      if (name === 'br') return '<br>';
+      return tag[1] === '/' ? `</${name}>` : `<${name}>`;
+    })
+    .replace(/\s+/g, ' ')
+    .replace(/<(p|h4|li|strong|b|em|i)>\s*<\/\1>/g, '')
+    .replace(/\s*(<\/?(?:p|ul|ol|li|h4|br)>)\s*/g, '$1')
+    .replace(/(?:<br>)+(?=<\/?(?:p|ul|ol|li|h4)>|$)|^(?:<br>)+/g, '')
+    .replace(/(<\/?(?:p|ul|ol|li|h4)>)(?:<br>)+/g, '$1')
+    .replace(/(?:<br>){3,}/g, '<br><br>')
+    .trim();
+  if (out.length > MAX_DESCRIPTION_CHARS) {
+    // Cut after the last whole block that fits
+    const ends = ['</p>', '</ul>', '</ol>'].map((end) => {
+      const at = out.lastIndexOf(end, MAX_DESCRIPTION_CHARS - end.length);
+      return at < 0 ? 0 : at + end.length;
+    });
+    out = out.slice(0, Math.max(...ends));
+  }
+  return out;
+}
+
+// Plain text of sanitised HTML, one line per block
+const textOf = (html) => decodeEntities(html
+  .replace(/<\/(?:p|li|h4)>|<br>/g, '\n')
+  .replace(/<[^>]+>/g, ' '))
+  .replace(/[ \t]+/g, ' ');
+
+// ─── Extraction ───
+// [name, pattern]; names are what the PWA shows and filters on
+const TECH_KEYWORDS = [
+  ['Java', /\bjava\b(?!\s*script)/i],
+  ['Kotlin', /\bkotlin\b/i],
+  ['Scala', /\bscala\b/i],
+  ['Go', /\b[Gg]olang\b|(?:^|[\s(,/])Go(?=[\s,/)]|$)(?!\s+(?:to|above|beyond|through|live|ahead)\b)/],
+  ['Rust', /\bRust\b/],
+  ['Python', /\bpython\b/i],
+  ['Ruby', /\bRuby\b|\brails\b/i],
+  ['C++', /\bC\+\+/],
+  ['C#', /\bC#|\.NET\b/],
+  ['TypeScript', /\btypescript\b/i],
+  ['JavaScript', /\bjavascript\b/i],
+  ['Node.js', /\bnode\.?js\b/i],
+  ['React', /\bReact(?:\.?js)?\b/],
+  ['Spring', /\bSpring(?:\s+Boot)?\b/],
+  ['Kafka', /\bkafka\b/i],
+  ['Spark', /\bSpark\b/],
+  ['Flink', /\bflink\b/i],
+  ['Airflow', /\bairflow\b/i],
+  ['Hadoop', /\bhadoop\b/i],
+  ['Kubernetes', /\bkubernetes\b|\bk8s\b/i],
+  ['Docker', /\bdocker\b/i],
+  ['Terraform', /\bterraform\b/i],
+  ['AWS', /\bAWS\b|\bamazon web services\b/i],
+  ['GCP', /\bGCP\b|\bgoogle cloud\b/i],
+  ['Azure', /\bazure\b/i],
+  ['PostgreSQL', /\bpostgres(?:ql)?\b/i],
+  ['MySQL', /\bmysql\b/i],
+  ['Redis', /\bredis\b/i],
+  ['Cassandra', /\bcassandra\b/i],
+  ['DynamoDB', /\bdynamo(?:db)?\b/i],
+  ['MongoDB', /\bmongo(?:db)?\b/i],
+  ['Elasticsearch', /\belastic\s?search\b/i],
+  ['Snowflake', /\bsnowflake\b/i],
+  ['GraphQL', /\bgraphql\b/i],
+  ['gRPC', /\bgrpc\b/i],
+];
+
+// "5+ years", "5-8 yrs", "minimum of 6 years"; only where experience is meant
+const YEARS = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*(\d{1,2})\s*\+?\s*)?(?:years?|yrs?)\b/gi;
+const EXPERIENCE_CONTEXT = /experience|background|track record|working (?:in|on|with)|industry/i;
+
+const sentencesOf = (lines) => lines.flatMap((line) => line.split(/(?<=[.!?])\s+/));
+
+// The largest minimum asked for: "8+ years building backends, 3+ with Kafka" is 8+
+function extractExperience(lines) {
+  let best = null;
+  for (const sentence of sentencesOf(lines)) {
+    if (!EXPERIENCE_CONTEXT.test(sentence)) continue;
+    for (const m of sentence.matchAll(YEARS)) {
+      const min = Number(m[1]);
+      const max = m[2] ? Number(m[2]) : null;
+      if (min < 1 || min > 30 || (max != null && max < min)) continue;
+      if (!best || min > best.min) best = { min, max };
+    }
+  }
+  return best;
+}
+
+function extractWorkplace(text) {
+  if (/\bhybrid\b/i.test(text)) return 'hybrid';
+  if (/\b(?:fully remote|remote[- ]first|100% remote|work from home|wfh)\b/i.test(text)) return 'remote';
+  if (/\bremote\b/i.test(text) && !/\b(?:not|no|isn['’]t) (?:a )?remote\b/i.test(text)) return 'remote';
+  if (/\b(?:on[- ]?site|in[- ]office|work from (?:the )?office|office[- ]based)\b/i.test(text)) return 'onsite';
+  return null;
+}
+
+const VISA_MENTION = /\bvisa\b|sponsor|work permit|right to work|work authori[sz]ation/i;
+const NO_SPONSORSHIP = /\b(?:not|unable to|cannot|can['’]t|won['’]t|no|without)\b[^.\n]{0,40}\bsponsor|must (?:already )?have (?:the )?(?:right to work|work authori[sz]ation)/i;
+
+function extractVisa(lines) {
+  const sentence = sentencesOf(lines).find((s) => VISA_MENTION.test(s));
+  if (!sentence) return { visa: null, visaNote: null };
+  const visa = NO_SPONSORSHIP.test(sentence) ? 'not-sponsored'
+    : /sponsor|visa (?:support|assistance)|relocation/i.test(sentence) ? 'sponsored'
+    : null;
+  return { visa, visaNote: sentence.length > 200 ? `${sentence.slice(0, 199)}…` : sentence };
+}
+
+/** Fields extracted from a sanitised description (see the top of this file) */
+function extractDetails(html) {
+  const text = textOf(html);
+  const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
+  return {
+    experience: extractExperience(lines),
+    tech: TECH_KEYWORDS.filter(([, pattern]) => pattern.test(text)).map(([name]) => name),
+    workplace: extractWorkplace(text),
+    ...extractVisa(lines),
+  };
+}
+
+// ─── Detail pages ───
+// Source type → { url(job, company), parse(body) → description HTML } for
+// sources whose listings carry no description
+// LinkedIn job IDs are the view URL's slug, ending in the posting's number
+const linkedInPosting = {
+  url(job) {
+    const m = String(job.id).match(/(?:^|-)(\d+)$/);
+    return m ? `https://www.linkedin.com/jobs-guest/jobs/api/jobPosting/${m[1]}` : null;
+  },
+  parse(body) {
+    const m = body.match(/class="[^"]*show-more-less-html__markup[^"]*"[^>]*>([\s\S]*?)<\/div>/);
+    return m ? m[1] : '';
+  },
+};
+
+const DETAIL_PAGES = {
+  smartrecruiters: {
+    url: (job, company) => `https://api.smartrecruiters.com/v1/companies/${company.source.company}/postings/${job.id}`,
+    parse(body) {
+      const sections = (JSON.parse(body).jobAd || {}).sections || {};
+      return ['jobDescription', 'qualifications', 'additionalInformation']
+        .map((key) => sections[key])
+        .filter((s) => s && s.text)
+        .map((s) => (s.title ? `<h4>${s.title}</h4>${s.text}` : s.text))
+        .join('');
+    },
+  },
+  'linkedin-guest': linkedInPosting,
+  'linkedin-easy-apply': linkedInPosting,
+};
+
+/**
+ * Gives each of `jobs` its `details` and returns the section's descriptions
+ * by job ID. Descriptions come from the job itself (inline sources, then
+ * removed from the job), `previous` (id → HTML from the last run), or the
+ * source's detail page. Detail pages that fail are skipped and tried again
+ * next run; they don't affect the section's health. A source that knows the
+ * workplace type sets the job's `workplace`, which wins over the description.
+ */
+async function addDetails(jobs, company, { client, previous = {}, limit = DETAIL_FETCH_LIMIT } = {}) {
+  const page = DETAIL_PAGES[company.source.type];
+  const descriptions = {};
+  let fetched = 0;
+  let failed = 0;
+
+  for (const job of jobs) {
+    const id = String(job.id);
+    let html = job.description ? sanitizeHtml(job.description) : previous[id] || '';
+    const { workplace } = job;
+    delete job.description;
+    delete job.workplace;
+    const url = !html && page && page.url(job, company);
+    if (url && fetched < limit) {
+      fetched++;
+      try {
+        html = sanitizeHtml(page.parse(await client.httpGet(url, { 'User-Agent': USER_AGENT })));
+      } catch {
+        failed++;
+      }
+    }
+    if (html) descriptions[id] = html;
+    if (html || workplace) job.details = { ...extractDetails(html), ...(workplace && { workplace }) };
+  }
+
+  if (fetched) {
+    console.log(`[${company.name}] ${fetched - failed}/${fetched} job descriptions fetched` +
+      (jobs.length > Object.keys(descriptions).length ? `, ${jobs.length - Object.keys(descriptions).length} still without one` : ''));
+  }
+  return descriptions;
+}
+
+// ─── Files ───
+// data/descriptions/<key>.json: { schemaVersion, updatedAt, jobs: { id: html } }
+function loadDescriptions(dir, key) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, DESCRIPTIONS_DIR, `${key}.json`), 'utf8'));
+    return data.schemaVersion === schema.schemaVersion('descriptions') ? data.jobs : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Writes each section's descriptions for its open jobs in `output`. Files of
+ * sections no longer in the output are removed.
+ */
+function saveDescriptions(dir, output, descriptionsByKey, now = Date.now()) {
+  const target = path.join(dir, DESCRIPTIONS_DIR);
+  fs.mkdirSync(target, { recursive: true });
+  for (const [key, sec] of Object.entries(output.companies)) {
+    const all = descriptionsByKey[key] || {};
+    const jobs = {};
+    for (const job of sec.jobs) {
+      if (all[String(job.id)]) jobs[String(job.id)] = all[String(job.id)];
+    }
+    const data = { schemaVersion: schema.schemaVersion('descriptions'), updatedAt: new Date(now).toISOString(), jobs };
+    schema.assertValid('descriptions', data);
+    fs.writeFileSync(path.join(target, `${key}.json`), JSON.stringify(data));
+  }
+  for (const file of fs.readdirSync(target)) {
+    if (!output.companies[path.basename(file, '.json')]) fs.unlinkSync(path.join(target, file));
+  }
+}
+
+module.exports = {
+  TECH_KEYWORDS,
+  decodeEntities,
+  sanitizeHtml,
+  extractDetails,
+  addDetails,
+  loadDescriptions,
+  saveDescriptions,
+};
@@ -0,0 +1,172 @@
+/**
+ * Changelog feeds of newly appeared roles, for feed readers:
+ *
+ *   data/feed.xml, data/feed.json              all companies (Atom, JSON Feed 1.1)
+ *   data/feeds/<key>.xml, data/feeds/<key>.json one company
+ *
+ * Entries come from fetch-jobs.js's diff against the previous run. The
+ * previous data/feed.json is the store: its items carry a `_job_radar`
+ * extension, so each run prepends its new roles to the last run's entries
+ * and trims by age and count. A run with nothing new rewrites the same
+ * entries, and a feed with no entries is still a valid empty feed.
+ *
+ * Regions other than the default (config/regions.json) get the same files
+ * under data/regions/<key>/, titled with the region's name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { displaySalary } = require('./regions');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DATA_DIR = path.join(ROOT, 'data');
+const INR = { unit: 'LPA', symbol: '₹' };
+const SITE_URL = process.env.SITE_URL || 'https://viren3196.github.io/deliveroo-india-jobs/';
+const FEED_TITLE = 'Job Radar — new roles';
+const MAX_ENTRIES = 200;
+const MAX_AGE_DAYS = 30;
+
+const tagUri = (...parts) => `tag:viren3196.github.io,2026:job-radar/${parts.map(encodeURIComponent).join('/')}`;
+
+const escapeXml = (str) => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// "₹22–41 LPA"; a band with only its max (the curated ones) is "up to ₹137 LPA"
+function salaryText(job, currency) {
+  if (!job.salaryRange) return null;
+  const s = job.salary;
+  const upTo = s && s.min == null && s.max != null ? 'up to ' : '';
+  return upTo + displaySalary(job.salaryRange, currency);
+}
+
+// newRoles: [{ key, name, multiCompany, jobs }] as built by fetch-jobs.js.
+// `region` (a scripts/lib/regions.js region) prices salaries and, outside
+// the default region, scopes entry IDs.
+function entriesFor(newRoles, now = Date.now(), region = null) {
+  const addedAt = new Date(now).toISOString();
+  const scope = region && !region.isDefault ? [region.key] : [];
+  return newRoles.flatMap(({ key, name, multiCompany, jobs }) => jobs.map((job) => ({
+    id: tagUri(...scope, key, String(job.id)),
+    section: key,
+    title: job.title,
+    company: (multiCompany ? job.department : name) || name,
+    location: job.location || null,
+    salary: salaryText(job, region ? region.salary : INR),
+    url: job.url,
+    addedAt,
+  })));
+}
+
+function loadEntries(dir) {
+  try {
+    const feed = JSON.parse(fs.readFileSync(path.join(dir, 'feed.json'), 'utf8'));
+    return feed.items.map((item) => ({ id: item.id, url: item.url, addedAt: item.date_published, ...item._job_radar }));
+  } catch {
+    return [];
+  }
+}
+
+// New entries first; drops repeats, entries older than MAX_AGE_DAYS and
+// anything past MAX_ENTRIES
+function mergeEntries(previous, added, now = Date.now()) {
+  const cutoff = now - MAX_AGE_DAYS * 86400000;
+  const seen = new Set();
+  return [...added, ...previous]
+    .filter((e) => {
+      if (seen.has(e.id) || new Date(e.addedAt).getTime() < cutoff) return false;
+      seen.add(e.id);
+      return true;
+    })
+    .slice(0, MAX_ENTRIES);
+}
+
+const summary = (e) => [e.company, e.location, e.salary].filter(Boolean).join(' · ');
+
+function renderAtom({ id, title, feedUrl, entries, updated }) {
+  const items = entries.map((e) => `  <entry>
+    <id>${escapeXml(e.id)}</id>
+    <title>${escapeXml(`${e.title} — ${e.company}`)}</title>
+    <link rel="alternate" href="${escapeXml(e.url)}"/>
+    <updated>${e.addedAt}</updated>
+    <published>${e.addedAt}</published>
+    <author><name>${escapeXml(e.company)}</name></author>
+    <category term="${escapeXml(e.section)}"/>
+    <summary>${escapeXml(summary(e))}</summary>
+  </entry>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${updated}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(SITE_URL)}"/>
+  <author><name>Job Radar</name></author>
+${items.join('\n')}${items.length ? '\n' : ''}</feed>
+`;
+}
+
+function renderJsonFeed({ title, feedUrl, entries }) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: SITE_URL,
+    feed_url: feedUrl,
+    items: entries.map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: `${e.title} — ${e.company}`,
+      content_text: summary(e),
+      date_published: e.addedAt,
+      authors: [{ name: e.company }],
+      tags: [e.section],
+      _job_radar: {
+        section: e.section,
+        title: e.title,
+        company: e.company,
+        location: e.location,
+        salary: e.salary,
+      },
+    })),
+  }, null, 2);
+}
+
+// Writes the combined feeds and one pair per company (empty ones included,
+// so a subscribed company feed never 404s) into `dir`
+function writeFeeds(dir, entries, companies, now = Date.now(), region = null) {
+  const updated = new Date(now).toISOString();
+  const write = (rel, content) => {
+    const file = path.join(dir, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  };
+  const scoped = region && !region.isDefault;
+  const scope = scoped ? [region.key] : [];
+  const feedTitle = scoped ? `${FEED_TITLE} in ${region.name}` : FEED_TITLE;
+  const urlPath = path.relative(ROOT, dir).split(path.sep).join('/');
+  const feeds = [
+    { base: 'feed', id: tagUri(...scope, 'all'), title: feedTitle, entries },
+    ...companies.map((c) => ({
+      base: `feeds/${c.key}`,
+      id: tagUri(...scope, 'company', c.key),
+      title: `${feedTitle} at ${c.name}`,
+      entries: entries.filter((e) => e.section === c.key),
+    })),
+  ];
+  for (const { base, id, title, entries: items } of feeds) {
+    write(`${base}.xml`, renderAtom({ id, title, feedUrl: `${SITE_URL}${urlPath}/${base}.xml`, entries: items, updated }));
+    write(`${base}.json`, renderJsonFeed({ title, feedUrl: `${SITE_URL}${urlPath}/${base}.json`, entries: items }));
+  }
+}
+
+// `dir` defaults to data/; pass the region's data directory and the region
+function updateFeeds(newRoles, companies, now = Date.now(), { dir = DATA_DIR, region = null } = {}) {
+  const added = entriesFor(newRoles, now, region);
+  const entries = mergeEntries(loadEntries(dir), added, now);
+  writeFeeds(dir, entries, companies, now, region);
+  return { added: added.length, total: entries.length };
+}
+
+module.exports = { entriesFor, mergeEntries, renderAtom, renderJsonFeed, updateFeeds };
@@ -0,0 +1,265 @@
+/**
+ * HTTP client shared by fetch-jobs.js, the ATS adapters, salary lookups and
+ * Web Push.
+ *
+ * - Per-host concurrency and request spacing (HOST_LIMITS)
+ * - Retries with exponential backoff and full jitter on 429, 5xx and network
+ *   errors, honouring Retry-After
+ * - Opt-in conditional requests (ETag / Last-Modified) backed by an on-disk
+ *   cache in .cache/http, for feeds that rarely change
+ * - At most MAX_REDIRECTS redirects; gzip / deflate / brotli bodies
+ * - Per-host request metrics, see getMetrics()
+ *
+ * Errors carry err.statusCode for HTTP failures. httpProbe() resolves them
+ * instead, for callers that care about the status and where a URL ends up.
+ */
+
+const https = require('https');
+const http = require('http');
+const zlib = require('zlib');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+const RETRY_AFTER_MAX_MS = 60000;
+const CACHE_DIR = process.env.HTTP_CACHE_DIR || path.join(__dirname, '..', '..', '.cache', 'http');
+
+// { concurrency, minIntervalMs } per host; anything unlisted gets DEFAULT_LIMIT
+const DEFAULT_LIMIT = { concurrency: 4, minIntervalMs: 0 };
+const HOST_LIMITS = {
+  'www.linkedin.com': { concurrency: 1, minIntervalMs: 400 },
+  'in.linkedin.com': { concurrency: 1, minIntervalMs: 400 },
+  'www.ambitionbox.com': { concurrency: 3, minIntervalMs: 300 },
+};
+
+const RETRYABLE_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'TIMEOUT']);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ─── Per-host scheduling ───
+const hosts = new Map();
+
+function hostState(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, { ...DEFAULT_LIMIT, ...HOST_LIMITS[host], active: 0, queue: [], nextAt: 0 });
+  }
+  return hosts.get(host);
+}
+
+// Resolves once a slot is free and the host's spacing has elapsed; the
+// returned function releases the slot.
+async function acquire(host) {
+  const state = hostState(host);
+  if (state.active >= state.concurrency) {
+    await new Promise((resolve) => state.queue.push(resolve));
+  }
+  state.active++;
+  const wait = state.nextAt - Date.now();
+  state.nextAt = Math.max(state.nextAt, Date.now()) + state.minIntervalMs;
+  if (wait > 0) await sleep(wait);
+  return () => {
+    state.active--;
+    const next = state.queue.shift();
+    if (next) next();
+  };
+}
+
+// ─── Metrics ───
+const metrics = {};
+
+function record(host, field, n = 1) {
+  const m = metrics[host] || (metrics[host] = { requests: 0, retries: 0, errors: 0, notModified: 0, bytes: 0, totalMs: 0 });
+  m[field] += n;
+}
+
+// Snapshot keyed by host: requests, retries, errors, notModified, bytes, totalMs
+function getMetrics() {
+  return JSON.parse(JSON.stringify(metrics));
+}
+
+// ─── Conditional request cache ───
+const cacheFile = (url) => path.join(CACHE_DIR, crypto.createHash('sha1').update(url).digest('hex') + '.json');
+
+function readCached(url) {
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile(url), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeCached(url, headers, body) {
+  if (!headers.etag && !headers['last-modified']) return;
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  fs.writeFileSync(cacheFile(url), JSON.stringify({
+    url, etag: headers.etag || null, lastModified: headers['last-modified'] || null, body,
+  }));
+}
+
+// ─── Transport ───
+function decode(res, buf) {
+  switch ((res.headers['content-encoding'] || '').toLowerCase()) {
+    case 'gzip': return zlib.gunzipSync(buf);
+    case 'deflate': return zlib.inflateSync(buf);
+    case 'br': return zlib.brotliDecompressSync(buf);
+    default: return buf;
+  }
+}
+
+// Dropped along with the body when a redirect turns a request into a GET
+const BODY_HEADERS = new Set(['content-type', 'content-length', 'content-encoding']);
+// Validators for the original URL's cached copy, meaningless to another host
+const CONDITIONAL_HEADERS = new Set(['if-none-match', 'if-modified-since']);
+const dropHeaders = (headers, names) =>
+  Object.keys(headers).filter((h) => names.has(h.toLowerCase())).forEach((h) => delete headers[h]);
+
+// One attempt, no redirects: resolves { status, headers, body }
+function send(url, { method, headers, body }) {
+  return new Promise((resolve, reject) => {
+    const mod = url.startsWith('https') ? https : http;
+    const req = mod.request(url, { method, headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers } }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, headers: res.headers, body: decode(res, Buffer.concat(chunks)) });
+        } catch (err) {
+          reject(err);
+        }
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.setTimeout(TIMEOUT_MS, () => {
+      const err = new Error('Timeout');
+      err.code = 'TIMEOUT';
+      req.destroy(err);
+    });
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  const ms = Number.isFinite(secs) ? secs * 1000 : new Date(value).getTime() - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), RETRY_AFTER_MAX_MS) : null;
+}
+
+const backoffMs = (attempt) => Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+
+function httpError(status) {
+  const err = new Error(`HTTP ${status}`);
+  err.statusCode = status;
+  return err;
+}
+
+/**
+ * Requests `url` and resolves the body as a string. `conditional: true`
+ * revalidates against the .cache/http copy and returns it on 304. `probe: true`
+ * resolves { status, url, body } instead, with the URL after redirects, and
+ * resolves HTTP errors (once retries run out) rather than throwing them.
+ * `responseHeaders: ['x-wp-totalpages']` resolves { body, headers } with just
+ * those headers (lower-cased, null when missing), e.g. for pagination.
+ */
+async function httpRequest(url, {
+  method = 'GET', headers = {}, body, conditional = false, probe = false, responseHeaders = null,
+} = {}) {
+  const cached = conditional && method === 'GET' ? readCached(url) : null;
+  const reqHeaders = { ...headers };
+  if (cached && cached.etag) reqHeaders['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) reqHeaders['If-Modified-Since'] = cached.lastModified;
+
+  let current = url;
+  let redirects = 0;
+  for (let attempt = 0; ; attempt++) {
+    const host = new URL(current).host;
+    const release = await acquire(host);
+    const started = Date.now();
+    let res;
+    let error;
+    try {
+      record(host, 'requests');
+      res = await send(current, { method, headers: reqHeaders, body });
+      record(host, 'bytes', res.body.length);
+    } catch (err) {
+      error = err;
+    } finally {
+      record(host, 'totalMs', Date.now() - started);
+      release();
+    }
+
+    if (error) {
+      record(host, 'errors');
+      if (!RETRYABLE_ERRORS.has(error.code) || attempt >= MAX_RETRIES) throw error;
+      record(host, 'retries');
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+
+    if (res.status >= 300 && res.status < 400 && res.status !== 304 && res.headers.location) {
+      if (++redirects > MAX_REDIRECTS) throw new Error(`Too many redirects (${MAX_REDIRECTS})`);
+      current = new URL(res.headers.location, current).toString();
+      // 307 and 308 repeat the request as it was. 303, and 301 or 302 after a
+      // POST, continue as a GET without the body, as browsers do.
+      if (res.status === 303 || ((res.status === 301 || res.status === 302) && method === 'POST')) {
+        method = 'GET';
+        body = undefined;
+        dropHeaders(reqHeaders, BODY_HEADERS);
+      }
+      if (new URL(current).host !== host) dropHeaders(reqHeaders, CONDITIONAL_HEADERS);
+      attempt--;
+      continue;
+    }
+    const withHeaders = (text) => (responseHeaders
+      ? { body: text, headers: Object.fromEntries(responseHeaders.map((h) => [h.toLowerCase(), res.headers[h.toLowerCase()] ?? null])) }
+      : text);
+    if (res.status === 304 && cached) {
+      record(host, 'notModified');
+      return withHeaders(cached.body);
+    }
+    if ((res.status === 429 || res.status >= 500) && attempt < MAX_RETRIES) {
+      record(host, 'errors');
+      record(host, 'retries');
+      await sleep(retryAfterMs(res.headers['retry-after']) ?? backoffMs(attempt));
+      continue;
+    }
+    // Anything else outside 2xx is an error, including a redirect without a
+    // Location and a 304 with no cached copy to reuse
+    if (res.status >= 300) {
+      record(host, 'errors');
+      if (probe) return { status: res.status, url: current, body: res.body.toString('utf8') };
+      throw httpError(res.status);
+    }
+
+    const text = res.body.toString('utf8');
+    if (conditional && method === 'GET') writeCached(url, res.headers, text);
+    return probe ? { status: res.status, url: current, body: text } : withHeaders(text);
+  }
+}
+
+function httpGet(url, headers = {}, options = {}) {
+  return httpRequest(url, { headers, ...options });
+}
+
+// GET that resolves { status, url, body } whatever the status; see httpRequest
+function httpProbe(url, headers = {}) {
+  return httpRequest(url, { headers, probe: true });
+}
+
+function httpPost(url, json, headers = {}) {
+  return httpRequest(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+    body: JSON.stringify(json),
+  });
+}
+
+module.exports = { httpRequest, httpGet, httpPost, httpProbe, getMetrics, HOST_LIMITS };
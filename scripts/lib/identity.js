@@ -0,0 +1,125 @@
+/**
+ * Canonical job identity across sections.
+ *
+ * Job IDs are per source (Salesforce requisition IDs, LinkedIn URL slugs,
+ * SmartRecruiters IDs...), so the same role in a company section and in an
+ * aggregated search can't be matched by ID. Instead a job is identified by
+ * its normalised company, title and city; titles that differ only in
+ * wording ("Sr. Software Engineer - Backend" / "Senior Backend Software
+ * Engineer") are matched by token overlap.
+ */
+
+const TITLE_SYNONYMS = {
+  sr: 'senior', snr: 'senior', jr: 'junior',
+  engg: 'engineer', eng: 'engineer', dev: 'developer',
+  swe: 'software engineer', sde: 'software engineer',
+  ii: '2', iii: '3', iv: '4',
+};
+
+const TITLE_STOPWORDS = new Set(['a', 'an', 'the', 'and', 'of', 'for', 'at', 'in', 'to', 'with']);
+
+const COMPANY_SUFFIXES = /\b(india|private|pvt|limited|ltd|inc|llc|llp|corp|corporation|co|technologies|technology|software|solutions|services|group|holdings)\b/g;
+
+const CITY_ALIASES = {
+  bangalore: 'bengaluru', gurgaon: 'gurugram', bombay: 'mumbai',
+  'new delhi': 'delhi', madras: 'chennai', calcutta: 'kolkata',
+};
+
+// Locations that say nothing about the city
+const NON_CITIES = new Set(['', 'india', 'remote', 'hybrid', 'anywhere', 'multiple locations']);
+
+function normaliseCompany(name) {
+  return (name || '').toLowerCase()
+    .replace(/&amp;/g, '&').replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ').trim();
+}
+
+// Drops requisition codes and a trailing "- Bengaluru" / "| India" location
+function normaliseTitle(title) {
+  const words = (title || '').toLowerCase()
+    .replace(/&amp;/g, '&')
+    .replace(/\b(jr|req|r)[- ]?\d{3,}\b/g, ' ')
+    .replace(/\s[-|–,]\s*(bengaluru|bangalore|hyderabad|pune|gurugram|gurgaon|mumbai|chennai|delhi|noida|india|remote)\s*$/, '')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map((w) => TITLE_SYNONYMS[w] || w);
+  return words.join(' ');
+}
+
+// First city named in the location, or '' when it names none
+function normaliseCity(location) {
+  const first = (location || '').toLowerCase().split(/[,/|;]| - /)[0]
+    .replace(/\b(greater|area|urban|district|metropolitan|region)\b/g, '')
+    .replace(/[^a-z ]+/g, ' ')
+    .replace(/\s+/g, ' ').trim();
+  if (NON_CITIES.has(first)) return '';
+  return CITY_ALIASES[first] || first;
+}
+
+function canonicalId(company, job) {
+  return [normaliseCompany(company), normaliseTitle(job.title), normaliseCity(job.location)].join('|');
+}
+
+// Dice coefficient over title words, ignoring stopwords
+function titleSimilarity(a, b) {
+  const words = (t) => new Set(t.split(' ').filter((w) => !TITLE_STOPWORDS.has(w)));
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  wa.forEach((w) => { if (wb.has(w)) shared++; });
+  return (2 * shared) / (wa.size + wb.size);
+}
+
+const FUZZY_TITLE_THRESHOLD = 0.8;
+
+/**
+ * Index of jobs by company for matching. add() takes the job's company name
+ * (the section's, or job.department for multi-company sections); find()
+ * returns the indexed entry for the same role, or null.
+ */
+function createIndex() {
+  const byCompany = new Map();
+  return {
+    add(company, job, value) {
+      const key = normaliseCompany(company);
+      if (!byCompany.has(key)) byCompany.set(key, []);
+      byCompany.get(key).push({
+        id: canonicalId(company, job),
+        title: normaliseTitle(job.title),
+        city: normaliseCity(job.location),
+        value,
+      });
+    },
+
+    find(company, job) {
+      const candidates = byCompany.get(normaliseCompany(company)) || [];
+      const id = canonicalId(company, job);
+      const exact = candidates.find((c) => c.id === id);
+      if (exact) return exact.value;
+
+      const title = normaliseTitle(job.title);
+      const city = normaliseCity(job.location);
+      let best = null;
+      let bestScore = FUZZY_TITLE_THRESHOLD;
+      for (const c of candidates) {
+        if (city && c.city && city !== c.city) continue;
+        const score = titleSimilarity(title, c.title);
+        if (score >= bestScore) { best = c; bestScore = score; }
+      }
+      return best ? best.value : null;
+    },
+  };
+}
+
+module.exports = {
+  normaliseCompany,
+  normaliseTitle,
+  normaliseCity,
+  canonicalId,
+  titleSimilarity,
+  createIndex,
+};
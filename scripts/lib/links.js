@@ -0,0 +1,134 @@
+/**
+ * Apply-link health checks, run over jobs.json after every fetch.
+ *
+ * Open jobs stay listed until a complete fetch of their source drops them,
+ * so a posting taken down between runs, or missed by a partial fetch, would
+ * otherwise keep its card. Each open job's apply URL is requested (redirects
+ * followed, per-host limits from scripts/lib/http.js) and the job is marked:
+ *
+ *   live     the page loads and the source listed the job this run
+ *   closed   404 / 410, a "no longer available" page, or a redirect to a
+ *            listing or error page
+ *   unknown  no URL to check (LinkedIn cards without a link), the check
+ *            failed, or the link works but the source didn't list the job
+ *            this run
+ *
+ * Runs are every two hours, so a working or dead link is only requested
+ * again once its last check is RECHECK_HOURS old.
+ */
+
+const LINK_CHECK_CONCURRENCY = 8;
+const RECHECK_HOURS = 24;
+const USER_AGENT = 'Mozilla/5.0 (compatible; JobTracker/1.0)';
+
+// Wording of closed-posting pages across the ATSs and LinkedIn
+const DEAD_PAGE_PATTERNS = [
+  /no longer (?:available|accepting applications|open|active|exists)/i,
+  /(?:job|position|posting|vacancy|role) (?:has|have) (?:expired|been filled|been closed|been removed|closed)/i,
+  /(?:job|position|posting|vacancy) (?:is )?(?:not found|unavailable|closed)/i,
+  /couldn['’]t find (?:the|that|this) (?:job|position|page)/i,
+];
+
+// Where boards send links to postings they've taken down
+const DEAD_URL_PATTERNS = [
+  /[?&]error=true\b/i,
+  /\/(?:404|not-?found|expired|job-?closed)(?:[/?#]|$)/i,
+];
+const LISTING_PATH = /\/(?:jobs|careers|search|positions|openings)\/?$/i;
+// Sign-in walls say nothing about the posting
+const LOGIN_URL = /\/(?:authwall|login|signin|checkpoint)\b/i;
+
+const isCheckable = (url) => /^https?:\/\//i.test(url || '');
+
+// Page text minus scripts and styles: client-rendered pages bundle the
+// wording for every state, closed included
+const visibleText = (html) => html
+  .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ');
+
+/**
+ * Probes one URL: 'ok', 'dead' or 'unknown'. Other 4xx (mostly bot walls),
+ * 429, 5xx, redirects that go nowhere and network errors are unknown rather
+ * than dead.
+ */
+async function checkLink(url, client) {
+  let res;
+  try {
+    res = await client.httpProbe(url, { 'User-Agent': USER_AGENT });
+  } catch {
+    return 'unknown';
+  }
+  if (res.status === 404 || res.status === 410) return 'dead';
+  if (res.status >= 300) return 'unknown';
+  const final = new URL(res.url);
+  const redirected = res.url !== url;
+  if (redirected && LOGIN_URL.test(final.pathname)) return 'unknown';
+  if (redirected && DEAD_URL_PATTERNS.some((p) => p.test(final.pathname + final.search))) return 'dead';
+  if (redirected && LISTING_PATH.test(final.pathname) && !LISTING_PATH.test(new URL(url).pathname)) return 'dead';
+  const text = visibleText(res.body);
+  if (DEAD_PAGE_PATTERNS.some((p) => p.test(text))) return 'dead';
+  return 'ok';
+}
+
+// Runs `fn` over `items` with at most `limit` in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Link results from the previous output young enough to reuse, by URL. Only
+// live and closed jobs say how their link fared; unknown ones are rechecked.
+function recentResults(previous, now) {
+  const results = new Map();
+  for (const sec of Object.values((previous && previous.companies) || {})) {
+    for (const job of sec.jobs || []) {
+      if (!job.linkCheckedAt || now - Date.parse(job.linkCheckedAt) > RECHECK_HOURS * 3600000) continue;
+      if (job.status === 'live') results.set(job.url, { link: 'ok', checkedAt: job.linkCheckedAt });
+      if (job.status === 'closed') results.set(job.url, { link: 'dead', checkedAt: job.linkCheckedAt });
+    }
+  }
+  return results;
+}
+
+/**
+ * Checks every open job in a jobs.json `output` in place: sets job.status and
+ * job.linkCheckedAt, and each section's health.links { checked, broken,
+ * unknown }, where `checked` counts links requested this run. Links checked
+ * in the last RECHECK_HOURS are taken from the `previous` output instead. A
+ * job counts as listed by its source when its lastSeenAt is this run's
+ * fetchedAt. `client` needs httpProbe (scripts/lib/http.js).
+ */
+async function checkLinks(output, { client, previous = null, concurrency = LINK_CHECK_CONCURRENCY } = {}) {
+  const now = Date.parse(output.fetchedAt);
+  const byUrl = recentResults(previous, now);
+  const jobs = Object.values(output.companies).flatMap((sec) => sec.jobs);
+  const urls = [...new Set(jobs.map((j) => j.url).filter((url) => isCheckable(url) && !byUrl.has(url)))];
+  const results = await mapLimit(urls, concurrency, (url) => checkLink(url, client));
+  urls.forEach((url, i) => byUrl.set(url, { link: results[i], checkedAt: output.fetchedAt, fresh: true }));
+
+  for (const sec of Object.values(output.companies)) {
+    const links = { checked: 0, broken: 0, unknown: 0 };
+    for (const job of sec.jobs) {
+      const result = byUrl.get(job.url);
+      const link = result ? result.link : 'unknown';
+      const listed = job.lastSeenAt === output.fetchedAt;
+      job.status = link === 'dead' ? 'closed' : link === 'ok' && listed ? 'live' : 'unknown';
+      job.linkCheckedAt = result ? result.checkedAt : null;
+      if (result && result.fresh) links.checked++;
+      if (link === 'dead') links.broken++;
+      if (job.status === 'unknown') links.unknown++;
+    }
+    sec.health.links = links;
+  }
+  return output;
+}
+
+module.exports = { checkLink, checkLinks };
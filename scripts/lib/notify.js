@@ -0,0 +1,106 @@
+/**
+ * New-role notifications. fetch-jobs.js hands over the roles that were not in
+ * the previous jobs.json; each company with new roles becomes one push
+ * notification to every subscription in config/push-subscriptions.json.
+ *
+ * The VAPID public key and subject live in config/push.json (the PWA reads the
+ * same file); the private key comes from the VAPID_PRIVATE_KEY environment
+ * variable and is never committed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sendNotification } = require('./web-push');
+
+const CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'push.json');
+const SUBSCRIPTIONS_PATH = path.join(__dirname, '..', '..', 'config', 'push-subscriptions.json');
+const TITLES_IN_BODY = 3;
+
+function loadPushConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+}
+
+function loadSubscriptions() {
+  try {
+    return JSON.parse(fs.readFileSync(SUBSCRIPTIONS_PATH, 'utf8')).subscriptions || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveSubscriptions(subscriptions) {
+  fs.writeFileSync(SUBSCRIPTIONS_PATH, JSON.stringify({ subscriptions }, null, 2) + '\n');
+}
+
+// One payload per company; the service worker turns it into a notification
+function buildNotifications(newRoles) {
+  return newRoles
+    .filter(({ jobs }) => jobs.length > 0)
+    .map(({ key, name, jobs }) => {
+      const titles = jobs.slice(0, TITLES_IN_BODY).map((j) => j.title);
+      const more = jobs.length - titles.length;
+      return {
+        title: `${name}: ${jobs.length} new role${jobs.length === 1 ? '' : 's'}`,
+        body: titles.join('\n') + (more > 0 ? `\n+${more} more` : ''),
+        tag: `new-${key}`,
+        section: key,
+        jobIds: jobs.map((j) => String(j.id)),
+      };
+    });
+}
+
+// Sends every payload to every subscription. Subscriptions the push service
+// reports as gone (404/410) are dropped from config/push-subscriptions.json.
+async function sendToAll(payloads, { subscriptions = loadSubscriptions(), privateKey = process.env.VAPID_PRIVATE_KEY } = {}) {
+  const { vapidPublicKey, subject } = loadPushConfig();
+  if (!payloads.length) return { sent: 0, failed: 0 };
+  if (!vapidPublicKey || !privateKey) {
+    console.log('[Push] Skipped: VAPID keys not configured');
+    return { sent: 0, failed: 0 };
+  }
+  if (!subscriptions.length) {
+    console.log('[Push] Skipped: no subscriptions');
+    return { sent: 0, failed: 0 };
+  }
+
+  const vapid = { publicKey: vapidPublicKey, privateKey, subject };
+  const gone = new Set();
+  let sent = 0;
+  let failed = 0;
+  for (const sub of subscriptions) {
+    for (const payload of payloads) {
+      try {
+        await sendNotification(sub, payload, vapid);
+        sent++;
+      } catch (err) {
+        if (err.statusCode === 404 || err.statusCode === 410) {
+          gone.add(sub.endpoint);
+          break;
+        }
+        failed++;
+        console.error(`[Push] ${new URL(sub.endpoint).host}: ${err.message}`);
+      }
+    }
+  }
+
+  if (gone.size) {
+    saveSubscriptions(subscriptions.filter((s) => !gone.has(s.endpoint)));
+    console.log(`[Push] Removed ${gone.size} expired subscription(s)`);
+  }
+  console.log(`[Push] ${sent} notification(s) sent, ${failed} failed`);
+  return { sent, failed };
+}
+
+function notifyNewRoles(newRoles, options) {
+  return sendToAll(buildNotifications(newRoles), options);
+}
+
+module.exports = {
+  SUBSCRIPTIONS_PATH,
+  loadPushConfig,
+  loadSubscriptions,
+  saveSubscriptions,
+  buildNotifications,
+  sendToAll,
+  notifyNewRoles,
+};
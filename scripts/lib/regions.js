@@ -0,0 +1,93 @@
+/**
+ * Regions the fetcher can run for (config/regions.json), shared with the PWA.
+ *
+ * config/companies.json says what to fetch; a region says where. Each region
+ * maps every source type to its location parameters (Salesforce's country,
+ * LinkedIn's location and geo ID, SmartRecruiters and ATS location patterns,
+ * ...) and sets how salaries are counted: LPA in India, thousands a year in
+ * local currency elsewhere. applyRegion() merges those parameters under each
+ * company's source and fills {placeholders} in its URLs and headings; a
+ * company can override anything for one region under `regions.<key>`.
+ *
+ * The default region reads and writes data/ as it always has; the others
+ * get data/regions/<key>/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const REGIONS_PATH = path.join(ROOT, 'config', 'regions.json');
+
+function loadRegions(regionsPath = REGIONS_PATH) {
+  return JSON.parse(fs.readFileSync(regionsPath, 'utf8'));
+}
+
+// `key` defaults to the config's default region
+function getRegion(key, config = loadRegions()) {
+  const region = config.regions.find((r) => r.key === (key || config.default));
+  if (!region) throw new Error(`Unknown region "${key}" (config/regions.json has ${config.regions.map((r) => r.key).join(', ')})`);
+  return { ...region, isDefault: region.key === config.default };
+}
+
+// Directory holding jobs.json, history.json, stats.json etc. for `region`
+const dataDir = (region) => (region.isDefault
+  ? path.join(ROOT, 'data')
+  : path.join(ROOT, 'data', 'regions', region.key));
+
+// ─── Salary amounts ───
+// LPA amounts are written bare ("22–41 LPA") and shown after a ₹, as they
+// always were; amounts in thousands carry their symbol ("£95–120k").
+function formatAmount(value, { unit, symbol }) {
+  return unit === 'LPA' ? `${value} LPA` : `${symbol}${value}k`;
+}
+
+function formatRange(min, max, { unit, symbol }) {
+  return unit === 'LPA' ? `${min}–${max} LPA` : `${symbol}${min}–${max}k`;
+}
+
+function formatAtLeast(value, { unit, symbol }) {
+  return unit === 'LPA' ? `${value}+ LPA` : `${symbol}${value}k+`;
+}
+
+// A formatted amount as people read it: "₹22–41 LPA", "£95–120k"
+const displaySalary = (text, { unit, symbol }) => (unit === 'LPA' ? `${symbol}${text}` : text);
+
+// ─── Companies ───
+const fill = (template, vars, encode = (s) => s) => template.replace(
+  /\{(\w+)\}/g, (match, name) => (vars[name] != null ? encode(String(vars[name])) : match)
+);
+
+/**
+ * One config/companies.json entry as it runs in `region`. Sources get the
+ * region's parameters for their type under their own; URLs, headings and the
+ * target role can use {region}, {minSalary} and any source parameter.
+ */
+function applyRegion(company, region) {
+  const { regions: overrides, ...base } = company;
+  const own = (overrides && overrides[region.key]) || {};
+  const source = {
+    ...region.sources[company.source.type],
+    ...company.source,
+    ...own.source,
+  };
+  const vars = { ...source, region: region.name, minSalary: formatAtLeast(region.salary.minimum, region.salary) };
+  const entry = { ...base, ...own, source };
+  if (source.url) source.url = fill(source.url, vars, encodeURIComponent);
+  if (entry.careersUrl) entry.careersUrl = fill(entry.careersUrl, vars, encodeURIComponent);
+  for (const field of ['heading', 'targetRole']) {
+    if (entry[field]) entry[field] = fill(entry[field], vars);
+  }
+  return entry;
+}
+
+module.exports = {
+  loadRegions,
+  getRegion,
+  dataDir,
+  formatAmount,
+  formatRange,
+  formatAtLeast,
+  displaySalary,
+  applyRegion,
+};
@@ -0,0 +1,93 @@
+/**
+ * Recorded HTTP responses for offline runs of the fetchers.
+ *
+ * A fixtures directory holds one file per response plus recordings.json,
+ * which maps each request (method, URL and POST body) to its file, or to the
+ * error it failed with, plus any `responseHeaders` the caller asked for. replayClient() serves a directory back through the
+ * same { httpGet, httpPost } interface as scripts/lib/http.js;
+ * recordingClient() wraps a live client and writes such a directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST = 'recordings.json';
+
+const sameRequest = (entry, method, url, body) =>
+  entry.method === method && entry.url === url &&
+  JSON.stringify(entry.body || null) === JSON.stringify(body || null);
+
+function replayError(entry) {
+  const err = new Error(entry.error);
+  if (entry.statusCode) err.statusCode = entry.statusCode;
+  return err;
+}
+
+/**
+ * Client answering from `dir`. Unrecorded requests reject, so a fetcher that
+ * asks for something new fails loudly instead of reaching the network.
+ * `calls` lists every request in order.
+ */
+function replayClient(dir) {
+  const { responses } = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf8'));
+  const calls = [];
+  const lookup = async (method, url, body, responseHeaders) => {
+    calls.push({ method, url, body });
+    const entry = responses.find((e) => sameRequest(e, method, url, body));
+    if (!entry) throw new Error(`No recording for ${method} ${url}`);
+    if (entry.error) throw replayError(entry);
+    const text = fs.readFileSync(path.join(dir, entry.file), 'utf8');
+    return responseHeaders ? { body: text, headers: entry.headers || {} } : text;
+  };
+  return {
+    calls,
+    httpGet: (url, headers, options = {}) => lookup('GET', url, undefined, options.responseHeaders),
+    httpPost: (url, body) => lookup('POST', url, body),
+  };
+}
+
+function extensionFor(body) {
+  const start = body.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+  if (start.startsWith('<?xml') || start.startsWith('<rss')) return 'xml';
+  return 'html';
+}
+
+/**
+ * Passes requests through to `network` and records them into `dir`, each
+ * response as <host>-<n>.<ext>. save() writes recordings.json.
+ */
+function recordingClient(dir, network) {
+  const responses = [];
+  const counts = {};
+
+  const record = async (entry, request) => {
+    const host = new URL(entry.url).host;
+    try {
+      const res = await request();
+      const body = typeof res === 'string' ? res : res.body;
+      counts[host] = (counts[host] || 0) + 1;
+      const file = `${host}-${counts[host]}.${extensionFor(body)}`;
+      fs.writeFileSync(path.join(dir, file), body);
+      responses.push({ ...entry, file, ...(res.headers && { headers: res.headers }) });
+      return res;
+    } catch (err) {
+      responses.push({ ...entry, error: err.message, statusCode: err.statusCode || null });
+      throw err;
+    }
+  };
+
+  return {
+    responses,
+    httpGet: (url, headers, options) =>
+      record({ method: 'GET', url }, () => network.httpGet(url, headers, options)),
+    httpPost: (url, body, headers) =>
+      record({ method: 'POST', url, body }, () => network.httpPost(url, body, headers)),
+    save() {
+      const manifest = { recordedAt: new Date().toISOString(), responses };
+      fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+    },
+  };
+}
+
+module.exports = { MANIFEST, replayClient, recordingClient };
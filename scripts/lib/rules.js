@@ -0,0 +1,68 @@
+/**
+ * Role-filter rules, one JSON file per company in config/rules/<key>.json:
+ *
+ *   {
+ *     "target":  "P4",                      // level to match (overridable per run)
+ *     "include": ["..."],                   // title must match one of these...
+ *     "require": ["..."],                   // ...and all of these
+ *     "exclude": ["..."],                   // ...and none of these
+ *     "levels": {                           // level aliases, e.g. P3 / P4 / P5
+ *       "P4": { "include": ["..."], "exclude": ["..."] }
+ *     }
+ *   }
+ *
+ * Patterns are case-insensitive regular expressions. The target level's
+ * include/exclude lists are added to the top-level ones. A rule with no
+ * include patterns at all accepts any title that passes require/exclude.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RULES_DIR = path.join(__dirname, '..', '..', 'config', 'rules');
+
+const compile = (patterns) => (patterns || []).map((p) => new RegExp(p, 'i'));
+
+function compileRule(raw, levelOverride) {
+  const target = levelOverride || raw.target || null;
+  const levels = raw.levels || {};
+  if (target && !levels[target]) {
+    throw new Error(`Unknown level "${target}" (known: ${Object.keys(levels).join(', ') || 'none'})`);
+  }
+  const level = (target && levels[target]) || {};
+  return {
+    target,
+    levels: Object.keys(levels),
+    include: compile([...(raw.include || []), ...(level.include || [])]),
+    require: compile(raw.require),
+    exclude: compile([...(raw.exclude || []), ...(level.exclude || [])]),
+  };
+}
+
+function loadRule(key, levelOverride) {
+  const file = path.join(RULES_DIR, `${key}.json`);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return compileRule(JSON.parse(fs.readFileSync(file, 'utf8')), levelOverride);
+  } catch (err) {
+    throw new Error(`config/rules/${key}.json: ${err.message}`);
+  }
+}
+
+/**
+ * Returns { accepted, reason }; `reason` names the pattern that decided a
+ * rejection. A missing rule (null) accepts everything.
+ */
+function evaluateRule(rule, title) {
+  if (!rule) return { accepted: true, reason: 'no rule' };
+  const excluded = rule.exclude.find((re) => re.test(title));
+  if (excluded) return { accepted: false, reason: `excluded by /${excluded.source}/` };
+  const missing = rule.require.find((re) => !re.test(title));
+  if (missing) return { accepted: false, reason: `missing /${missing.source}/` };
+  if (rule.include.length && !rule.include.some((re) => re.test(title))) {
+    return { accepted: false, reason: 'no include pattern matched' };
+  }
+  return { accepted: true, reason: null };
+}
+
+module.exports = { RULES_DIR, compileRule, loadRule, evaluateRule };
@@ -0,0 +1,266 @@
+/**
+ * Salary bands per company and level.
+ *
+ * Titles are mapped onto a common ladder (mid, senior, staff, principal) by
+ * levelForTitle(), which also knows company-specific names like SMTS or P4.
+ * Bands are { min, median, max } in LPA and come from:
+ *
+ *   1. config/salary-bands.json — curated levels.fyi India TC, by level. For
+ *      now it only has senior bands, and only their max: the old single
+ *      per-company figure.
+ *   2. AmbitionBox's per-designation salary pages, cached for 14 days in
+ *      data/salary-cache.json under "<company-slug>/<level>"
+ *
+ * A level with no band of its own borrows the nearest lower level's band;
+ * job.salary.band then differs from job.salary.level.
+ *
+ * Outside India (config/regions.json) bands are in thousands a year of the
+ * region's currency, from the region's own curated file if it has one;
+ * AmbitionBox only covers India.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { httpGet } = require('./http');
+const schema = require('./schema');
+const { formatRange, formatAmount, formatAtLeast } = require('./regions');
+
+const ROOT = path.join(__dirname, '..', '..');
+const BANDS_PATH = path.join(ROOT, 'config', 'salary-bands.json');
+const SALARY_CACHE_PATH = path.join(ROOT, 'data', 'salary-cache.json');
+const SALARY_CACHE_TTL_DAYS = 14;
+
+const LEVELS = ['mid', 'senior', 'staff', 'principal'];
+
+// First match wins, so company ladders (MTS → SMTS → LMTS → PMTS) and
+// numbered titles come before the generic seniority words.
+const TITLE_LEVELS = [
+  ['principal', /\b(principal|distinguished|fellow|pmts)\b/i],
+  ['staff', /\b(lmts|lead member of technical staff)\b/i],
+  ['senior', /\b(smts|senior member of technical staff)\b/i],
+  ['mid', /\b(mts|member of technical staff)\b/i],
+  ['staff', /\b(staff|lead|architect|p5|se4)\b/i],
+  ['senior', /\b(senior|sr\.?|sse\s*(2|ii)?|p4|l2[- ]?ii|se3)\b/i],
+  ['senior', /\b(sde|swe|software engineer)[- ]?(iii|3)\b/i],
+  ['mid', /\b(sde|swe|software engineer)[- ]?(ii|2)\b/i],
+];
+
+// AmbitionBox serves its salary pages to browsers only
+const BROWSER_UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// AmbitionBox designation slug per level
+const AMBITIONBOX_DESIGNATIONS = {
+  mid: 'software-engineer',
+  senior: 'senior-software-engineer',
+  staff: 'staff-software-engineer',
+  principal: 'principal-software-engineer',
+};
+
+function levelForTitle(title) {
+  const hit = TITLE_LEVELS.find(([, re]) => re.test(title));
+  return hit ? hit[0] : 'mid';
+}
+
+function loadCuratedBands(bandsPath = BANDS_PATH) {
+  return JSON.parse(fs.readFileSync(bandsPath, 'utf8'));
+}
+
+// Exact company name first, then substring either way ("Uber India" → uber)
+function lookupCurated(curated, companyName) {
+  if (!curated) return null;
+  const c = companyName.toLowerCase().trim();
+  if (curated.companies[c]) return curated.companies[c];
+  const key = Object.keys(curated.companies).find((k) => c.includes(k) || k.includes(c));
+  return key ? curated.companies[key] : null;
+}
+
+// data/salary-cache.json is { schemaVersion, bands } (config/schemas/
+// salary-cache.schema.json); callers work on the bands map alone.
+const SALARY_CACHE_MIGRATIONS = {
+  // Unversioned caches were the bare map. The oldest keyed one company-wide
+  // range by slug; that came from the senior-software-engineer page, so it
+  // becomes the senior band.
+  0: (raw) => {
+    const bands = {};
+    for (const [key, entry] of Object.entries(raw)) {
+      if (key.includes('/')) bands[key] = { min: entry.min, median: entry.median, max: entry.max, ts: entry.ts };
+      else bands[`${key}/senior`] = { min: entry.minLPA, median: null, max: entry.maxLPA, ts: entry.ts };
+    }
+    return { bands };
+  },
+};
+
+function loadSalaryCache() {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(SALARY_CACHE_PATH, 'utf8'));
+  } catch {
+    return {};
+  }
+  return schema.migrate('salary-cache', raw, SALARY_CACHE_MIGRATIONS).bands;
+}
+
+function saveSalaryCache(cache) {
+  const data = schema.assertValid('salary-cache', { schemaVersion: schema.schemaVersion('salary-cache'), bands: cache });
+  fs.mkdirSync(path.dirname(SALARY_CACHE_PATH), { recursive: true });
+  fs.writeFileSync(SALARY_CACHE_PATH, JSON.stringify(data, null, 2));
+}
+
+function companyToSlug(name) {
+  return name.toLowerCase()
+    .replace(/&amp;/g, 'and').replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+const toLpa = (num, unit) => {
+  const lpa = parseFloat(num.replace(/,/g, '')) * (unit.toLowerCase().startsWith('cr') ? 100 : 1);
+  return Math.round(lpa * 10) / 10;
+};
+
+// AmbitionBox publishes a range and an average; the average is stored as
+// the median.
+function parseAmbitionBox(html) {
+  const range = html.match(/salary[^₹]{0,50}₹([\d,.]+)\s*(Lakhs?|L|Cr)[^₹]{0,30}₹([\d,.]+)\s*(Lakhs?|L|Cr)/i);
+  if (!range) return null;
+  const avg = html.match(/average[^₹]{0,80}₹([\d,.]+)\s*(Lakhs?|L|Cr)/i);
+  return {
+    min: toLpa(range[1], range[2]),
+    median: avg ? toLpa(avg[1], avg[2]) : null,
+    max: toLpa(range[3], range[4]),
+  };
+}
+
+async function fetchAmbitionBoxBand(slug, level, client = { httpGet }) {
+  const url = `https://www.ambitionbox.com/salaries/${slug}-salaries/${AMBITIONBOX_DESIGNATIONS[level]}`;
+  try {
+    return parseAmbitionBox(await client.httpGet(url, { 'User-Agent': BROWSER_UA }));
+  } catch {
+    return null;
+  }
+}
+
+const hasBand = (b) => !!b && (b.max != null || b.median != null);
+
+// Band for exactly this level, or null: curated data, then the cache.
+// `ambitionBox: false` (regions outside India) skips the cache. Curated
+// files without an `asOf` (when the figures were collected is unknown) give
+// a null asOf rather than a made-up age.
+function exactBand(companyName, level, { curated, cache, ambitionBox = true }) {
+  const company = lookupCurated(curated, companyName);
+  if (company && hasBand(company[level])) {
+    return { ...company[level], source: curated.source, asOf: curated.asOf || null };
+  }
+  if (!ambitionBox) return null;
+  const cached = cache[`${companyToSlug(companyName)}/${level}`];
+  if (hasBand(cached)) {
+    return { min: cached.min, median: cached.median, max: cached.max, source: 'ambitionbox', asOf: new Date(cached.ts).toISOString() };
+  }
+  return null;
+}
+
+function needsFetch(companyName, level, ctx) {
+  if (ctx.ambitionBox === false) return false;
+  const company = lookupCurated(ctx.curated, companyName);
+  if (company && hasBand(company[level])) return false;
+  const cached = ctx.cache[`${companyToSlug(companyName)}/${level}`];
+  return !(cached && cached.ts && Date.now() - cached.ts < SALARY_CACHE_TTL_DAYS * 86400000);
+}
+
+/**
+ * Returns { level, band, min, median, max, source, asOf } for a role, or
+ * null without data. Falls back to lower levels when `level` has no band.
+ */
+function bandFor(companyName, level, ctx) {
+  for (let i = LEVELS.indexOf(level); i >= 0; i--) {
+    const band = exactBand(companyName, LEVELS[i], ctx);
+    if (band) return { level, band: LEVELS[i], ...band };
+  }
+  return null;
+}
+
+// Number compared against salary cut-offs and bucketed in stats: the top of
+// the band, the one figure both sources have (curated bands are max-only).
+// Bands without a max count as no data.
+const bandValue = (salary) => salary.max;
+
+// `currency` is a region's salary settings; LPA by default
+function formatBand({ min, median, max }, currency = { unit: 'LPA' }) {
+  if (min != null && max != null) return formatRange(min, max, currency);
+  return formatAmount(max != null ? max : median, currency);
+}
+
+/**
+ * Sets job.salary (and job.salaryRange, the display string) on every job
+ * with data. Missing (company, level) bands are fetched from AmbitionBox
+ * first, through ctx.client when given; ctx.cache is updated in place for
+ * the caller to save. ctx.currency formats salaryRange (see formatBand).
+ */
+async function annotateSalaries(jobs, companyOf, ctx) {
+  const wanted = new Map();
+  for (const job of jobs) {
+    const company = companyOf(job);
+    if (!company || company === '—') continue;
+    for (let i = LEVELS.indexOf(levelForTitle(job.title)); i >= 0; i--) {
+      if (needsFetch(company, LEVELS[i], ctx)) wanted.set(`${companyToSlug(company)}/${LEVELS[i]}`, LEVELS[i]);
+      if (exactBand(company, LEVELS[i], ctx)) break;
+    }
+  }
+
+  // Pacing and concurrency come from the HTTP client's AmbitionBox host limit
+  const keys = [...wanted.keys()];
+  await Promise.all(keys.map(async (key) => {
+    const band = await fetchAmbitionBoxBand(key.split('/')[0], wanted.get(key), ctx.client);
+    // A failed refresh keeps the stale band (and its age) rather than losing it
+    if (band || !hasBand(ctx.cache[key])) {
+      ctx.cache[key] = { min: null, median: null, max: null, ...band, ts: Date.now() };
+    }
+  }));
+  if (keys.length) console.log(`[Salary] Fetched ${keys.length} AmbitionBox band(s)`);
+
+  for (const job of jobs) {
+    const company = companyOf(job);
+    const salary = company && company !== '—' ? bandFor(company, levelForTitle(job.title), ctx) : null;
+    if (!salary) continue;
+    job.salary = salary;
+    job.salaryRange = formatBand(salary, ctx.currency);
+  }
+  return jobs;
+}
+
+// Drops jobs whose matched level tops out below `minimum` (in `currency`'s
+// unit), compared on bandValue; jobs without data stay
+function filterBySalary(jobs, minimum, currency = { unit: 'LPA' }) {
+  const rejected = new Set();
+  const passed = jobs.filter((job) => {
+    if (!job.salary || bandValue(job.salary) == null || bandValue(job.salary) >= minimum) return true;
+    rejected.add(`${job.department} ${job.salary.band} (${formatAmount(bandValue(job.salary), currency)}, ${job.salary.source})`);
+    return false;
+  });
+
+  const bySource = {};
+  passed.forEach((j) => {
+    const src = j.salary ? j.salary.source : 'no data';
+    bySource[src] = (bySource[src] || 0) + 1;
+  });
+  console.log(`[Salary] ${jobs.length} jobs → ${passed.length} passed (${formatAtLeast(minimum, currency)} at matched level, or no data)`);
+  console.log('[Salary] Sources: ' + Object.entries(bySource).map(([s, n]) => `${s}=${n}`).join(', '));
+  if (rejected.size) {
+    console.log(`[Salary] Rejected (${rejected.size}): ${[...rejected].slice(0, 15).join(', ')}`);
+  }
+  return passed;
+}
+
+module.exports = {
+  LEVELS,
+  SALARY_CACHE_MIGRATIONS,
+  levelForTitle,
+  loadCuratedBands,
+  loadSalaryCache,
+  saveSalaryCache,
+  parseAmbitionBox,
+  bandFor,
+  bandValue,
+  formatBand,
+  annotateSalaries,
+  filterBySalary,
+};
@@ -0,0 +1,147 @@
+/**
+ * Versioned data schemas, one JSON Schema per file format in
+ * config/schemas/<name>.schema.json:
+ *
+ *   jobs           — data/jobs.json, written by fetch-jobs.js, read by the PWA
+ *   salary-cache   — data/salary-cache.json, AmbitionBox bands by company/level
+ *   stats          — data/stats.json, the insights dashboard's roll-up
+ *   history        — data/history.json, the archive of closed jobs
+ *   descriptions   — data/descriptions/<key>.json, sanitised job descriptions
+ *   local-cache    — the PWA's localStorage job cache (documents app.js)
+ *   saved-searches — the PWA's saved searches, stored and exported (documents app.js)
+ *   backup         — the PWA's export of all its local state (documents app.js)
+ *
+ * Each file carries a top-level `schemaVersion`, fixed by the schema's
+ * `properties.schemaVersion.const`. Files written before versioning count as
+ * version 0. migrate() upgrades old data step by step; validate() checks
+ * data against the schema.
+ *
+ * The validator covers the JSON Schema keywords the schemas use: type, enum,
+ * const, required, properties, additionalProperties, items, allOf, minimum,
+ * minLength, pattern, format: date-time and local $refs into $defs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'config', 'schemas');
+
+const schemas = {};
+
+function loadSchema(name) {
+  if (!schemas[name]) {
+    schemas[name] = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${name}.schema.json`), 'utf8'));
+  }
+  return schemas[name];
+}
+
+// Current version of a format, as declared by its schema
+function schemaVersion(name) {
+  return loadSchema(name).properties.schemaVersion.const;
+}
+
+// ─── Validation ───
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const matchesType = (value, type) =>
+  typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+
+function resolve(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref "${ref}"`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+function check(root, schema, value, at, errors) {
+  if (schema.$ref) return check(root, resolve(root, schema.$ref), value, at, errors);
+  const where = at || '(root)';
+  (schema.allOf || []).forEach((sub) => check(root, sub, value, at, errors));
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${where}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${where}: shorter than ${schema.minLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where}: does not match /${schema.pattern}/`);
+    if (schema.format === 'date-time' && !DATE_TIME.test(value)) errors.push(`${where}: not an ISO date-time`);
+  }
+  if (typeof value === 'number' && schema.minimum != null && value < schema.minimum) {
+    errors.push(`${where}: below ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(root, schema.items, item, `${at}[${i}]`, errors));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      const child = at ? `${at}.${key}` : key;
+      if (props[key]) check(root, props[key], v, child, errors);
+      else if (schema.additionalProperties === false) errors.push(`${where}: unexpected "${key}"`);
+      else if (typeof schema.additionalProperties === 'object') check(root, schema.additionalProperties, v, child, errors);
+    }
+  }
+}
+
+// Returns a list of "path: problem" strings, empty when `data` is valid.
+// With `def`, checks `data` against that entry of the schema's $defs instead.
+function validate(name, data, def = null) {
+  const schema = loadSchema(name);
+  const errors = [];
+  check(schema, def ? resolve(schema, `#/$defs/${def}`) : schema, data, '', errors);
+  return errors;
+}
+
+// Throws an Error listing the first problems; err.errors holds all of them
+function assertValid(name, data) {
+  const errors = validate(name, data);
+  if (!errors.length) return data;
+  const shown = errors.slice(0, 10).map((e) => `  ${e}`).join('\n');
+  const more = errors.length > 10 ? `\n  ...and ${errors.length - 10} more` : '';
+  const err = new Error(`${name} does not match config/schemas/${name}.schema.json:\n${shown}${more}`);
+  err.errors = errors;
+  throw err;
+}
+
+// ─── Migration ───
+/**
+ * Upgrades `data` to the current version of `name`. `migrations[v]` turns
+ * version v into v + 1. Throws on data from a newer version, which an older
+ * checkout must not overwrite.
+ */
+function migrate(name, data, migrations) {
+  const target = schemaVersion(name);
+  let version = (data && data.schemaVersion) || 0;
+  if (version > target) {
+    throw new Error(`${name} is schema version ${version}, newer than this checkout's ${target}`);
+  }
+  let current = data;
+  while (version < target) {
+    if (!migrations[version]) throw new Error(`No ${name} migration from version ${version}`);
+    current = { ...migrations[version](current), schemaVersion: version + 1 };
+    version++;
+  }
+  return current;
+}
+
+module.exports = { loadSchema, schemaVersion, validate, assertValid, migrate };
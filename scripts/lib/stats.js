@@ -0,0 +1,144 @@
+/**
+ * Hiring statistics for the PWA's insights dashboard, rolled up into
+ * data/stats.json after every fetch (config/schemas/stats.schema.json).
+ *
+ * Everything is derived from this run's jobs.json output and the closed-job
+ * archive in data/history.json: a job counts as open on a day if it was first
+ * seen before the day ended and not closed by then. No earlier stats file is
+ * needed, so stats.json can be regenerated at any time.
+ *
+ * Days and weeks (starting Monday) are UTC. Salary bands follow the region's
+ * `salary.buckets` (config/regions.json), in its unit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normaliseCity } = require('./identity');
+const { bandValue } = require('./salary');
+const { formatAmount, formatRange, formatAtLeast } = require('./regions');
+const schema = require('./schema');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const STATS_FILE = 'stats.json';
+const DAY = 86400000;
+const TIMELINE_DAYS = 90;
+const WEEKS = 12;
+const TIME_TO_CLOSE_WINDOW_DAYS = 90;
+const TOP_CITIES = 8;
+// Closures older than this show in no statistic, so history.json drops them
+const HISTORY_DAYS = Math.max(TIMELINE_DAYS, WEEKS * 7, TIME_TO_CLOSE_WINDOW_DAYS);
+
+// India's bands, for callers without a region
+const DEFAULT_SALARY = { unit: 'LPA', symbol: '₹', buckets: [30, 50, 75, 100] };
+
+const dayStart = (ms) => Math.floor(ms / DAY) * DAY;
+const weekStart = (ms) => dayStart(ms) - ((new Date(ms).getUTCDay() + 6) % 7) * DAY;
+const isoDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const titleCase = (s) => s.replace(/\b[a-z]/g, (c) => c.toUpperCase());
+
+// [{ label, count }], largest first; beyond `limit` folded into "Other"
+function countBy(items, labelOf, limit = Infinity) {
+  const counts = new Map();
+  items.forEach((item) => {
+    const label = labelOf(item);
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+  const sorted = [...counts].map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  if (sorted.length <= limit) return sorted;
+  const other = sorted.slice(limit).reduce((n, c) => n + c.count, 0);
+  return [...sorted.slice(0, limit), { label: 'Other', count: other }];
+}
+
+// [30, 50, 100] → "< 30 LPA", "30–50 LPA", "50–100 LPA", "100+ LPA"
+function salaryBuckets(salary) {
+  const edges = salary.buckets;
+  return [
+    { label: `< ${formatAmount(edges[0], salary)}`, below: edges[0] },
+    ...edges.slice(1).map((edge, i) => ({ label: formatRange(edges[i], edge, salary), below: edge })),
+    { label: formatAtLeast(edges[edges.length - 1], salary), below: Infinity },
+  ];
+}
+
+function salaryBucket(job, buckets) {
+  const value = job.salary ? bandValue(job.salary) : null;
+  if (value == null) return 'No data';
+  return buckets.find((b) => value < b.below).label;
+}
+
+/**
+ * Rolls up one set of jobs: `open` are listed now, `closed` come from the
+ * archive. `days` and `weeks` are the period starts (ms) to report on.
+ */
+function summarise(open, closed, { days, weeks, now, buckets }) {
+  const spans = [...open, ...closed].map((j) => ({
+    from: Date.parse(j.firstSeenAt),
+    to: j.closedAt ? Date.parse(j.closedAt) : Infinity,
+  }));
+  const within = (ms, start, length) => ms >= start && ms < start + length;
+
+  const windowStart = now - TIME_TO_CLOSE_WINDOW_DAYS * DAY;
+  const recent = closed.filter((j) => Date.parse(j.closedAt) >= windowStart);
+  const daysToClose = median(recent.map((j) => (Date.parse(j.closedAt) - Date.parse(j.firstSeenAt)) / DAY));
+
+  return {
+    open: open.length,
+    openings: days.map((d) => spans.filter((s) => s.from < d + DAY && s.to >= d + DAY).length),
+    newPerWeek: weeks.map((w) => spans.filter((s) => within(s.from, w, 7 * DAY)).length),
+    closedPerWeek: weeks.map((w) => spans.filter((s) => within(s.to, w, 7 * DAY)).length),
+    medianDaysToClose: daysToClose === null ? null : Math.round(daysToClose * 10) / 10,
+    closedSample: recent.length,
+    cities: countBy(open, (j) => titleCase(normaliseCity(j.location)) || 'Unspecified', TOP_CITIES),
+    salaryBands: countBy(open, (j) => salaryBucket(j, buckets)),
+  };
+}
+
+/**
+ * Builds stats.json from the assembled jobs.json `output` and the closure
+ * archive (`history`, already including this run's closures). `salary` is
+ * the region's salary settings.
+ */
+function buildStats(output, history, now = Date.now(), salary = DEFAULT_SALARY) {
+  const today = dayStart(now);
+  const days = Array.from({ length: TIMELINE_DAYS }, (_, i) => today - (TIMELINE_DAYS - 1 - i) * DAY);
+  const thisWeek = weekStart(now);
+  const weeks = Array.from({ length: WEEKS }, (_, i) => thisWeek - (WEEKS - 1 - i) * 7 * DAY);
+  const periods = { days, weeks, now, buckets: salaryBuckets(salary) };
+
+  const companies = {};
+  const allOpen = [];
+  const allClosed = [];
+  for (const [key, sec] of Object.entries(output.companies)) {
+    const closed = (history.companies && history.companies[key]) || [];
+    companies[key] = { name: sec.name, ...summarise(sec.jobs, closed, periods) };
+    allOpen.push(...sec.jobs);
+    allClosed.push(...closed);
+  }
+
+  return {
+    schemaVersion: schema.schemaVersion('stats'),
+    generatedAt: new Date(now).toISOString(),
+    days: days.map(isoDate),
+    weeks: weeks.map(isoDate),
+    total: summarise(allOpen, allClosed, periods),
+    companies,
+  };
+}
+
+// `dir` defaults to data/; pass the region's data directory and salary settings
+function updateStats(output, history, now = Date.now(), { dir = DATA_DIR, salary = DEFAULT_SALARY } = {}) {
+  const stats = schema.assertValid('stats', buildStats(output, history, now, salary));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, STATS_FILE), JSON.stringify(stats, null, 2));
+  return stats;
+}
+
+module.exports = { HISTORY_DAYS, buildStats, updateStats };
@@ -0,0 +1,234 @@
+/**
+ * Self-hosted sync for the PWA's per-device state. Each user's seen IDs,
+ * stars, dismissals and tracker records (with notes) follow them across
+ * devices, and teams share lists such as "referred": roles teammates
+ * referred each other for. scripts/sync-server.js runs it.
+ *
+ * Everything is a change { scope, collection, id, value, updatedAt, deleted }.
+ * Scope 'user' is private to the token's user; 'team' is shared with everyone
+ * on the same team. Per entry, the newest updatedAt wins (last writer wins).
+ * Every stored change gets the next revision, and clients pull whatever
+ * changed since the revision they last saw. A change the server can't take
+ * (malformed, or for a team the user isn't on) is skipped and reported back,
+ * so it can't hold up the rest of the batch.
+ *
+ * Users and SHA-256 hashes of their tokens are kept in <dir>/users.json, the
+ * synced state in <dir>/state.json. The directory defaults to .sync/ (or
+ * SYNC_DIR) and is never committed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SYNC_DIR = process.env.SYNC_DIR || path.join(__dirname, '..', '..', '.sync');
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const MAX_CHANGES = 10000;
+// Clients with a clock this far ahead would otherwise win every conflict
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const NAME = /^[a-z0-9][a-z0-9_.-]{0,39}$/i;
+const COLLECTION = /^[a-z0-9][a-z0-9_:-]{0,63}$/i;
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// ─── Storage ───
+function loadJSON(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+// Written to a temp file and renamed, so a crash never leaves half a file
+function saveJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+const usersPath = (dir) => path.join(dir, 'users.json');
+const statePath = (dir) => path.join(dir, 'state.json');
+const emptyState = () => ({ rev: 0, users: {}, teams: {} });
+
+// ─── Users and tokens ───
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Adds the user, or replaces their team and token. The token is returned
+// once and only its hash is kept.
+function addUser(dir, name, team = null) {
+  if (!NAME.test(name)) throw new Error(`Invalid user name "${name}"`);
+  if (team && !NAME.test(team)) throw new Error(`Invalid team name "${team}"`);
+  const token = crypto.randomBytes(24).toString('base64url');
+  const { users } = loadJSON(usersPath(dir), { users: [] });
+  const others = users.filter((u) => u.name !== name);
+  saveJSON(usersPath(dir), { users: [...others, { name, team, tokenHash: hashToken(token) }] });
+  return token;
+}
+
+function listUsers(dir) {
+  return loadJSON(usersPath(dir), { users: [] }).users.map(({ name, team }) => ({ name, team }));
+}
+
+// The user for an `Authorization: Bearer <token>` header, or null
+function authenticate(header, users) {
+  const token = /^Bearer (\S+)$/.exec(header || '')?.[1];
+  if (!token) return null;
+  const hash = Buffer.from(hashToken(token));
+  return users.find((u) => {
+    const stored = Buffer.from(u.tokenHash || '');
+    return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+  }) || null;
+}
+
+// ─── Changes ───
+function bucket(state, user, scope) {
+  if (scope === 'user') return (state.users[user.name] ||= {});
+  if (!user.team) throw httpError(403, `${user.name} is not on a team`);
+  return (state.teams[user.team] ||= {});
+}
+
+function checkChange(change, now) {
+  if (!change || typeof change !== 'object') throw httpError(400, 'Change must be an object');
+  const { scope, collection, id, updatedAt } = change;
+  if (scope !== 'user' && scope !== 'team') throw httpError(400, `Unknown scope "${scope}"`);
+  if (typeof collection !== 'string' || !COLLECTION.test(collection)) throw httpError(400, `Invalid collection "${collection}"`);
+  if (typeof id !== 'string' || !id || id.length > 512) throw httpError(400, 'Invalid id');
+  const at = Date.parse(updatedAt);
+  if (Number.isNaN(at)) throw httpError(400, `Invalid updatedAt for ${collection}/${id}`);
+  return new Date(Math.min(at, now + MAX_CLOCK_SKEW_MS)).toISOString();
+}
+
+// Stores each change that is newer than what's there. Returns { applied,
+// rejected }: how many were stored, and { scope, collection, id, status,
+// error } for each change that was skipped as invalid.
+function applyChanges(state, user, changes, now = Date.now()) {
+  if (!Array.isArray(changes)) throw httpError(400, 'changes must be an array');
+  if (changes.length > MAX_CHANGES) throw httpError(413, `At most ${MAX_CHANGES} changes per request`);
+
+  let applied = 0;
+  const rejected = [];
+  for (const change of changes) {
+    let updatedAt;
+    let entries;
+    try {
+      updatedAt = checkChange(change, now);
+      entries = bucket(state, user, change.scope);
+    } catch (err) {
+      const { scope = null, collection = null, id = null } = change && typeof change === 'object' ? change : {};
+      rejected.push({ scope, collection, id, status: err.statusCode, error: err.message });
+      continue;
+    }
+    const items = (entries[change.collection] ||= {});
+    const prev = items[change.id];
+    if (prev && prev.updatedAt >= updatedAt) continue;
+    items[change.id] = {
+      value: change.deleted ? null : change.value ?? null,
+      deleted: !!change.deleted,
+      updatedAt,
+      by: user.name,
+      rev: ++state.rev,
+    };
+    applied++;
+  }
+  return { applied, rejected };
+}
+
+// The user's and their team's entries stored after revision `since`, oldest first
+function changesSince(state, user, since = 0) {
+  const out = [];
+  const collect = (scope, collections = {}) => {
+    Object.entries(collections).forEach(([collection, items]) => {
+      Object.entries(items).forEach(([id, entry]) => {
+        if (entry.rev > since) out.push({ scope, collection, id, ...entry });
+      });
+    });
+  };
+  collect('user', state.users[user.name]);
+  if (user.team) collect('team', state.teams[user.team]);
+  return out.sort((a, b) => a.rev - b.rev);
+}
+
+// ─── HTTP ───
+// Parses a JSON request body. Rejects with a 413 past `limit` bytes; the rest
+// of the body is discarded so the 413 still reaches the client. Also used by
+// scripts/push.js
+function readBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > limit) {
+        chunks.length = 0;
+        reject(httpError(413, 'Request too large'));
+      } else {
+        chunks.push(c);
+      }
+    });
+    req.on('end', () => {
+      if (size > limit) return;
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); }
+      catch { reject(httpError(400, 'Body is not JSON')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// POST /sync { since, changes } → { rev, user, team, changes, rejected }. Users are
+// re-read per request so `add-user` works without a restart; the state is
+// kept in memory and written after every request that changed it.
+function createSyncServer({ dir = SYNC_DIR, now = Date.now } = {}) {
+  const state = loadJSON(statePath(dir), emptyState());
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      return res.end();
+    }
+    if (new URL(req.url, 'http://x').pathname !== '/sync' || req.method !== 'POST') {
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    try {
+      const user = authenticate(req.headers.authorization, loadJSON(usersPath(dir), { users: [] }).users);
+      if (!user) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw httpError(401, 'Unknown or missing token');
+      }
+      const body = await readBody(req);
+      const since = Number.isInteger(body.since) && body.since > 0 ? body.since : 0;
+      const { applied, rejected } = applyChanges(state, user, body.changes || [], now());
+      if (applied) saveJSON(statePath(dir), state);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        rev: state.rev, user: user.name, team: user.team || null, changes: changesSince(state, user, since), rejected,
+      }));
+    } catch (err) {
+      if (!err.statusCode) console.error('[Sync]', err);
+      res.statusCode = err.statusCode || 500;
+      res.end(err.statusCode ? err.message : 'Internal error');
+    }
+  });
+}
+
+module.exports = {
+  SYNC_DIR,
+  MAX_CHANGES,
+  MAX_BODY_BYTES,
+  MAX_CLOCK_SKEW_MS,
+  hashToken,
+  addUser,
+  listUsers,
+  authenticate,
+  applyChanges,
+  changesSince,
+  readBody,
+  createSyncServer,
+};
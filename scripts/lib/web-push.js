@@ -0,0 +1,84 @@
+/**
+ * Web Push sender: VAPID authentication (RFC 8292) and aes128gcm payload
+ * encryption (RFC 8291), using only node:crypto.
+ *
+ * Subscriptions are the JSON produced by PushSubscription.toJSON() in the
+ * browser: { endpoint, keys: { p256dh, auth } }.
+ */
+
+const crypto = require('crypto');
+const { httpRequest } = require('./http');
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const fromB64url = (str) => Buffer.from(str, 'base64url');
+
+// Raw P-256 key pair, base64url-encoded as browsers expect for applicationServerKey
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: b64url(ecdh.getPublicKey()),
+    privateKey: b64url(Buffer.from(ecdh.getPrivateKey('hex').padStart(64, '0'), 'hex')),
+  };
+}
+
+function vapidAuthorization(endpoint, { publicKey, privateKey, subject }, now = Date.now()) {
+  const pub = fromB64url(publicKey);
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: { kty: 'EC', crv: 'P-256', d: privateKey, x: b64url(pub.subarray(1, 33)), y: b64url(pub.subarray(33, 65)) },
+  });
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + 12 * 3600,
+    sub: subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${publicKey}`;
+}
+
+// Encrypts `payload` for one subscription as a single aes128gcm record
+function encrypt(payload, { p256dh, auth }) {
+  const uaPublic = fromB64url(p256dh);
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const shared = ecdh.computeSecret(uaPublic);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', shared, fromB64url(auth), keyInfo, 32));
+  const salt = crypto.randomBytes(16);
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const body = Buffer.concat([cipher.update(Buffer.from(payload)), cipher.update(Buffer.from([2])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(4096, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body]);
+}
+
+/**
+ * Sends one notification. Rejects with err.statusCode set on HTTP errors;
+ * 404 and 410 mean the subscription is gone and should be dropped.
+ */
+function sendNotification(subscription, payload, vapid, { ttl = 24 * 3600 } = {}) {
+  const body = encrypt(JSON.stringify(payload), subscription.keys);
+  return httpRequest(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': vapidAuthorization(subscription.endpoint, vapid),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': body.length,
+      'TTL': ttl,
+      'Urgency': 'normal',
+    },
+    body,
+  });
+}
+
+module.exports = { generateVapidKeys, vapidAuthorization, encrypt, sendNotification };
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Web Push helpers.
+ *
+ *   node scripts/push.js keys            Generate a VAPID key pair
+ *   node scripts/push.js serve [port]    Local subscription endpoint (default 8787)
+ *   node scripts/push.js test            Send a test notification to every subscription
+ *
+ * `serve` accepts POST/DELETE /subscriptions from the PWA and writes
+ * config/push-subscriptions.json, which is then committed like any other config.
+ * Point config/push.json's `subscribeUrl` at it while subscribing.
+ */
+
+const http = require('http');
+const { generateVapidKeys } = require('./lib/web-push');
+const { loadSubscriptions, saveSubscriptions, sendToAll } = require('./lib/notify');
+const { readBody } = require('./lib/sync');
+
+// A subscription is an endpoint URL and two keys, well under 1 KB
+const MAX_BODY_BYTES = 16 * 1024;
+
+function serve(port) {
+  const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') return res.end();
+    if (req.url !== '/subscriptions' || !['POST', 'DELETE'].includes(req.method)) {
+      res.statusCode = 404;
+      return res.end();
+    }
+
+    try {
+      const body = await readBody(req, MAX_BODY_BYTES);
+      if (!body.endpoint) throw new Error('Missing endpoint');
+      const others = loadSubscriptions().filter((s) => s.endpoint !== body.endpoint);
+      if (req.method === 'POST') {
+        if (!body.keys || !body.keys.p256dh || !body.keys.auth) throw new Error('Missing keys');
+        saveSubscriptions([...others, { endpoint: body.endpoint, keys: body.keys }]);
+      } else {
+        saveSubscriptions(others);
+      }
+      console.log(`${req.method} ${new URL(body.endpoint).host} → ${loadSubscriptions().length} subscription(s)`);
+      res.statusCode = 204;
+      res.end();
+    } catch (err) {
+      res.statusCode = err.statusCode || 400;
+      res.end(err.message);
+    }
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Listening on http://localhost:${port}/subscriptions`);
+  });
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  switch (command) {
+    case 'keys': {
+      const { publicKey, privateKey } = generateVapidKeys();
+      console.log(`Public key  (config/push.json → vapidPublicKey): ${publicKey}`);
+      console.log(`Private key (VAPID_PRIVATE_KEY secret):          ${privateKey}`);
+      break;
+    }
+    case 'serve':
+      serve(parseInt(arg, 10) || 8787);
+      break;
+    case 'test': {
+      const { failed } = await sendToAll([{ title: 'Job Radar', body: 'Test notification', tag: 'test' }]);
+      if (failed) process.exitCode = 1;
+      break;
+    }
+    default:
+      console.error('Usage: node scripts/push.js keys | serve [port] | test');
+      process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
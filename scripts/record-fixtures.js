@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Re-records the fetcher fixtures in scripts/test/fixtures/sources from the
+ * live sites. Only run it on purpose: it hits every source in the fixture
+ * registry (fixtures/sources/companies.json), and the expectations in
+ * scripts/test/fetch-jobs.test.js usually need updating afterwards.
+ *
+ *   node scripts/record-fixtures.js
+ *
+ * Sources run through buildOutput() exactly as in a normal fetch, so the
+ * AmbitionBox lookups it makes for the fixture salary bands are recorded too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { httpGet, httpPost } = require('./lib/http');
+const { MANIFEST, recordingClient } = require('./lib/replay');
+const { SOURCES, loadRegistry, buildOutput } = require('./fetch-jobs');
+
+const FIXTURES = path.join(__dirname, 'test', 'fixtures', 'sources');
+
+async function main() {
+  const companies = loadRegistry({}, path.join(FIXTURES, 'companies.json')).filter((c) => SOURCES[c.source.type]);
+  const curated = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'salary-bands.json'), 'utf8'));
+  const previous = JSON.parse(fs.readFileSync(path.join(FIXTURES, MANIFEST), 'utf8'));
+
+  console.log(`Recording ${companies.length} sources into ${path.relative(process.cwd(), FIXTURES)}...`);
+  const recorder = recordingClient(FIXTURES, { httpGet, httpPost });
+  const { output } = await buildOutput(companies, null, { network: recorder, salaryCtx: { curated, cache: {} } });
+  recorder.save();
+
+  // Responses the new recording no longer asks for
+  const kept = new Set(recorder.responses.map((e) => e.file));
+  for (const entry of previous.responses) {
+    if (entry.file && !kept.has(entry.file)) fs.rmSync(path.join(FIXTURES, entry.file), { force: true });
+  }
+
+  console.log(`\nRecorded ${recorder.responses.length} responses`);
+  for (const sec of Object.values(output.companies)) {
+    const h = sec.health;
+    const note = h.status === 'ok' ? '' : ` [${h.status.toUpperCase()}: ${h.error}]`;
+    console.log(`  ${sec.name}: ${sec.jobs.length} roles (${h.rawCount} raw, ${h.pages} pages)${note}`);
+  }
+  const failed = recorder.responses.filter((e) => e.error);
+  failed.forEach((e) => console.log(`  ! ${e.method} ${e.url}: ${e.error}`));
+}
+
+main().catch((err) => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
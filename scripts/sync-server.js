@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Optional sync server for the PWA (see scripts/lib/sync.js).
+ *
+ *   node scripts/sync-server.js add-user <name> [team]   Create a user, or a new token for one
+ *   node scripts/sync-server.js users                    List users and their teams
+ *   node scripts/sync-server.js serve [port]             Serve POST /sync (default 8788)
+ *
+ * `serve` listens on 127.0.0.1 unless HOST is set (HOST=0.0.0.0 to self-host,
+ * behind a proxy that adds HTTPS). Data lives in SYNC_DIR, default .sync/.
+ * In the app, enter the server URL and the token printed by add-user under
+ * Backup, export and sync → Sync.
+ */
+
+const { SYNC_DIR, addUser, listUsers, createSyncServer } = require('./lib/sync');
+
+function main() {
+  const [command, ...args] = process.argv.slice(2);
+  switch (command) {
+    case 'add-user': {
+      const [name, team] = args;
+      if (!name) throw new Error('Usage: node scripts/sync-server.js add-user <name> [team]');
+      const token = addUser(SYNC_DIR, name, team || null);
+      console.log(`Token for ${name}${team ? ` (team ${team})` : ''}, shown once: ${token}`);
+      break;
+    }
+    case 'users':
+      listUsers(SYNC_DIR).forEach((u) => console.log(`${u.name}${u.team ? `\t${u.team}` : ''}`));
+      break;
+    case 'serve': {
+      const port = parseInt(args[0], 10) || 8788;
+      const host = process.env.HOST || '127.0.0.1';
+      createSyncServer().listen(port, host, () => {
+        console.log(`Listening on http://${host}:${port}/sync (data in ${SYNC_DIR})`);
+      });
+      break;
+    }
+    default:
+      console.error('Usage: node scripts/sync-server.js add-user <name> [team] | users | serve [port]');
+      process.exitCode = 1;
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
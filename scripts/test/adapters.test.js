@@ -0,0 +1,170 @@
+/**
+ * ATS adapter tests against recorded board responses in fixtures/ats.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const adapters = require('../adapters');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'ats');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+const JOB_KEYS = ['department', 'id', 'location', 'postedDate', 'title', 'type', 'url'];
+
+// Replays fixtures by URL; records every request for assertions.
+function replayClient(routes) {
+  const calls = [];
+  const lookup = (url) => {
+    const name = routes[url];
+    if (!name) throw new Error(`No fixture for ${url}`);
+    return Array.isArray(name) ? fixture(name.shift()) : fixture(name);
+  };
+  return {
+    calls,
+    httpGet: async (url, headers) => { calls.push({ method: 'GET', url, headers }); return lookup(url); },
+    httpPost: async (url, body, headers) => { calls.push({ method: 'POST', url, body, headers }); return lookup(url); },
+  };
+}
+
+function assertNormalised(jobs) {
+  for (const job of jobs) {
+    assert.deepEqual(Object.keys(job).sort(), JOB_KEYS);
+    assert.equal(typeof job.id, 'string');
+    assert.ok(job.title && job.title === job.title.trim());
+    assert.match(job.url, /^https:\/\//);
+  }
+}
+
+test('registry exposes all four adapters', () => {
+  assert.deepEqual(Object.keys(adapters).sort(), ['ashby', 'greenhouse', 'lever', 'workday']);
+});
+
+test('greenhouse: normalises board jobs', async () => {
+  const client = replayClient({
+    'https://boards-api.greenhouse.io/v1/boards/stripe/jobs?content=true': 'greenhouse-stripe.json',
+  });
+  const jobs = await adapters.greenhouse.fetchJobs('stripe', client);
+  assertNormalised(jobs);
+  assert.equal(jobs.length, 2);
+  assert.deepEqual(jobs[0], {
+    id: '6042172',
+    title: 'Software Engineer, Payments Infrastructure',
+    url: 'https://stripe.com/jobs/search?gh_jid=6042172',
+    location: 'Bengaluru, India',
+    department: 'Engineering',
+    type: 'Full time',
+    postedDate: '2026-10-02T11:30:05-04:00',
+  });
+  // No first_published / departments: falls back to updated_at and a dash
+  assert.equal(jobs[1].postedDate, '2026-10-11T04:02:10-04:00');
+  assert.equal(jobs[1].department, '—');
+});
+
+test('lever: normalises postings and EU board tokens', async () => {
+  assert.equal(adapters.lever.boardUrl('eu:acme'), 'https://api.eu.lever.co/v0/postings/acme?mode=json');
+  const client = replayClient({
+    'https://api.lever.co/v0/postings/atlassian?mode=json': 'lever-atlassian.json',
+  });
+  const jobs = await adapters.lever.fetchJobs('atlassian', client);
+  assertNormalised(jobs);
+  assert.deepEqual(jobs[0], {
+    id: '7a1c0f2e-5b7d-4c61-9d3a-0e6c2f1b8a44',
+    title: 'Senior Software Engineer, Backend',
+    url: 'https://jobs.lever.co/atlassian/7a1c0f2e-5b7d-4c61-9d3a-0e6c2f1b8a44',
+    location: 'Bengaluru',
+    department: 'Engineering · Jira Platform',
+    type: 'Full time',
+    postedDate: '2025-10-09T08:00:00.000Z',
+  });
+  assert.equal(jobs[1].type, 'Contract');
+  assert.equal(jobs[1].department, '—');
+});
+
+test('ashby: normalises listed jobs and drops unlisted ones', async () => {
+  const client = replayClient({
+    'https://api.ashbyhq.com/posting-api/job-board/rubrik': 'ashby-rubrik.json',
+  });
+  const jobs = await adapters.ashby.fetchJobs('rubrik', client);
+  assertNormalised(jobs);
+  assert.equal(jobs.length, 2);
+  assert.deepEqual(jobs[0], {
+    id: '4f1e2a8c-9d2b-4a51-8b7e-3c0d6f5e9a21',
+    title: 'Senior Software Engineer - Cloud Data Management',
+    url: 'https://jobs.ashbyhq.com/rubrik/4f1e2a8c-9d2b-4a51-8b7e-3c0d6f5e9a21',
+    location: 'Bangalore, India / Hyderabad, India',
+    department: 'Engineering · CDM',
+    type: 'Full time',
+    postedDate: '2026-10-09T06:41:27.418+00:00',
+  });
+  assert.equal(jobs[1].type, 'Contract');
+});
+
+test('workday: paginates until total and resolves relative dates', async () => {
+  const url = 'https://databricks.wd1.myworkdayjobs.com/wday/cxs/databricks/External/jobs';
+  const client = replayClient({
+    [url]: ['workday-databricks-page1.json', 'workday-databricks-page2.json'],
+  });
+  const jobs = await adapters.workday.fetchJobs('databricks.wd1/External', client, { searchText: 'engineer' });
+  assertNormalised(jobs);
+  assert.equal(jobs.length, 22);
+  assert.deepEqual(client.calls.map((c) => c.body.offset), [0, 20]);
+  assert.equal(client.calls[0].body.searchText, 'engineer');
+
+  const last = jobs[21];
+  // No bulletFields: id falls back to the last path segment
+  assert.equal(last.id, 'Staff-Engineer_R1021');
+  assert.equal(last.url, 'https://databricks.wd1.myworkdayjobs.com/en-US/External/job/Bengaluru/Staff-Engineer_R1021');
+  assert.equal(jobs[20].id, 'R1020');
+  assert.equal(jobs[20].location, 'Bengaluru, India');
+});
+
+test('workday: stops at its page cap and reports the postings it left', async () => {
+  // Every page is full and the board claims 1000 postings
+  const page = JSON.stringify({ ...JSON.parse(fixture('workday-databricks-page1.json')), total: 1000 });
+  const calls = [];
+  const client = { httpPost: async (url, body) => { calls.push(body); return page; } };
+  const truncated = [];
+  const jobs = await adapters.workday.fetchJobs('databricks.wd1/External', client, {
+    onTruncated: (message) => truncated.push(message),
+  });
+  assert.equal(calls.length, 25);
+  assert.equal(jobs.length, 500);
+  assert.deepEqual(truncated, ['Read 25 pages, 500 of 1000 postings']);
+});
+
+test('workday: parsePostedOn handles Workday phrasing', () => {
+  const now = Date.parse('2026-10-18T12:00:00Z');
+  const p = adapters.workday.parsePostedOn;
+  assert.equal(p('Posted Today', now), '2026-10-18');
+  assert.equal(p('Posted Yesterday', now), '2026-10-17');
+  assert.equal(p('Posted 3 Days Ago', now), '2026-10-15');
+  assert.equal(p('Posted 30+ Days Ago', now), '2026-09-18');
+  assert.equal(p('', now), null);
+});
+
+test('postings without a date get the fetch time', () => {
+  const now = Date.parse('2026-10-18T12:00:00Z');
+  const fetchedAt = new Date(now).toISOString();
+  // Each adapter's fixture, with the first posting's date taken out
+  const undated = (name, edit) => {
+    const data = JSON.parse(fixture(name));
+    edit(data);
+    return JSON.stringify(data);
+  };
+  const cases = {
+    greenhouse: undated('greenhouse-stripe.json', (d) => { delete d.jobs[0].first_published; delete d.jobs[0].updated_at; }),
+    lever: undated('lever-atlassian.json', (d) => { delete d[0].createdAt; }),
+    ashby: undated('ashby-rubrik.json', (d) => { delete d.jobs[0].publishedAt; }),
+    workday: undated('workday-databricks-page1.json', (d) => { d.jobPostings[0].postedOn = 'Posted a while back'; }),
+  };
+  const boards = { greenhouse: 'stripe', lever: 'atlassian', ashby: 'rubrik', workday: 'databricks.wd1/External' };
+  for (const [name, raw] of Object.entries(cases)) {
+    const jobs = adapters[name].parse(raw, boards[name], now);
+    assertNormalised(jobs);
+    assert.equal(jobs[0].postedDate, fetchedAt, name);
+    assert.ok(jobs.every((j) => typeof j.postedDate === 'string'), name);
+  }
+});
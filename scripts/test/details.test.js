@@ -0,0 +1,122 @@
+/**
+ * Job description tests: sanitising, extracted fields, detail pages and the
+ * per-section descriptions files.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const details = require('../lib/details');
+const schema = require('../lib/schema');
+const { loadRegistry, buildOutput } = require('../fetch-jobs');
+const { replayClient } = require('../lib/replay');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'sources');
+const NOW = Date.parse('2026-10-18T06:00:00Z');
+const companies = loadRegistry({}, path.join(FIXTURES, 'companies.json'));
+const section = (key) => companies.find((c) => c.key === key);
+const salaryCtx = () => ({
+  curated: JSON.parse(fs.readFileSync(path.join(FIXTURES, 'salary-bands.json'), 'utf8')),
+  cache: {},
+});
+
+test('sanitizeHtml keeps formatting tags only, without attributes', () => {
+  const html = details.sanitizeHtml(
+    '<div class="jd"><h2 style="color:red">About</h2><p onclick="x()">Build  <b>payments</b>.</p>' +
+    '<script>alert(1)</script><ul><li><a href="https://evil.example">Latency &lt; 10ms</a></li><li> </li></ul>' +
+    '<img src=x onerror=alert(1)><p>1 < 2</p></div>'
+  );
+  assert.equal(html, '<h4>About</h4><p>Build <b>payments</b>.</p><ul><li>Latency &lt; 10ms</li></ul><p>1 &lt; 2</p>');
+  assert.equal(details.sanitizeHtml(null), '');
+});
+
+test('extractDetails reads experience, tech, workplace and visa notes', () => {
+  const jd = details.extractDetails(details.sanitizeHtml(
+    '<p>Go to our careers site to learn more.</p><ul><li>8+ years of experience building backend systems</li>' +
+    '<li>3+ years working with Kafka</li><li>Golang or Kotlin; JavaScript a plus</li></ul>' +
+    '<p>We work hybrid from Bengaluru. We do not sponsor work visas. Apply today.</p>'
+  ));
+  assert.deepEqual(jd, {
+    experience: { min: 8, max: null },
+    tech: ['Kotlin', 'Go', 'JavaScript', 'Kafka'],
+    workplace: 'hybrid',
+    visa: 'not-sponsored',
+    visaNote: 'We do not sponsor work visas.',
+  });
+
+  const other = details.extractDetails('<p>A 4-7 years industry background in Java. Remote. 24 years in business.</p>');
+  assert.deepEqual(other.experience, { min: 4, max: 7 });
+  assert.deepEqual(other.tech, ['Java']);
+  assert.equal(other.workplace, 'remote');
+  assert.equal(other.visa, null);
+  assert.equal(details.extractDetails('<p>Nothing to see.</p>').experience, null);
+});
+
+test('addDetails reuses earlier descriptions and caps detail page requests', async () => {
+  const calls = [];
+  const client = {
+    httpGet: async (url) => {
+      calls.push(url);
+      return '<div class="show-more-less-html__markup">Python, 5+ years of experience.</div>';
+    },
+  };
+  const jobs = ['a-1', 'b-2', 'c-3', 'li-4'].map((id) => ({ id, title: 'Senior Engineer' }));
+  const descriptions = await details.addDetails(jobs, section('confluent'), {
+    client, previous: { 'a-1': '<p>Scala</p>' }, limit: 1,
+  });
+
+  assert.deepEqual(calls, ['https://www.linkedin.com/jobs-guest/jobs/api/jobPosting/2']);
+  assert.deepEqual(Object.keys(descriptions), ['a-1', 'b-2']);
+  assert.deepEqual(jobs.map((j) => j.details && j.details.tech), [['Scala'], ['Python'], undefined, undefined]);
+});
+
+test('buildOutput adds details from inline descriptions and detail pages, and failures leave health alone', async () => {
+  const { output, descriptions } = await buildOutput(companies, null, {
+    network: replayClient(FIXTURES), salaryCtx: salaryCtx(), now: NOW,
+  });
+  assert.deepEqual(schema.validate('jobs', output), []);
+  for (const sec of Object.values(output.companies)) assert.equal(sec.health.status, 'ok', sec.name);
+
+  const booking = output.companies.booking.jobs.find((j) => j.id === '24811');
+  assert.equal(booking.description, undefined);
+  assert.deepEqual(booking.details.tech, ['Java', 'Kotlin', 'Kafka', 'MySQL']);
+  assert.equal(booking.details.visa, 'sponsored');
+
+  // SmartRecruiters' posting endpoint; the other posting's 404 is skipped
+  const tesco = output.companies.tesco.jobs;
+  assert.deepEqual(tesco.map((j) => j.details && j.details.workplace), [undefined, 'onsite']);
+  assert.deepEqual(tesco[1].details.experience, { min: 5, max: 9 });
+  assert.match(descriptions.tesco['744000091182201'], /^<h4>Job Description<\/h4><p>You will build <b>Scala<\/b>/);
+  assert.doesNotMatch(descriptions.tesco['744000091182201'], /<script|Tesco Bengaluru builds/);
+
+  // Deliveroo's workplace type term wins over the description's wording
+  const deliveroo = output.companies.deliveroo.jobs;
+  assert.deepEqual(deliveroo.map((j) => j.details.workplace), ['hybrid', 'onsite', 'remote']);
+  assert.deepEqual(deliveroo[0].details.experience, { min: 5, max: null });
+  assert.deepEqual(deliveroo[2].details.tech, []);
+  assert.deepEqual(Object.keys(descriptions.deliveroo), ['90188', '90211']);
+
+  // LinkedIn's guest job view; a 429 leaves the other job for the next run
+  const confluent = output.companies.confluent.jobs;
+  assert.deepEqual(confluent.map((j) => j.details && j.details.workplace), ['remote', undefined]);
+  assert.deepEqual(Object.keys(descriptions.confluent), ['senior-software-engineer-ii-kafka-streams-at-confluent-4049917045']);
+});
+
+test('saveDescriptions keeps open jobs only and round-trips through loadDescriptions', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'descriptions-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'descriptions'));
+    fs.writeFileSync(path.join(dir, 'descriptions', 'gone.json'), '{}');
+    const output = { companies: { acme: { jobs: [{ id: 1 }, { id: 'b' }] } } };
+    details.saveDescriptions(dir, output, { acme: { 1: '<p>One</p>', b: '<p>B</p>', closed: '<p>Old</p>' } }, NOW);
+
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'descriptions')), ['acme.json']);
+    assert.deepEqual(details.loadDescriptions(dir, 'acme'), { 1: '<p>One</p>', b: '<p>B</p>' });
+    assert.deepEqual(details.loadDescriptions(dir, 'missing'), {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,76 @@
+/**
+ * Changelog feed tests: entries from the run diff, rolling merge, and valid
+ * output when a run adds nothing.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { entriesFor, mergeEntries, renderAtom, renderJsonFeed } = require('../lib/feeds');
+
+const NOW = Date.UTC(2026, 9, 18, 8);
+const DAY = 86400000;
+
+const newRoles = [
+  {
+    key: 'linkedin_easy_all',
+    name: 'LinkedIn Easy Apply',
+    multiCompany: true,
+    jobs: [{ id: 'a1', title: 'Senior Backend Engineer', department: 'Acme & Co', location: 'Bengaluru', salaryRange: '62 LPA', url: 'https://example.com/a1?x=1&y=2' }],
+  },
+  {
+    key: 'tesco',
+    name: 'Tesco',
+    jobs: [{ id: 't1', title: 'Senior Software Engineer', location: 'Bengaluru', url: 'https://example.com/t1' }],
+  },
+];
+
+test('entries carry title, company, location, salary and apply URL', () => {
+  const [easy, tesco] = entriesFor(newRoles, NOW);
+  assert.equal(easy.company, 'Acme & Co');
+  assert.equal(easy.salary, '₹62 LPA');
+  assert.equal(easy.url, 'https://example.com/a1?x=1&y=2');
+  assert.equal(easy.addedAt, '2026-10-18T08:00:00.000Z');
+  assert.equal(tesco.company, 'Tesco');
+  assert.equal(tesco.salary, null);
+
+  // Curated bands only have a max
+  const [curated] = entriesFor([{ key: 'stripe', name: 'Stripe', jobs: [{
+    id: 's1', title: 'Staff Engineer', url: 'https://example.com/s1', salaryRange: '137 LPA',
+    salary: { level: 'staff', band: 'senior', min: null, median: null, max: 137, source: 'levels.fyi', asOf: null },
+  }] }], NOW);
+  assert.equal(curated.salary, 'up to ₹137 LPA');
+});
+
+test('merge keeps newest first, drops repeats and stale entries', () => {
+  const old = entriesFor(newRoles, NOW - 40 * DAY);
+  const recent = entriesFor([newRoles[1]], NOW - DAY);
+  const merged = mergeEntries([...recent, ...old], entriesFor([newRoles[0]], NOW), NOW);
+  assert.deepEqual(merged.map((e) => [e.title, e.addedAt]), [
+    ['Senior Backend Engineer', '2026-10-18T08:00:00.000Z'],
+    ['Senior Software Engineer', '2026-10-17T08:00:00.000Z'],
+  ]);
+});
+
+test('Atom output escapes XML and stays well-formed when empty', () => {
+  const updated = new Date(NOW).toISOString();
+  const xml = renderAtom({ id: 'tag:x', title: 'T', feedUrl: 'https://x/feed.xml', entries: entriesFor(newRoles, NOW), updated });
+  assert.match(xml, /<title>Senior Backend Engineer — Acme &amp; Co<\/title>/);
+  assert.match(xml, /href="https:\/\/example.com\/a1\?x=1&amp;y=2"/);
+  assert.equal(xml.match(/<entry>/g).length, 2);
+
+  const empty = renderAtom({ id: 'tag:x', title: 'T', feedUrl: 'https://x/feed.xml', entries: [], updated });
+  assert.match(empty, /<updated>2026-10-18T08:00:00.000Z<\/updated>\n {2}<link rel="self"/);
+  assert.ok(!empty.includes('<entry>'));
+  assert.ok(empty.trimEnd().endsWith('</feed>'));
+});
+
+test('JSON Feed 1.1 output has required fields and an empty items array', () => {
+  const feed = JSON.parse(renderJsonFeed({ title: 'T', feedUrl: 'https://x/feed.json', entries: entriesFor(newRoles, NOW) }));
+  assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(feed.items[0].id, 'tag:viren3196.github.io,2026:job-radar/linkedin_easy_all/a1');
+  assert.equal(feed.items[0].content_text, 'Acme & Co · Bengaluru · ₹62 LPA');
+  assert.equal(feed.items[0]._job_radar.section, 'linkedin_easy_all');
+
+  assert.deepEqual(JSON.parse(renderJsonFeed({ title: 'T', feedUrl: 'https://x/feed.json', entries: [] })).items, []);
+});
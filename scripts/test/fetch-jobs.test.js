@@ -0,0 +1,372 @@
+/**
+ * Fetcher tests replaying recorded responses from fixtures/sources: every
+ * source type, salary filtering, the job lifecycle and jobs.json assembly.
+ * Nothing here touches the network; re-record with
+ * `node scripts/record-fixtures.js`.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadRegistry, runSource, buildOutput, mergeJobs, recentlyClosed, loadHistory, saveHistory,
+} = require('../fetch-jobs');
+const { replayClient, recordingClient } = require('../lib/replay');
+const salary = require('../lib/salary');
+const schema = require('../lib/schema');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'sources');
+const NOW = Date.parse('2026-10-18T06:00:00Z');
+const DAY = 86400000;
+
+const companies = loadRegistry({}, path.join(FIXTURES, 'companies.json'));
+const section = (key) => companies.find((c) => c.key === key);
+const run = (key, network = replayClient(FIXTURES)) => runSource(section(key), null, network);
+const salaryCtx = () => ({
+  curated: JSON.parse(fs.readFileSync(path.join(FIXTURES, 'salary-bands.json'), 'utf8')),
+  cache: {},
+});
+
+// ─── Fetchers ───
+
+test('salesforce-rss: keeps India roles that pass the rule, newest first', async () => {
+  const { jobs, report } = await run('salesforce');
+  assert.deepEqual(jobs.map((j) => j.id), ['JR301402', 'JR301234']);
+  assert.deepEqual(jobs[1], {
+    id: 'JR301234',
+    title: 'Senior Member of Technical Staff - Backend',
+    url: 'https://careers.salesforce.com/en/jobs/jr301234/senior-member-of-technical-staff-backend/',
+    location: 'Hyderabad, Telangana, India',
+    department: 'Software Engineering',
+    type: 'Full time',
+    postedDate: '2026-10-14',
+  });
+  assert.equal(report.status, 'ok');
+  assert.equal(report.pages, 1);
+  assert.equal(report.rawCount, 4);
+  assert.equal(report.matchedCount, 2);
+});
+
+test('booking-json: falls back to the slug URL, city/state/country and create_date', async () => {
+  const { jobs, report } = await run('booking');
+  assert.deepEqual(jobs.map((j) => j.title), ['Senior Software Engineer (Java)', 'Senior Software Engineer - Payments']);
+  assert.equal(jobs[0].url, 'https://jobs.booking.com/booking/jobs/24856');
+  assert.equal(jobs[0].location, 'Bengaluru, Karnataka, India');
+  assert.equal(jobs[0].department, '—');
+  assert.equal(jobs[0].postedDate, '2026-10-13T08:00:00+0000');
+  assert.equal(jobs[1].department, 'Engineering');
+  assert.equal(report.rawCount, 3);
+});
+
+test('linkedin-guest: reads result pages until an empty one', async () => {
+  const network = replayClient(FIXTURES);
+  const { jobs, report } = await run('confluent', network);
+  assert.deepEqual(jobs.map((j) => j.title), ['Senior Software Engineer II - Kafka Streams', 'Senior Software Engineer']);
+  assert.equal(jobs[1].id, 'senior-software-engineer-at-confluent-4051283377');
+  assert.equal(jobs[1].url, 'https://in.linkedin.com/jobs/view/senior-software-engineer-at-confluent-4051283377');
+  assert.equal(jobs[1].department, 'Confluent');
+  assert.deepEqual(network.calls.map((c) => new URL(c.url).searchParams.get('start')), ['0', '25']);
+  assert.equal(report.pages, 2);
+  assert.equal(report.rawCount, 4);
+});
+
+test('smartrecruiters: filters by location pattern and rule', async () => {
+  const { jobs } = await run('tesco');
+  assert.deepEqual(jobs.map((j) => j.id), ['744000091201377', '744000091182201']);
+  assert.equal(jobs[0].location, 'Hyderabad, in');
+  assert.equal(jobs[0].department, '—');
+  assert.equal(jobs[0].type, 'Full time');
+  assert.equal(jobs[1].url, 'https://careers.smartrecruiters.com/Tesco/744000091182201');
+  assert.equal(jobs[1].type, 'Full-time');
+});
+
+test('ats: runs the board adapter through the tracked client', async () => {
+  const { jobs, report } = await run('stripe');
+  assert.deepEqual(jobs.map((j) => j.id), ['6042172']);
+  assert.equal(report.pages, 1);
+  assert.equal(report.rawCount, 2);
+});
+
+test('linkedin-easy-apply: drops external-apply employers and rejected titles', async () => {
+  const { jobs, report } = await run('linkedin_easy_all');
+  assert.deepEqual(jobs.map((j) => [j.department, j.title]), [
+    ['Acme Fintech', 'Senior Backend Engineer'],
+    ['SmallCo Labs', 'Senior Software Engineer'],
+    ['Tesco', 'Senior Software Engineer'],
+  ]);
+  assert.equal(jobs[0].type, 'Easy Apply');
+  assert.equal(report.rawCount, 5);
+});
+
+test('deliveroo-wp: reads every page of roles and resolves their taxonomy terms', async () => {
+  const network = replayClient(FIXTURES);
+  const { jobs, report } = await run('deliveroo', network);
+  assert.deepEqual(jobs.map((j) => j.id), [90211, 90188, 90102]);
+  assert.deepEqual(jobs[0], {
+    id: 90211,
+    title: 'Senior Software Engineer – Payments',
+    url: 'https://careers.deliveroo.co.uk/role/senior-software-engineer-payments/',
+    location: 'Hyderabad',
+    department: 'Engineering',
+    team: 'Tech & Product',
+    type: 'Permanent',
+    postedDate: '2026-10-16T05:00:00Z',
+    description: jobs[0].description,
+    workplace: 'hybrid',
+  });
+  // No terms: ats_location and the defaults
+  assert.deepEqual([jobs[2].location, jobs[2].department, jobs[2].type, jobs[2].workplace],
+    ['Remote, India', '—', 'Full time', 'remote']);
+  assert.deepEqual(network.calls.slice(-2).map((c) => new URL(c.url).searchParams.get('page')), ['1', '2']);
+  assert.equal(report.pages, 2);
+  assert.equal(report.rawCount, 3);
+});
+
+test('deliveroo-wp: finds a region named by `location` among the location terms', async () => {
+  const named = (location) => ({ ...section('deliveroo'), source: { type: 'deliveroo-wp', location } });
+  const network = replayClient(FIXTURES);
+  await runSource(named('london'), null, network);
+  assert.match(network.calls.at(-1).url, /\/roles\?locations=87&/);
+
+  const { report } = await runSource(named('Atlantis'), null, replayClient(FIXTURES));
+  assert.equal(report.status, 'error');
+  assert.equal(report.error, 'No Deliveroo location matching "Atlantis"');
+});
+
+test('a failed page marks the source partial and keeps earlier pages', async () => {
+  const replay = replayClient(FIXTURES);
+  const network = {
+    ...replay,
+    httpGet: (url, ...rest) => {
+      if (!url.endsWith('start=25')) return replay.httpGet(url, ...rest);
+      const err = new Error('HTTP 429');
+      err.statusCode = 429;
+      return Promise.reject(err);
+    },
+  };
+  const { jobs, report } = await run('confluent', network);
+  assert.equal(jobs.length, 2);
+  assert.equal(report.status, 'partial');
+  assert.equal(report.httpStatus, 429);
+});
+
+test('a source stopping at its page cap is partial and marked truncated', async () => {
+  const replay = replayClient(FIXTURES);
+  const network = {
+    ...replay,
+    // The roles collection claims more pages than WP_MAX_PAGES
+    httpGet: (url, ...rest) => (/\/roles\?/.test(url)
+      ? Promise.resolve({ body: '[]', headers: { 'x-wp-totalpages': '30' } })
+      : replay.httpGet(url, ...rest)),
+  };
+  const { report } = await run('deliveroo', network);
+  assert.equal(report.status, 'partial');
+  assert.equal(report.truncated, true);
+  assert.equal(report.error, 'Read 20 of 30 pages');
+  assert.deepEqual(schema.validate('jobs', report, 'health'), []);
+});
+
+test('unrecorded requests fail instead of reaching the network', async () => {
+  const company = { ...section('confluent'), source: { ...section('confluent').source, companyId: '1' } };
+  const { jobs, report } = await runSource(company, { lastSuccessAt: '2026-10-17T06:00:00.000Z' }, replayClient(FIXTURES));
+  assert.deepEqual(jobs, []);
+  assert.equal(report.status, 'error');
+  assert.match(report.error, /^No recording for GET /);
+  assert.equal(report.lastSuccessAt, '2026-10-17T06:00:00.000Z');
+});
+
+// ─── Salary filter ───
+
+test('filterBySalary drops easy-apply roles paying below the cut-off at their level', async () => {
+  const network = replayClient(FIXTURES);
+  const { jobs } = await run('linkedin_easy_all', network);
+  const ctx = { ...salaryCtx(), client: network };
+  await salary.annotateSalaries(jobs, (j) => j.department, ctx);
+
+  // SmallCo Labs isn't curated: its senior band comes from AmbitionBox, and
+  // the mid page it would fall back to is a recorded 404
+  assert.deepEqual(ctx.cache['smallco-labs/senior'], { min: 18, median: 26, max: 35, ts: ctx.cache['smallco-labs/senior'].ts });
+  assert.equal(ctx.cache['smallco-labs/mid'].max, null);
+  assert.equal(jobs[1].salaryRange, '18–35 LPA');
+
+  const passed = salary.filterBySalary(jobs, 50);
+  assert.deepEqual(passed.map((j) => j.department), ['Acme Fintech', 'Tesco']);
+});
+
+// ─── Job lifecycle ───
+
+const job = (id, extra = {}) => ({ id, title: `Role ${id}`, postedDate: '2026-10-01', ...extra });
+
+test('mergeJobs stamps seen dates and closes jobs missing from a complete run', () => {
+  const earlier = new Date(NOW - 2 * DAY).toISOString();
+  const existing = [job('a', { firstSeenAt: earlier, lastSeenAt: earlier }), job('b')];
+  const { jobs, closed } = mergeJobs(existing, [job('a'), job('c')], { now: NOW, prevFetchedAt: earlier });
+
+  const nowIso = new Date(NOW).toISOString();
+  assert.deepEqual(jobs.map((j) => [j.id, j.firstSeenAt, j.lastSeenAt]), [['a', earlier, nowIso], ['c', nowIso, nowIso]]);
+  // Recorded before tracking: backfilled from the previous fetch
+  assert.deepEqual(closed.map((j) => [j.id, j.firstSeenAt, j.closedAt]), [['b', earlier, nowIso]]);
+});
+
+test('mergeJobs closes nothing after an incomplete run', () => {
+  const { jobs, closed } = mergeJobs([job('a'), job('b')], [job('a')], { now: NOW, complete: false });
+  assert.deepEqual(jobs.map((j) => j.id).sort(), ['a', 'b']);
+  assert.deepEqual(closed, []);
+});
+
+test('recentlyClosed keeps the last week of closures, minus reopened jobs', () => {
+  const at = (days) => new Date(NOW - days * DAY).toISOString();
+  const kept = recentlyClosed(
+    [job('old', { closedAt: at(8) }), job('reopened', { closedAt: at(2) }), job('recent', { closedAt: at(3) })],
+    [job('today', { closedAt: at(0) })],
+    [job('reopened')],
+    NOW
+  );
+  assert.deepEqual(kept.map((j) => j.id), ['today', 'recent']);
+});
+
+test('saveHistory versions the archive and drops closures older than the stats window', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  const at = (days) => new Date(NOW - days * DAY).toISOString();
+  const closedJob = (id, days) => job(id, { firstSeenAt: at(days + 5), lastSeenAt: at(days + 1), closedAt: at(days) });
+  // Unversioned, as written before the history schema
+  fs.writeFileSync(path.join(dir, 'history.json'), JSON.stringify({
+    updatedAt: at(1),
+    companies: { stripe: [closedJob('old', 120), closedJob('kept', 30)], gone: [closedJob('older', 200)] },
+  }));
+
+  saveHistory(dir, loadHistory(dir), { stripe: [closedJob('new', 0)], booking: [] }, NOW);
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'history.json'), 'utf8'));
+  assert.equal(saved.schemaVersion, schema.schemaVersion('history'));
+  assert.equal(saved.updatedAt, at(0));
+  assert.deepEqual(Object.keys(saved.companies), ['stripe']);
+  assert.deepEqual(saved.companies.stripe.map((j) => j.id), ['kept', 'new']);
+  fs.rmSync(dir, { recursive: true });
+});
+
+// ─── Output assembly ───
+
+test('buildOutput assembles every section, folding duplicates and filtering by salary', async () => {
+  const { output, newRoles, closedByCompany } = await buildOutput(companies, null, {
+    network: replayClient(FIXTURES), salaryCtx: salaryCtx(), now: NOW,
+  });
+
+  assert.deepEqual(schema.validate('jobs', output), []);
+  assert.equal(output.fetchedAt, new Date(NOW).toISOString());
+  assert.deepEqual(Object.keys(output.companies), ['salesforce', 'booking', 'confluent', 'tesco', 'stripe', 'linkedin_easy_all', 'deliveroo']);
+  for (const sec of Object.values(output.companies)) {
+    assert.equal(sec.health.status, 'ok', sec.name);
+    assert.equal(sec.health.matchedCount, sec.jobs.length, sec.name);
+    assert.deepEqual(sec.closed, []);
+  }
+  // First run: nothing to diff against
+  assert.deepEqual(newRoles, []);
+  assert.deepEqual(closedByCompany.salesforce, []);
+
+  // Tesco's LinkedIn copy is folded into the careers-site role...
+  const tesco = output.companies.tesco.jobs.find((j) => j.id === '744000091182201');
+  assert.equal(tesco.canonicalId, 'tesco|senior software engineer|bengaluru');
+  assert.deepEqual(tesco.sources.map((s) => s.label), ['Careers site', 'LinkedIn Easy Apply']);
+  // ...and SmallCo Labs falls below the salary cut-off
+  const easy = output.companies.linkedin_easy_all;
+  assert.deepEqual(easy.jobs.map((j) => j.department), ['Acme Fintech']);
+  assert.equal(easy.jobs[0].salaryRange, '48–72 LPA');
+  assert.equal(easy.health.rawCount, 5);
+
+  const stripe = output.companies.stripe.jobs[0];
+  assert.equal(stripe.salary.level, 'mid');
+  assert.equal(stripe.firstSeenAt, output.fetchedAt);
+});
+
+test('buildOutput diffs against the previous output: new roles and closures', async () => {
+  const first = await buildOutput(companies, null, { network: replayClient(FIXTURES), salaryCtx: salaryCtx(), now: NOW - DAY });
+  const previous = first.output;
+  // A role that the feed no longer lists, and one the last run hadn't seen yet
+  previous.companies.salesforce.jobs.push(job('JR299001', { title: 'SMTS - Search' }));
+  previous.companies.booking.jobs = previous.companies.booking.jobs.filter((j) => j.id !== '24856');
+
+  const { output, newRoles, closedByCompany } = await buildOutput(companies, previous, {
+    network: replayClient(FIXTURES), salaryCtx: salaryCtx(), now: NOW,
+  });
+
+  assert.deepEqual(closedByCompany.salesforce.map((j) => j.id), ['JR299001']);
+  assert.deepEqual(output.companies.salesforce.closed.map((j) => [j.id, j.closedAt]), [['JR299001', output.fetchedAt]]);
+  assert.equal(output.companies.salesforce.jobs[0].firstSeenAt, previous.fetchedAt);
+
+  const added = Object.fromEntries(newRoles.map((r) => [r.key, r.jobs.map((j) => j.id)]));
+  assert.deepEqual(added.booking, ['24856']);
+  assert.deepEqual(added.salesforce, []);
+  assert.equal(newRoles.find((r) => r.key === 'linkedin_easy_all').multiCompany, true);
+});
+
+test('buildOutput repairs or drops invalid jobs per section instead of failing the run', async () => {
+  const first = await buildOutput(companies, null, { network: replayClient(FIXTURES), salaryCtx: salaryCtx(), now: NOW - DAY });
+  const replay = replayClient(FIXTURES);
+  // Booking lists one role without dates and one without any ID
+  const network = {
+    ...replay,
+    httpGet: async (url, ...rest) => {
+      const body = await replay.httpGet(url, ...rest);
+      if (!url.startsWith('https://jobs.booking.com/')) return body;
+      const data = JSON.parse(body);
+      const byId = (id) => data.jobs.find((j) => (j.data.req_id || j.data.slug) === id).data;
+      delete byId('24811').posted_date;
+      delete byId('24811').create_date;
+      Object.assign(byId('24856'), { req_id: null, slug: null });
+      return JSON.stringify(data);
+    },
+  };
+
+  const { output, closedByCompany } = await buildOutput(companies, first.output, { network, salaryCtx: salaryCtx(), now: NOW });
+
+  assert.deepEqual(schema.validate('jobs', output), []);
+  const booking = output.companies.booking;
+  assert.equal(booking.health.status, 'partial');
+  assert.deepEqual(booking.health.invalid, { repaired: 1, dropped: 1 });
+  assert.match(booking.health.error, /^1 invalid job dropped \(\?: id: expected string or integer/);
+  assert.equal(booking.jobs.find((j) => j.id === '24811').postedDate, output.fetchedAt);
+  // The dropped role stays open: a partial fetch closes nothing
+  assert.deepEqual(closedByCompany.booking, []);
+  assert.ok(booking.jobs.some((j) => j.id === '24856'));
+  assert.equal(output.companies.salesforce.health.status, 'ok');
+  assert.equal(output.companies.salesforce.health.invalid, undefined);
+});
+
+// ─── Record mode ───
+
+test('recorded responses and failures replay as recorded', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  try {
+    const live = {
+      httpGet: async (url, headers, options = {}) => {
+        if (url.includes('missing')) throw Object.assign(new Error('HTTP 404'), { statusCode: 404 });
+        if (options.responseHeaders) return { body: '[]', headers: { 'x-wp-totalpages': '2' } };
+        return url.endsWith('.json') ? '{"ok":true}' : '<html></html>';
+      },
+      httpPost: async (url, body) => JSON.stringify(body),
+    };
+    const recorder = recordingClient(dir, live);
+    await recorder.httpGet('https://example.com/a.json');
+    await recorder.httpGet('https://example.com/b');
+    await recorder.httpPost('https://example.com/search', { offset: 20 });
+    await assert.rejects(recorder.httpGet('https://example.com/missing'));
+    await recorder.httpGet('https://example.com/roles', {}, { responseHeaders: ['X-WP-TotalPages'] });
+    recorder.save();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(),
+      ['example.com-1.json', 'example.com-2.html', 'example.com-3.json', 'example.com-4.json', 'recordings.json']);
+
+    const replay = replayClient(dir);
+    assert.equal(await replay.httpGet('https://example.com/a.json'), '{"ok":true}');
+    assert.equal(await replay.httpPost('https://example.com/search', { offset: 20 }), '{"offset":20}');
+    await assert.rejects(replay.httpPost('https://example.com/search', { offset: 40 }), /No recording for POST/);
+    await assert.rejects(replay.httpGet('https://example.com/missing'), (err) => err.statusCode === 404);
+    assert.deepEqual(await replay.httpGet('https://example.com/roles', {}, { responseHeaders: ['X-WP-TotalPages'] }),
+      { body: '[]', headers: { 'x-wp-totalpages': '2' } });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
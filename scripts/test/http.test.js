@@ -0,0 +1,203 @@
+/**
+ * Shared HTTP client tests against a local server: retries, redirects,
+ * compression, conditional requests and per-host limits.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HTTP_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+const { httpGet, httpPost, httpProbe, getMetrics, HOST_LIMITS } = require('../lib/http');
+
+// Route handlers by path; `hits` counts requests per path
+function startServer(routes) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    const p = new URL(req.url, 'http://x').pathname;
+    hits[p] = (hits[p] || 0) + 1;
+    routes[p](req, res, hits[p]);
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => {
+    const host = `127.0.0.1:${server.address().port}`;
+    resolve({ server, hits, host, url: (p) => `http://${host}${p}` });
+  }));
+}
+
+test('retries 503 and 429, honouring Retry-After', async (t) => {
+  const srv = await startServer({
+    '/flaky': (req, res, n) => {
+      if (n === 1) { res.writeHead(503, { 'Retry-After': '0' }); return res.end(); }
+      if (n === 2) { res.writeHead(429, { 'Retry-After': '0' }); return res.end(); }
+      res.end('ok');
+    },
+    '/down': (req, res) => { res.writeHead(500, { 'Retry-After': '0' }); res.end(); },
+    '/missing': (req, res) => { res.writeHead(404); res.end(); },
+  });
+  t.after(() => srv.server.close());
+
+  assert.equal(await httpGet(srv.url('/flaky')), 'ok');
+  assert.equal(srv.hits['/flaky'], 3);
+  await assert.rejects(httpGet(srv.url('/down')), { statusCode: 500 });
+  assert.equal(srv.hits['/down'], 4);
+  await assert.rejects(httpGet(srv.url('/missing')), { statusCode: 404 });
+  assert.equal(srv.hits['/missing'], 1);
+
+  const m = getMetrics()[srv.host];
+  assert.equal(m.retries, 5);
+  assert.equal(m.requests, 8);
+});
+
+test('follows redirects up to the cap and decodes gzip', async (t) => {
+  const srv = await startServer({
+    '/hop': (req, res, n) => { res.writeHead(302, { Location: n < 3 ? '/hop' : '/gz' }); res.end(); },
+    '/loop': (req, res) => { res.writeHead(301, { Location: '/loop' }); res.end(); },
+    '/gz': (req, res) => {
+      assert.match(req.headers['accept-encoding'], /gzip/);
+      res.writeHead(200, { 'Content-Encoding': 'gzip' });
+      res.end(zlib.gzipSync('compressed body'));
+    },
+  });
+  t.after(() => srv.server.close());
+
+  assert.equal(await httpGet(srv.url('/hop')), 'compressed body');
+  await assert.rejects(httpGet(srv.url('/loop')), /Too many redirects/);
+  assert.equal(srv.hits['/loop'], 6);
+});
+
+test('POST redirects become a GET without the body, except 307 and 308', async (t) => {
+  const srv = await startServer({
+    '/see-other': (req, res) => { res.writeHead(303, { Location: '/echo' }); res.end(); },
+    '/found': (req, res) => { res.writeHead(302, { Location: '/echo' }); res.end(); },
+    '/moved': (req, res) => { res.writeHead(301, { Location: '/echo' }); res.end(); },
+    '/temporary': (req, res) => { res.writeHead(307, { Location: '/echo' }); res.end(); },
+    '/permanent': (req, res) => { res.writeHead(308, { Location: '/echo' }); res.end(); },
+    '/echo': (req, res) => {
+      const chunks = [];
+      req.on('data', (c) => chunks.push(c));
+      req.on('end', () => res.end(JSON.stringify({
+        method: req.method, type: req.headers['content-type'] || null, body: Buffer.concat(chunks).toString(),
+      })));
+    },
+  });
+  t.after(() => srv.server.close());
+
+  const post = async (p) => JSON.parse(await httpPost(srv.url(p), { offset: 20 }));
+  const asGet = { method: 'GET', type: null, body: '' };
+  const asPost = { method: 'POST', type: 'application/json', body: '{"offset":20}' };
+  assert.deepEqual(await post('/see-other'), asGet);
+  assert.deepEqual(await post('/found'), asGet);
+  assert.deepEqual(await post('/moved'), asGet);
+  assert.deepEqual(await post('/temporary'), asPost);
+  assert.deepEqual(await post('/permanent'), asPost);
+});
+
+test('a redirect without a Location is an error, or a probe result', async (t) => {
+  const srv = await startServer({
+    '/nowhere': (req, res) => { res.writeHead(302); res.end('Moved'); },
+  });
+  t.after(() => srv.server.close());
+
+  await assert.rejects(httpGet(srv.url('/nowhere')), { statusCode: 302 });
+  assert.deepEqual(await httpProbe(srv.url('/nowhere')), { status: 302, url: srv.url('/nowhere'), body: 'Moved' });
+  assert.equal(srv.hits['/nowhere'], 2);
+});
+
+test('probes resolve the status and final URL instead of throwing', async (t) => {
+  const srv = await startServer({
+    '/old': (req, res) => { res.writeHead(301, { Location: '/gone' }); res.end(); },
+    '/gone': (req, res) => { res.writeHead(410); res.end('Job closed'); },
+    '/live': (req, res) => res.end('Apply now'),
+  });
+  t.after(() => srv.server.close());
+
+  assert.deepEqual(await httpProbe(srv.url('/old')), { status: 410, url: srv.url('/gone'), body: 'Job closed' });
+  assert.deepEqual(await httpProbe(srv.url('/live')), { status: 200, url: srv.url('/live'), body: 'Apply now' });
+});
+
+test('responseHeaders resolves the body with just the headers asked for', async (t) => {
+  const srv = await startServer({
+    '/roles': (req, res) => {
+      res.writeHead(200, { 'X-WP-TotalPages': '3', 'X-WP-Total': '212' });
+      res.end('[]');
+    },
+  });
+  t.after(() => srv.server.close());
+
+  assert.deepEqual(await httpGet(srv.url('/roles'), {}, { responseHeaders: ['X-WP-TotalPages', 'Link'] }), {
+    body: '[]',
+    headers: { 'x-wp-totalpages': '3', link: null },
+  });
+});
+
+test('conditional requests reuse the cached body on 304', async (t) => {
+  const srv = await startServer({
+    '/feed': (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') { res.writeHead(304); return res.end(); }
+      res.writeHead(200, { ETag: '"v1"' });
+      res.end('<rss>v1</rss>');
+    },
+  });
+  t.after(() => srv.server.close());
+
+  assert.equal(await httpGet(srv.url('/feed'), {}, { conditional: true }), '<rss>v1</rss>');
+  assert.equal(await httpGet(srv.url('/feed'), {}, { conditional: true }), '<rss>v1</rss>');
+  assert.equal(srv.hits['/feed'], 2);
+  assert.equal(getMetrics()[srv.host].notModified, 1);
+});
+
+test('a 304 with no cached copy is an error', async (t) => {
+  const srv = await startServer({
+    '/unchanged': (req, res) => { res.writeHead(304); res.end(); },
+  });
+  t.after(() => srv.server.close());
+
+  await assert.rejects(httpGet(srv.url('/unchanged')), { statusCode: 304 });
+  await assert.rejects(httpGet(srv.url('/unchanged'), {}, { conditional: true }), { statusCode: 304 });
+});
+
+test('a redirect to another host drops the cached copy\'s validators', async (t) => {
+  const seen = [];
+  const mirror = await startServer({
+    '/feed': (req, res) => {
+      seen.push([req.headers['if-none-match'] || null, req.headers['if-modified-since'] || null]);
+      res.end('<rss>mirror</rss>');
+    },
+  });
+  const srv = await startServer({
+    '/feed': (req, res, n) => {
+      if (n === 1) {
+        res.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Fri, 16 Oct 2026 06:00:00 GMT' });
+        return res.end('<rss>v1</rss>');
+      }
+      res.writeHead(302, { Location: mirror.url('/feed') });
+      res.end();
+    },
+  });
+  t.after(() => { srv.server.close(); mirror.server.close(); });
+
+  assert.equal(await httpGet(srv.url('/feed'), {}, { conditional: true }), '<rss>v1</rss>');
+  assert.equal(await httpGet(srv.url('/feed'), {}, { conditional: true }), '<rss>mirror</rss>');
+  assert.deepEqual(seen, [[null, null]]);
+});
+
+test('per-host concurrency limit serialises requests', async (t) => {
+  let active = 0;
+  let peak = 0;
+  const srv = await startServer({
+    '/slow': (req, res) => {
+      peak = Math.max(peak, ++active);
+      setTimeout(() => { active--; res.end('done'); }, 20);
+    },
+  });
+  t.after(() => srv.server.close());
+  HOST_LIMITS[srv.host] = { concurrency: 1, minIntervalMs: 0 };
+
+  await Promise.all([1, 2, 3].map(() => httpGet(srv.url('/slow'))));
+  assert.equal(peak, 1);
+});
@@ -0,0 +1,42 @@
+/**
+ * Canonical job identity tests: normalisation and cross-section matching.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const identity = require('../lib/identity');
+
+test('company, title and city are normalised', () => {
+  assert.equal(identity.normaliseCompany('Tesco India Pvt. Ltd.'), 'tesco');
+  assert.equal(identity.normaliseCompany('DocuSign'), 'docusign');
+  assert.equal(identity.normaliseTitle('Sr. Software Engineer - Bangalore'), 'senior software engineer');
+  assert.equal(identity.normaliseTitle('SDE II (Payments) R12345'), 'software engineer 2 payments');
+  assert.equal(identity.normaliseCity('Bangalore Urban, Karnataka, India'), 'bengaluru');
+  assert.equal(identity.normaliseCity('India'), '');
+  assert.equal(
+    identity.canonicalId('Tesco', { title: 'Senior Software Engineer', location: 'Bengaluru, India' }),
+    'tesco|senior software engineer|bengaluru'
+  );
+});
+
+test('the same role from another source matches exactly or fuzzily', () => {
+  const index = identity.createIndex();
+  index.add('Tesco', { title: 'Senior Software Engineer - Backend', location: 'Bengaluru' }, 'tesco-1');
+  index.add('DocuSign', { title: 'Senior Software Engineer', location: 'Hyderabad' }, 'docusign-1');
+
+  assert.equal(index.find('Tesco India', { title: 'Sr Software Engineer Backend', location: 'Bangalore, Karnataka' }), 'tesco-1');
+  assert.equal(index.find('Tesco', { title: 'Senior Backend Software Engineer', location: 'India' }), 'tesco-1');
+  assert.equal(index.find('DocuSign', { title: 'Senior Software Engineer', location: 'Hyderabad, Telangana, India' }), 'docusign-1');
+});
+
+test('distinct roles with the same title are kept apart', () => {
+  const index = identity.createIndex();
+  index.add('DocuSign', { title: 'Senior Software Engineer', location: 'Hyderabad' }, 'docusign-1');
+
+  // Same title at another company, or in another city
+  assert.equal(index.find('Acme', { title: 'Senior Software Engineer', location: 'Hyderabad' }), null);
+  assert.equal(index.find('DocuSign', { title: 'Senior Software Engineer', location: 'Pune' }), null);
+  // Different role at the same company
+  assert.equal(index.find('DocuSign', { title: 'Senior Software Engineer, Machine Learning Platform', location: 'Hyderabad' }), null);
+});
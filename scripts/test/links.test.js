@@ -0,0 +1,136 @@
+/**
+ * Apply-link health check tests: dead-page and redirect detection, job
+ * status from the link and the source, and per-section broken-link counts.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schema = require('../lib/schema');
+const { checkLink, checkLinks } = require('../lib/links');
+
+const FETCHED_AT = '2026-10-18T06:00:00.000Z';
+
+// Answers probes from `pages`: url → { status, url, body } or an Error
+function probeClient(pages) {
+  const calls = [];
+  return {
+    calls,
+    async httpProbe(url) {
+      calls.push(url);
+      const page = pages[url];
+      if (page instanceof Error) throw page;
+      return { status: 200, url, body: '<h1>Senior Engineer</h1><button>Apply</button>', ...page };
+    },
+  };
+}
+
+const job = (id, url, extra = {}) => ({
+  id, title: 'Senior Software Engineer', url, location: 'Bengaluru, India', department: 'Engineering',
+  type: 'Full time', postedDate: '2026-10-01', firstSeenAt: '2026-10-01T06:00:00.000Z',
+  lastSeenAt: FETCHED_AT, closedAt: null, ...extra,
+});
+
+test('checkLink: 404s, closed-posting pages and redirects to listings are dead', async () => {
+  const client = probeClient({
+    'https://jobs.example.com/1': {},
+    'https://jobs.example.com/2': { status: 404, body: 'Not found' },
+    'https://jobs.example.com/3': { body: '<div class="banner">This job is no longer available.</div>' },
+    'https://jobs.example.com/4': { url: 'https://jobs.example.com/jobs' },
+    'https://jobs.example.com/5': { url: 'https://jobs.example.com/?error=true' },
+    'https://www.linkedin.com/jobs/view/6': { body: '<span>No longer accepting applications</span>' },
+  });
+  const results = {};
+  for (let i = 1; i <= 5; i++) results[i] = await checkLink(`https://jobs.example.com/${i}`, client);
+  results[6] = await checkLink('https://www.linkedin.com/jobs/view/6', client);
+  assert.deepEqual(results, { 1: 'ok', 2: 'dead', 3: 'dead', 4: 'dead', 5: 'dead', 6: 'dead' });
+});
+
+test('checkLink: bot walls, sign-in redirects, dangling redirects, server errors and wording in scripts are not dead', async () => {
+  const client = probeClient({
+    'https://jobs.example.com/1': { status: 403 },
+    'https://jobs.example.com/2': { status: 503 },
+    'https://jobs.example.com/3': new Error('Timeout'),
+    'https://www.linkedin.com/jobs/view/4': { url: 'https://www.linkedin.com/authwall?trk=x' },
+    'https://jobs.example.com/5': { body: '<script>const t = {closed: "This job is no longer available"}</script><h1>Apply</h1>' },
+    'https://jobs.example.com/6': { status: 302, body: 'Moved' },
+  });
+  assert.equal(await checkLink('https://jobs.example.com/1', client), 'unknown');
+  assert.equal(await checkLink('https://jobs.example.com/2', client), 'unknown');
+  assert.equal(await checkLink('https://jobs.example.com/3', client), 'unknown');
+  assert.equal(await checkLink('https://www.linkedin.com/jobs/view/4', client), 'unknown');
+  assert.equal(await checkLink('https://jobs.example.com/5', client), 'ok');
+  assert.equal(await checkLink('https://jobs.example.com/6', client), 'unknown');
+});
+
+test('checkLinks marks every open job and counts broken links per section', async () => {
+  const output = {
+    schemaVersion: 1,
+    fetchedAt: FETCHED_AT,
+    companies: {
+      acme: {
+        name: 'Acme',
+        health: { status: 'partial', error: 'HTTP 500', pages: 1, rawCount: 3, matchedCount: 3, durationMs: 10 },
+        jobs: [
+          job('a1', 'https://jobs.example.com/live'),
+          job('a2', 'https://jobs.example.com/gone'),
+          // Kept from an earlier run because this one was partial
+          job('a3', 'https://jobs.example.com/stale', { lastSeenAt: '2026-10-17T06:00:00.000Z' }),
+        ],
+        closed: [],
+      },
+      linkedin: {
+        name: 'LinkedIn',
+        health: { status: 'ok', error: null, pages: 1, rawCount: 2, matchedCount: 2, durationMs: 10 },
+        jobs: [job('li-0', '#'), job('l2', 'https://jobs.example.com/live')],
+        closed: [],
+      },
+    },
+  };
+  const client = probeClient({ 'https://jobs.example.com/gone': { status: 410 } });
+  await checkLinks(output, { client, concurrency: 2 });
+
+  const status = (key) => output.companies[key].jobs.map((j) => j.status);
+  assert.deepEqual(status('acme'), ['live', 'closed', 'unknown']);
+  assert.deepEqual(status('linkedin'), ['unknown', 'live']);
+  assert.deepEqual(output.companies.acme.health.links, { checked: 3, broken: 1, unknown: 1 });
+  assert.deepEqual(output.companies.linkedin.health.links, { checked: 1, broken: 0, unknown: 1 });
+  // Shared URLs are probed once; '#' never
+  assert.equal(client.calls.length, 3);
+  assert.doesNotThrow(() => schema.assertValid('jobs', output));
+});
+
+test('checkLinks reuses working and dead links checked in the last day', async () => {
+  const section = (jobs) => ({
+    companies: {
+      acme: {
+        name: 'Acme',
+        health: { status: 'ok', error: null, pages: 1, rawCount: 3, matchedCount: 3, durationMs: 10 },
+        jobs,
+        closed: [],
+      },
+    },
+  });
+  const previous = section([
+    job('a1', 'https://jobs.example.com/1', { status: 'live', linkCheckedAt: '2026-10-17T12:00:00.000Z' }),
+    job('a2', 'https://jobs.example.com/2', { status: 'closed', linkCheckedAt: '2026-10-17T12:00:00.000Z' }),
+    job('a3', 'https://jobs.example.com/3', { status: 'live', linkCheckedAt: '2026-10-16T12:00:00.000Z' }),
+    job('a4', 'https://jobs.example.com/4', { status: 'unknown', linkCheckedAt: '2026-10-17T12:00:00.000Z' }),
+  ]);
+  const output = {
+    schemaVersion: 1,
+    fetchedAt: FETCHED_AT,
+    ...section([1, 2, 3, 4].map((n) => job(`a${n}`, `https://jobs.example.com/${n}`))),
+  };
+  const client = probeClient({});
+  await checkLinks(output, { client, previous });
+
+  assert.deepEqual(client.calls, ['https://jobs.example.com/3', 'https://jobs.example.com/4']);
+  assert.deepEqual(output.companies.acme.jobs.map((j) => [j.status, j.linkCheckedAt]), [
+    ['live', '2026-10-17T12:00:00.000Z'],
+    ['closed', '2026-10-17T12:00:00.000Z'],
+    ['live', FETCHED_AT],
+    ['live', FETCHED_AT],
+  ]);
+  assert.deepEqual(output.companies.acme.health.links, { checked: 2, broken: 1, unknown: 0 });
+});
@@ -0,0 +1,107 @@
+/**
+ * Region tests: per-source location mappings applied to the registry, the
+ * default region reproducing the India-only setup, salaries in other
+ * currencies and per-region data directories.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const regions = require('../lib/regions');
+const salary = require('../lib/salary');
+const { buildStats } = require('../lib/stats');
+const { entriesFor } = require('../lib/feeds');
+const { loadRegistry, runSource } = require('../fetch-jobs');
+const { replayClient } = require('../lib/replay');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, 'fixtures', 'sources');
+const india = regions.getRegion();
+const london = regions.getRegion('london');
+const byKey = (companies) => Object.fromEntries(companies.map((c) => [c.key, c]));
+
+test('the default region is India and reads the registry as the India-only setup did', () => {
+  assert.equal(india.key, 'india');
+  assert.equal(india.isDefault, true);
+  const c = byKey(loadRegistry({}, undefined, india));
+
+  assert.equal(c.deliveroo.heading, 'Deliveroo India');
+  assert.equal(c.deliveroo.source.locationId, 411);
+  assert.equal(c.salesforce.source.country, 'India');
+  assert.equal(c.salesforce.careersUrl, 'https://careers.salesforce.com/en/jobs/?country=India');
+  assert.equal(c.booking.source.url, 'https://jobs.booking.com/api/jobs?location=India&limit=100');
+  assert.equal(c.booking.careersUrl, 'https://jobs.booking.com/booking/jobs?location=India');
+  assert.equal(c.linkedin.careersUrl, 'https://www.linkedin.com/jobs/search/?f_C=1337&geoId=102713980');
+  assert.equal(c.confluent.careersUrl, 'https://careers.confluent.io/jobs/engineering-india');
+  assert.equal(c.tesco.source.locationPattern, 'india|bengaluru|bangalore|hyderabad');
+  assert.equal(c.linkedin_easy_all.targetRole, 'Senior+ Backend · 50+ LPA · All Companies · India');
+  assert.equal(c.linkedin_easy_all.careersUrl,
+    'https://www.linkedin.com/jobs/search/?keywords=Senior+Software+Engineer&location=India&f_AL=true');
+  assert.equal(regions.dataDir(india), path.join(ROOT, 'data'));
+});
+
+test('other regions map every source onto their own locations', () => {
+  const c = byKey(loadRegistry({}, undefined, london));
+
+  assert.equal(c.deliveroo.heading, 'Deliveroo London');
+  assert.equal(c.deliveroo.source.location, 'London');
+  assert.equal(c.salesforce.source.country, 'United Kingdom');
+  assert.equal(c.booking.source.url, 'https://jobs.booking.com/api/jobs?location=United%20Kingdom&limit=100');
+  assert.equal(c.linkedin.careersUrl, 'https://www.linkedin.com/jobs/search/?f_C=1337&geoId=101165590');
+  // Confluent's India careers page is an India-only override
+  assert.equal(c.confluent.careersUrl, 'https://careers.confluent.io/jobs');
+  assert.equal(c.tesco.source.locationPattern, 'london');
+  assert.equal(c.linkedin_easy_all.targetRole, 'Senior+ Backend · £90k+ · All Companies · London');
+  assert.equal(regions.dataDir(london), path.join(ROOT, 'data', 'regions', 'london'));
+  assert.throws(() => regions.getRegion('mars'), /Unknown region "mars"/);
+});
+
+test("LinkedIn searches ask for the region's location", async () => {
+  const confluent = byKey(loadRegistry({}, path.join(FIXTURES, 'companies.json'), london)).confluent;
+  const replay = replayClient(FIXTURES);
+  const { report } = await runSource(confluent, null, replay);
+  assert.match(replay.calls[0].url, /&location=London%2C%20England%2C%20United%20Kingdom&f_C=11319256&/);
+  assert.match(report.error, /No recording/);
+});
+
+test('salaries outside India are thousands of local currency, without AmbitionBox', async () => {
+  assert.equal(salary.formatBand({ min: 95, median: null, max: 120 }, london.salary), '£95–120k');
+  assert.equal(salary.formatBand({ min: null, median: 110, max: null }, london.salary), '£110k');
+  assert.equal(salary.formatBand({ min: 22, median: null, max: 41 }, india.salary), '22–41 LPA');
+  assert.equal(regions.displaySalary('22–41 LPA', india.salary), '₹22–41 LPA');
+  assert.equal(regions.displaySalary('£95–120k', london.salary), '£95–120k');
+
+  const jobs = [
+    { title: 'Senior Software Engineer', department: 'Acme' },
+    { title: 'Senior Software Engineer', department: 'SmallCo' },
+  ];
+  const ctx = {
+    curated: { source: 'levels.fyi', asOf: '2026-10-01', companies: { acme: { senior: { min: 95, median: 105, max: 120 } } } },
+    cache: { 'smallco/senior': { min: 22, median: 30, max: 41, ts: Date.now() } },
+    ambitionBox: false,
+    currency: london.salary,
+    client: { httpGet: async () => assert.fail('AmbitionBox is India-only') },
+  };
+  await salary.annotateSalaries(jobs, (j) => j.department, ctx);
+  assert.equal(jobs[0].salaryRange, '£95–120k');
+  // India's cached AmbitionBox band doesn't leak into London
+  assert.equal(jobs[1].salary, undefined);
+  assert.deepEqual(salary.filterBySalary(jobs, 125, london.salary).map((j) => j.department), ['SmallCo']);
+});
+
+test("stats and feeds use the region's salary bands and scope", () => {
+  const job = (id, max) => ({
+    id, title: 'Senior Software Engineer', url: `https://example.com/${id}`, location: 'London, UK',
+    department: 'Eng', type: 'Full time', postedDate: '2026-10-01', firstSeenAt: '2026-10-10T00:00:00.000Z',
+    lastSeenAt: '2026-10-18T00:00:00.000Z', closedAt: null,
+    salary: { level: 'senior', band: 'senior', min: null, median: null, max, source: 'levels.fyi', asOf: '2026-10-01' },
+  });
+  const output = { fetchedAt: '2026-10-18T00:00:00.000Z', companies: { acme: { name: 'Acme', jobs: [job('a', 70), job('b', 140)] } } };
+  const stats = buildStats(output, { companies: {} }, Date.parse(output.fetchedAt), london.salary);
+  assert.deepEqual(stats.total.salaryBands, [{ label: '£130k+', count: 1 }, { label: '£60–80k', count: 1 }]);
+
+  const [entry] = entriesFor([{ key: 'acme', name: 'Acme', jobs: [{ ...job('a', 70), salaryRange: '£70k' }] }], Date.now(), london);
+  assert.equal(entry.id, 'tag:viren3196.github.io,2026:job-radar/london/acme/a');
+  assert.equal(entry.salary, 'up to £70k');
+});
@@ -0,0 +1,55 @@
+/**
+ * Role-filter rule tests against the rule files in config/rules.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { RULES_DIR, compileRule, loadRule, evaluateRule } = require('../lib/rules');
+
+const accepts = (rule, title) => evaluateRule(rule, title).accepted;
+
+test('every rule file compiles and names a known target level', () => {
+  const files = fs.readdirSync(RULES_DIR).filter((f) => f.endsWith('.json'));
+  assert.ok(files.length > 0);
+  for (const file of files) {
+    const rule = loadRule(file.replace(/\.json$/, ''));
+    assert.ok(rule.levels.includes(rule.target), file);
+  }
+});
+
+test('target level keeps senior IC titles only', () => {
+  const rule = loadRule('docusign');
+  assert.equal(rule.target, 'P4');
+  assert.ok(accepts(rule, 'Senior Software Engineer, Payments'));
+  assert.ok(accepts(rule, 'Sr. Software Engineer'));
+  assert.ok(!accepts(rule, 'Software Engineer II'));
+  assert.ok(!accepts(rule, 'Staff Software Engineer'));
+  assert.deepEqual(evaluateRule(rule, 'Senior Software Engineering Manager'), {
+    accepted: false,
+    reason: 'excluded by /\\b(manager|director)\\b/',
+  });
+});
+
+test('level override switches include and exclude lists', () => {
+  const rule = loadRule('docusign', 'P5');
+  assert.ok(accepts(rule, 'Staff Software Engineer'));
+  assert.ok(!accepts(rule, 'Senior Software Engineer'));
+  assert.throws(() => loadRule('docusign', 'P9'), /config\/rules\/docusign\.json: Unknown level "P9"/);
+});
+
+test('require patterns must all match', () => {
+  const rule = loadRule('linkedin_easy_all');
+  assert.ok(accepts(rule, 'Senior Backend Engineer'));
+  assert.match(evaluateRule(rule, 'Senior Product Designer').reason, /^missing /);
+  assert.match(evaluateRule(rule, 'Senior iOS Engineer').reason, /^excluded by /);
+});
+
+test('missing rule and rule without includes accept everything not excluded', () => {
+  assert.equal(loadRule('no-such-company'), null);
+  assert.ok(accepts(null, 'Anything'));
+  const rule = compileRule({ exclude: ['intern'] });
+  assert.ok(accepts(rule, 'Engineer'));
+  assert.ok(!accepts(rule, 'Engineering Intern'));
+});
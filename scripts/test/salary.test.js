@@ -0,0 +1,91 @@
+/**
+ * Salary band tests: title → level mapping, per-level band lookup and the
+ * level-aware salary cut-off.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const salary = require('../lib/salary');
+
+const NOW = Date.now();
+const ctx = () => ({
+  curated: {
+    source: 'levels.fyi',
+    asOf: '2026-10-01',
+    companies: {
+      acme: { senior: { min: 40, median: 55, max: 70 }, staff: { min: 70, median: 90, max: 120 } },
+      tesco: { senior: { min: null, median: null, max: 85 } },
+    },
+  },
+  cache: {
+    'smallco/mid': { min: 12, median: 18, max: 25, ts: NOW },
+    'smallco/senior': { min: 22, median: 30, max: 41, ts: NOW },
+  },
+});
+
+test('titles map onto the common level ladder', () => {
+  const cases = {
+    'Senior Member of Technical Staff': 'senior',
+    'SMTS - Backend': 'senior',
+    'Lead Member of Technical Staff': 'staff',
+    'Member of Technical Staff': 'mid',
+    'Principal Software Engineer': 'principal',
+    'Senior Staff Software Engineer': 'staff',
+    'Sr. Software Engineer': 'senior',
+    'Senior Software Engineer (P4)': 'senior',
+    'Software Engineer III': 'senior',
+    'SDE II': 'mid',
+    'Software Engineer': 'mid',
+    'Lead Software Engineer': 'staff',
+  };
+  for (const [title, level] of Object.entries(cases)) assert.equal(salary.levelForTitle(title), level, title);
+});
+
+test('bands are picked per level, with source and age', () => {
+  const c = ctx();
+  assert.deepEqual(salary.bandFor('Acme', 'staff', c), {
+    level: 'staff', band: 'staff', min: 70, median: 90, max: 120, source: 'levels.fyi', asOf: '2026-10-01',
+  });
+  assert.equal(salary.bandFor('Acme', 'senior', c).max, 70);
+  const small = salary.bandFor('SmallCo', 'senior', c);
+  assert.equal(small.source, 'ambitionbox');
+  assert.equal(small.asOf, new Date(NOW).toISOString());
+
+  // Curated figures of unknown date have no age
+  const undated = { ...c, curated: { ...c.curated, asOf: undefined } };
+  assert.equal(salary.bandFor('Acme', 'senior', undated).asOf, null);
+});
+
+test('a level without data borrows the nearest lower band', () => {
+  const c = ctx();
+  const principal = salary.bandFor('Acme', 'principal', c);
+  assert.equal(principal.level, 'principal');
+  assert.equal(principal.band, 'staff');
+  assert.equal(salary.bandFor('Tesco', 'mid', c), null);
+});
+
+test('cut-off compares the matched level, not the company top band', async () => {
+  const jobs = [
+    { id: 1, title: 'Senior Software Engineer', department: 'SmallCo' },
+    { id: 2, title: 'Staff Software Engineer', department: 'Acme' },
+    { id: 3, title: 'Senior Backend Engineer', department: 'Acme' },
+    { id: 4, title: 'Senior Software Engineer', department: '—' },
+  ];
+  await salary.annotateSalaries(jobs, (j) => j.department, ctx());
+  assert.equal(jobs[0].salaryRange, '22–41 LPA');
+  assert.equal(jobs[1].salary.band, 'staff');
+  assert.equal(jobs[3].salary, undefined);
+
+  const passed = salary.filterBySalary(jobs, 50);
+  assert.deepEqual(passed.map((j) => j.id), [2, 3, 4]);
+  // Every band is compared on its max: SmallCo's median of 30 doesn't count
+  assert.deepEqual(salary.filterBySalary(jobs, 40).map((j) => j.id), [1, 2, 3, 4]);
+});
+
+test('AmbitionBox ranges and averages are read in LPA', () => {
+  const html = '<div>Salary range ₹21 Lakhs - ₹1.1 Cr</div><p>Average salary is ₹32.5 Lakhs</p>';
+  assert.deepEqual(salary.parseAmbitionBox(html), { min: 21, median: 32.5, max: 110 });
+  assert.equal(salary.parseAmbitionBox('<html></html>'), null);
+  assert.equal(salary.formatBand({ min: null, median: null, max: 85 }), '85 LPA');
+});
@@ -0,0 +1,97 @@
+/**
+ * Data schema tests: the validator, and migrations of unversioned jobs.json
+ * and salary-cache.json files.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const schema = require('../lib/schema');
+const { loadExistingJobs } = require('../fetch-jobs');
+const { SALARY_CACHE_MIGRATIONS } = require('../lib/salary');
+
+const FETCHED_AT = '2026-08-22T22:18:33.696Z';
+const job = (extra = {}) => ({
+  id: 'JR1', title: 'Senior Software Engineer', url: 'https://example.com/jr1', location: 'Bengaluru',
+  department: 'Engineering', type: 'Full time', postedDate: '2026-08-20',
+  firstSeenAt: FETCHED_AT, lastSeenAt: FETCHED_AT, closedAt: null, ...extra,
+});
+const health = { status: 'ok', error: null, httpStatus: null, pages: 1, rawCount: 1, matchedCount: 1, durationMs: 120, lastSuccessAt: FETCHED_AT };
+const output = (sections) => ({ schemaVersion: 1, fetchedAt: FETCHED_AT, companies: sections });
+
+test('jobs.json validates, with errors pointing at the bad field', () => {
+  assert.deepEqual(schema.validate('jobs', output({ acme: { name: 'Acme', health, jobs: [job()], closed: [] } })), []);
+
+  const errors = schema.validate('jobs', output({
+    acme: {
+      name: 'Acme',
+      health: { ...health, status: 'down' },
+      jobs: [job({ title: '' }), job({ firstSeenAt: 'yesterday' })],
+      closed: [job()],
+    },
+  }));
+  assert.deepEqual(errors, [
+    'companies.acme.health.status: "down" is not one of "ok", "partial", "error"',
+    'companies.acme.jobs[0].title: shorter than 1',
+    'companies.acme.jobs[1].firstSeenAt: not an ISO date-time',
+    'companies.acme.closed[0].closedAt: expected string, got null',
+  ]);
+  assert.deepEqual(schema.validate('jobs', { companies: [] }), [
+    '(root): missing "schemaVersion"',
+    '(root): missing "fetchedAt"',
+    'companies: expected object, got array',
+  ]);
+});
+
+test('assertValid throws with every problem attached', () => {
+  const bands = { 'acme/senior': { min: 20, median: null, max: '40', ts: 1 } };
+  assert.throws(
+    () => schema.assertValid('salary-cache', { schemaVersion: 1, bands }),
+    (err) => /salary-cache does not match/.test(err.message) && err.errors.length === 1
+  );
+});
+
+test('an unversioned jobs.json migrates to a valid current version', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  try {
+    const file = path.join(dir, 'jobs.json');
+    const { firstSeenAt, lastSeenAt, closedAt, ...legacyJob } = job();
+    fs.writeFileSync(file, JSON.stringify({
+      fetchedAt: FETCHED_AT,
+      companies: { acme: { name: 'Acme', targetRole: 'Senior', careersUrl: 'https://example.com', jobs: [legacyJob] } },
+    }));
+
+    const migrated = loadExistingJobs(file);
+    assert.equal(migrated.schemaVersion, schema.schemaVersion('jobs'));
+    assert.deepEqual(schema.validate('jobs', migrated), []);
+    assert.deepEqual(migrated.companies.acme.jobs[0], job());
+    assert.equal(migrated.companies.acme.health.lastSuccessAt, FETCHED_AT);
+    assert.deepEqual(migrated.companies.acme.closed, []);
+
+    fs.writeFileSync(file, JSON.stringify({ schemaVersion: 99, fetchedAt: FETCHED_AT, companies: {} }));
+    assert.throws(() => loadExistingJobs(file), /schema version 99, newer than this checkout's 1/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('unversioned salary caches migrate, including the per-company format', () => {
+  const migrated = schema.migrate('salary-cache', {
+    'acme': { minLPA: 30, maxLPA: 55, source: 'ambitionbox', ts: 1700000000000 },
+    'smallco/mid': { min: 12, median: 18, max: 25, ts: 1760000000000 },
+  }, SALARY_CACHE_MIGRATIONS);
+
+  assert.deepEqual(migrated, {
+    schemaVersion: 1,
+    bands: {
+      'acme/senior': { min: 30, median: null, max: 55, ts: 1700000000000 },
+      'smallco/mid': { min: 12, median: 18, max: 25, ts: 1760000000000 },
+    },
+  });
+  assert.deepEqual(schema.validate('salary-cache', migrated), []);
+  // Already current: left alone
+  assert.equal(schema.migrate('salary-cache', migrated, SALARY_CACHE_MIGRATIONS), migrated);
+});
@@ -0,0 +1,116 @@
+/**
+ * Insights roll-up tests: openings over time, weekly new vs closed, time to
+ * close and the city and salary breakdowns in data/stats.json.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schema = require('../lib/schema');
+const { buildStats } = require('../lib/stats');
+
+// Wednesday; its week starts Monday 2026-08-17
+const NOW = Date.parse('2026-08-19T12:00:00Z');
+const daysAgo = (n) => new Date(NOW - n * 86400000).toISOString();
+
+const job = (id, extra = {}) => ({
+  id, title: 'Senior Software Engineer', url: `https://example.com/${id}`, location: 'Bengaluru, India',
+  department: 'Engineering', type: 'Full time', postedDate: '2026-08-01',
+  firstSeenAt: daysAgo(1), lastSeenAt: daysAgo(0), closedAt: null, ...extra,
+});
+const closedJob = (id, seen, closed) => job(id, { firstSeenAt: daysAgo(seen), lastSeenAt: daysAgo(closed + 0.5), closedAt: daysAgo(closed) });
+
+const output = {
+  schemaVersion: 1,
+  fetchedAt: daysAgo(0),
+  companies: {
+    acme: {
+      name: 'Acme',
+      jobs: [
+        job('a1', { firstSeenAt: daysAgo(20), salary: { min: 40, median: 55, max: 70, band: '40–70 LPA', source: 'curated' } }),
+        job('a2', { location: 'Bangalore', salary: { min: 90, median: null, max: 120, band: '90–120 LPA', source: 'curated' } }),
+        job('a3', { location: 'Remote' }),
+      ],
+      closed: [],
+    },
+    globex: { name: 'Globex', jobs: [job('g1', { location: 'Gurgaon', firstSeenAt: daysAgo(9) })], closed: [] },
+  },
+};
+const history = {
+  companies: {
+    acme: [closedJob('a0', 30, 10), closedJob('a9', 15, 2)],
+    initech: [closedJob('i1', 5, 1)], // no longer in the registry
+  },
+};
+
+test('openings count each day the job was listed at the end of it', () => {
+  const stats = buildStats(output, history, NOW);
+  assert.equal(stats.days.length, 90);
+  assert.equal(stats.days.at(-1), '2026-08-19');
+
+  const acme = stats.companies.acme;
+  assert.equal(acme.open, 3);
+  // Today: a1–a3 open; a9 closed two days ago
+  assert.equal(acme.openings.at(-1), 3);
+  // Three days ago (end of 08-16): a0 closed, a1 and a9 open, a2/a3 not yet seen
+  assert.equal(acme.openings.at(-4), 2);
+  // 25 days ago: only a0
+  assert.equal(acme.openings.at(-26), 1);
+  assert.equal(stats.total.openings.at(-1), 4);
+  assert.ok(!('initech' in stats.companies));
+});
+
+test('weekly new and closed roles line up with Monday-start weeks', () => {
+  const stats = buildStats(output, history, NOW);
+  assert.equal(stats.weeks.length, 12);
+  assert.equal(stats.weeks.at(-1), '2026-08-17');
+
+  const acme = stats.companies.acme;
+  // This week: a2, a3 seen yesterday; a9 closed on Monday
+  assert.equal(acme.newPerWeek.at(-1), 2);
+  assert.equal(acme.closedPerWeek.at(-1), 1);
+  // Week of 08-03: a9 first seen on the 4th, a0 closed on Sunday the 9th
+  assert.equal(acme.newPerWeek.at(-3), 1);
+  assert.equal(acme.closedPerWeek.at(-3), 1);
+  assert.equal(acme.closedPerWeek.at(-2), 0);
+  assert.equal(acme.newPerWeek.reduce((a, b) => a + b), 5);
+});
+
+test('median time to close covers recent closures only', () => {
+  const stats = buildStats(output, history, NOW);
+  // a0: 20 days, a9: 13 days
+  assert.equal(stats.companies.acme.medianDaysToClose, 16.5);
+  assert.equal(stats.companies.acme.closedSample, 2);
+  assert.equal(stats.companies.globex.medianDaysToClose, null);
+
+  const old = { companies: { acme: [closedJob('a0', 200, 120)] } };
+  assert.equal(buildStats(output, old, NOW).companies.acme.medianDaysToClose, null);
+});
+
+test('open roles break down by normalised city and salary band', () => {
+  const stats = buildStats(output, history, NOW);
+  assert.deepEqual(stats.companies.acme.cities, [
+    { label: 'Bengaluru', count: 2 },
+    { label: 'Unspecified', count: 1 },
+  ]);
+  assert.deepEqual(stats.total.cities.map((c) => c.label), ['Bengaluru', 'Gurugram', 'Unspecified']);
+  assert.deepEqual(stats.companies.acme.salaryBands, [
+    { label: '100+ LPA', count: 1 },
+    { label: '50–75 LPA', count: 1 },
+    { label: 'No data', count: 1 },
+  ]);
+
+  const many = { ...output, companies: { acme: { name: 'Acme', jobs: 'abcdefghij'.split('').map((c) => job(c, { location: `City ${c}` })) } } };
+  const cities = buildStats(many, { companies: {} }, NOW).total.cities;
+  assert.equal(cities.length, 9);
+  assert.deepEqual(cities.at(-1), { label: 'Other', count: 2 });
+});
+
+test('stats.json validates against its schema', () => {
+  const stats = buildStats(output, history, NOW);
+  assert.equal(stats.schemaVersion, schema.schemaVersion('stats'));
+  assert.deepEqual(schema.validate('stats', stats), []);
+  assert.deepEqual(schema.validate('stats', { ...stats, companies: { acme: { ...stats.companies.acme, name: '' } } }), [
+    'companies.acme.name: shorter than 1',
+  ]);
+});
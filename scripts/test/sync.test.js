@@ -0,0 +1,124 @@
+/**
+ * Sync server tests: tokens, last-writer-wins per entry, user and team
+ * scopes, skipped invalid changes and the POST /sync round trip.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const sync = require('../lib/sync');
+
+const NOW = Date.parse('2026-10-18T06:00:00Z');
+const at = (minutes) => new Date(NOW + minutes * 60000).toISOString();
+const ana = { name: 'ana', team: 'blr' };
+const raj = { name: 'raj', team: 'blr' };
+const solo = { name: 'solo', team: null };
+const change = (fields) => ({ scope: 'user', collection: 'job_radar_starred', id: 'booking:1', value: true, updatedAt: at(0), ...fields });
+
+test('the newest updatedAt wins per entry, and future clocks are clamped', () => {
+  const state = { rev: 0, users: {}, teams: {} };
+  assert.equal(sync.applyChanges(state, ana, [change({ updatedAt: at(-5) })], NOW).applied, 1);
+  assert.equal(sync.applyChanges(state, ana, [change({ updatedAt: at(-10), deleted: true })], NOW).applied, 0);
+  assert.equal(sync.applyChanges(state, ana, [change({ updatedAt: at(-1), deleted: true })], NOW).applied, 1);
+  assert.deepEqual(state.users.ana.job_radar_starred['booking:1'], {
+    value: null, deleted: true, updatedAt: at(-1), by: 'ana', rev: 2,
+  });
+
+  sync.applyChanges(state, ana, [change({ id: 'booking:2', updatedAt: at(24 * 60) })], NOW);
+  assert.equal(state.users.ana.job_radar_starred['booking:2'].updatedAt, new Date(NOW + sync.MAX_CLOCK_SKEW_MS).toISOString());
+});
+
+test('user entries stay private and team entries are shared with the team', () => {
+  const state = { rev: 0, users: {}, teams: {} };
+  sync.applyChanges(state, ana, [
+    change({ collection: 'applications', id: 'booking:1', value: { status: 'applied', notes: 'Asked Priya' } }),
+    change({ scope: 'team', collection: 'referred', id: 'booking:1', value: { title: 'Senior Engineer' } }),
+  ], NOW);
+
+  assert.deepEqual(sync.changesSince(state, raj).map((c) => [c.scope, c.collection, c.by]), [['team', 'referred', 'ana']]);
+  assert.deepEqual(sync.changesSince(state, ana).map((c) => c.rev), [1, 2]);
+  assert.deepEqual(sync.changesSince(state, ana, 1).map((c) => c.collection), ['referred']);
+});
+
+test('invalid changes are skipped and reported, and the rest of the batch is stored', () => {
+  const state = { rev: 0, users: {}, teams: {} };
+  // A user without a team can still sync their own entries
+  const mixed = sync.applyChanges(state, solo, [
+    change({ id: 'booking:1' }),
+    change({ scope: 'team', collection: 'referred', id: 'booking:2' }),
+  ], NOW);
+  assert.equal(mixed.applied, 1);
+  assert.deepEqual(mixed.rejected, [
+    { scope: 'team', collection: 'referred', id: 'booking:2', status: 403, error: 'solo is not on a team' },
+  ]);
+  assert.deepEqual(Object.keys(state.users.solo.job_radar_starred), ['booking:1']);
+  assert.deepEqual(state.teams, {});
+
+  const bad = sync.applyChanges(state, ana, [change({ id: 'x:1' }), change({ updatedAt: 'yesterday' }), null], NOW);
+  assert.equal(bad.applied, 1);
+  assert.deepEqual(bad.rejected.map((r) => [r.id, r.status]), [['booking:1', 400], [null, 400]]);
+
+  // Batches over the limit are refused whole: clients send smaller ones
+  const tooMany = Array.from({ length: sync.MAX_CHANGES + 1 }, (_, i) => change({ id: `booking:${i}` }));
+  assert.throws(() => sync.applyChanges(state, ana, tooMany, NOW), { statusCode: 413 });
+  assert.equal(state.rev, 2);
+});
+
+test('readBody parses JSON up to its limit and answers 413 past it', async () => {
+  const body = (text) => Readable.from([Buffer.from(text)]);
+  assert.deepEqual(await sync.readBody(body('{"endpoint":"https://push.example"}'), 64), { endpoint: 'https://push.example' });
+  assert.deepEqual(await sync.readBody(body('')), {});
+  await assert.rejects(sync.readBody(body('x'.repeat(65)), 64), { statusCode: 413 });
+  await assert.rejects(sync.readBody(body('not json')), { statusCode: 400 });
+});
+
+test('serves POST /sync to token holders and keeps the state on disk', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-'));
+  const tokens = { ana: sync.addUser(dir, 'ana', 'blr'), raj: sync.addUser(dir, 'raj', 'blr') };
+  assert.deepEqual(sync.listUsers(dir), [ana, raj]);
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'users.json'), 'utf8'), new RegExp(tokens.ana));
+
+  const servers = [];
+  t.after(() => {
+    servers.forEach((s) => s.close());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const start = async () => {
+    const server = sync.createSyncServer({ dir, now: () => NOW });
+    servers.push(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return (token, body) => fetch(`http://127.0.0.1:${server.address().port}/sync`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: JSON.stringify(body),
+    });
+  };
+  const post = await start();
+
+  assert.equal((await post(null, {})).status, 401);
+  assert.equal((await post('not-a-token', {})).status, 401);
+  const refused = await (await post(tokens.ana, { changes: [{ scope: 'everyone' }] })).json();
+  assert.deepEqual(refused.rejected, [{ scope: 'everyone', collection: null, id: null, status: 400, error: 'Unknown scope "everyone"' }]);
+  assert.equal((await post(tokens.ana, { changes: 'all' })).status, 400);
+  assert.equal((await post(tokens.ana, { changes: [change({ value: 'x'.repeat(sync.MAX_BODY_BYTES) })] })).status, 413);
+
+  const first = await (await post(tokens.ana, {
+    since: 0,
+    changes: [change({}), change({ scope: 'team', collection: 'referred', value: { by: 'ana' } })],
+  })).json();
+  assert.equal(first.rev, 2);
+  assert.equal(first.team, 'blr');
+
+  const pulled = await (await post(tokens.raj, { since: 0 })).json();
+  assert.deepEqual(pulled.changes.map((c) => `${c.scope}/${c.collection}/${c.id}`), ['team/referred/booking:1']);
+
+  // A restarted server picks up where the last one stopped
+  const restarted = await start();
+  const again = await (await restarted(tokens.ana, { since: 1 })).json();
+  assert.equal(again.rev, 2);
+  assert.deepEqual(again.changes.map((c) => c.collection), ['referred']);
+});
@@ -0,0 +1,81 @@
+/**
+ * Web Push encryption, VAPID signing and notification payload tests.
+ * Run with: node --test scripts/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { generateVapidKeys, vapidAuthorization, encrypt } = require('../lib/web-push');
+const { buildNotifications } = require('../lib/notify');
+
+// Decrypts an aes128gcm body the way the browser's push service client does
+function decrypt(body, uaKeys, auth) {
+  const salt = body.subarray(0, 16);
+  const idLength = body[20];
+  const asPublic = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaKeys.getPublicKey(), asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', uaKeys.computeSecret(asPublic), auth, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  assert.equal(padded[padded.length - 1], 2, 'last-record delimiter');
+  return padded.subarray(0, -1).toString('utf8');
+}
+
+test('payload round-trips through aes128gcm encryption', () => {
+  const ua = crypto.createECDH('prime256v1');
+  ua.generateKeys();
+  const auth = crypto.randomBytes(16);
+  const body = encrypt('{"title":"DocuSign: 2 new roles"}', {
+    p256dh: ua.getPublicKey().toString('base64url'),
+    auth: auth.toString('base64url'),
+  });
+  assert.equal(body.readUInt32BE(16), 4096);
+  assert.equal(decrypt(body, ua, auth), '{"title":"DocuSign: 2 new roles"}');
+});
+
+test('VAPID token is an ES256 JWT for the push service origin', () => {
+  const keys = generateVapidKeys();
+  const now = Date.UTC(2026, 9, 18);
+  const header = vapidAuthorization('https://fcm.googleapis.com/fcm/send/abc', { ...keys, subject: 'mailto:me@example.com' }, now);
+  const [, jwt, k] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+  assert.equal(k, keys.publicKey);
+
+  const [h, claims, sig] = jwt.split('.');
+  assert.deepEqual(JSON.parse(Buffer.from(claims, 'base64url')), {
+    aud: 'https://fcm.googleapis.com',
+    exp: now / 1000 + 12 * 3600,
+    sub: 'mailto:me@example.com',
+  });
+  const pub = Buffer.from(keys.publicKey, 'base64url');
+  const key = crypto.createPublicKey({
+    format: 'jwk',
+    key: { kty: 'EC', crv: 'P-256', x: pub.subarray(1, 33).toString('base64url'), y: pub.subarray(33).toString('base64url') },
+  });
+  assert.ok(crypto.verify('sha256', Buffer.from(`${h}.${claims}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(sig, 'base64url')));
+});
+
+test('one notification per company with new roles', () => {
+  const jobs = (n) => Array.from({ length: n }, (_, i) => ({ id: i + 1, title: `Senior Software Engineer ${i + 1}` }));
+  const payloads = buildNotifications([
+    { key: 'docusign', name: 'DocuSign', jobs: jobs(5) },
+    { key: 'indeed', name: 'Indeed', jobs: [] },
+    { key: 'tesco', name: 'Tesco', jobs: jobs(1) },
+  ]);
+
+  assert.equal(payloads.length, 2);
+  assert.deepEqual(payloads[0], {
+    title: 'DocuSign: 5 new roles',
+    body: 'Senior Software Engineer 1\nSenior Software Engineer 2\nSenior Software Engineer 3\n+2 more',
+    tag: 'new-docusign',
+    section: 'docusign',
+    jobIds: ['1', '2', '3', '4', '5'],
+  });
+  assert.equal(payloads[1].title, 'Tesco: 1 new role');
+});
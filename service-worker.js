@@ -1,6 +1,18 @@
-const CACHE_VERSION = 'v5';
+// Bump CACHE_VERSION to ship app shell changes. Cached data responses are
+// keyed by the jobs.json schema version instead (config/schemas/
+// jobs.schema.json, JOBS_SCHEMA_VERSION in app.js), so a schema change
+// drops them without a shell bump.
+const CACHE_VERSION = 'v24';
+const DATA_SCHEMA_VERSION = 1;
 const SHELL_CACHE = `shell-${CACHE_VERSION}`;
-const DATA_CACHE = `data-${CACHE_VERSION}`;
+const DATA_CACHE = `data-schema${DATA_SCHEMA_VERSION}`;
+// Background refresh (see below); both outlive shell and schema bumps
+const STATE_CACHE = 'job-radar-state';
+const STATE_URL = 'background-state.json';
+const PREWARM_CACHE = 'prewarm';
+const PREWARM_MAX_AGE_MS = 3 * 3600 * 1000;
+const BACKGROUND_TAG = 'refresh-jobs';
+const MAX_LIVE_PAGES = 20;
 
 const SHELL_ASSETS = [
   './',
@@ -8,10 +20,18 @@ const SHELL_ASSETS = [
   'styles.css',
   'app.js',
   'manifest.json',
+  'config/companies.json',
+  'config/regions.json',
+  'config/push.json',
+  'config/sync.json',
   'icons/icon.svg',
 ];
 
 const API_HOSTS = ['careers.deliveroo.co.uk'];
+const NETWORK_FIRST_PATHS = [
+  'data/jobs.json', 'data/stats.json', 'data/descriptions/', 'data/regions/',
+  'config/companies.json', 'config/regions.json', 'config/push.json', 'config/sync.json',
+];
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
@@ -25,7 +45,7 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((keys) =>
       Promise.all(
         keys
-          .filter((k) => k !== SHELL_CACHE && k !== DATA_CACHE)
+          .filter((k) => ![SHELL_CACHE, DATA_CACHE, STATE_CACHE, PREWARM_CACHE].includes(k))
           .map((k) => caches.delete(k))
       )
     )
@@ -35,16 +55,122 @@ self.addEventListener('activate', (event) => {
 
 self.addEventListener('fetch', (event) => {
   const { request } = event;
+  // Sync and push subscription requests go straight to the network
+  if (request.method !== 'GET') return;
   const url = new URL(request.url);
 
-  // data/jobs.json and Deliveroo API: network-first
-  if (url.pathname.includes('data/jobs.json') || API_HOSTS.includes(url.hostname)) {
-    event.respondWith(networkFirst(request));
+  // jobs.json and stats.json (any region), the registries and Deliveroo API:
+  // network-first, unless a background refresh already fetched it
+  if (NETWORK_FIRST_PATHS.some((p) => url.pathname.includes(p)) || API_HOSTS.includes(url.hostname)) {
+    event.respondWith(prewarmed(url).then((response) => response || networkFirst(request)));
   } else {
     event.respondWith(cacheFirst(request));
   }
 });
 
+// ─── Push notifications ───
+// Payloads come from scripts/lib/notify.js: one per company with new roles.
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Job Radar', {
+      body: data.body || '',
+      tag: data.tag,
+      icon: 'icons/icon-192.png',
+      badge: 'icons/icon-192.png',
+      data: { section: data.section || null, jobIds: data.jobIds || [] },
+    })
+  );
+});
+
+// Focuses an open app window (which scrolls and highlights on message) or
+// opens one with the section and job IDs in the URL.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { section, jobIds } = event.notification.data || {};
+  const url = new URL('./', self.registration.scope);
+  if (section) {
+    url.searchParams.set('section', section);
+    if (jobIds && jobIds.length) url.searchParams.set('highlight', jobIds.join(','));
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const client = windows.find((w) => w.url.startsWith(self.registration.scope));
+      if (!client) return self.clients.openWindow(url.href);
+      client.postMessage({ type: 'highlight', section, jobIds: jobIds || [] });
+      return client.focus();
+    })
+  );
+});
+
+// ─── Background refresh ───
+// Periodic Background Sync (Chromium, installed app) fires every few hours
+// at most. The app leaves the jobs.json URL, the live roles URLs and its
+// seen IDs in STATE_CACHE after each refresh; this fetches them, badges the
+// icon with the roles not seen yet, and keeps the responses in PREWARM_CACHE
+// so the app's next refresh gets them without waiting on the network.
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === BACKGROUND_TAG) event.waitUntil(backgroundRefresh());
+});
+
+async function backgroundRefresh() {
+  const stored = await (await caches.open(STATE_CACHE)).match(STATE_URL);
+  if (!stored) return;
+  const state = await stored.json();
+  const prewarm = await caches.open(PREWARM_CACHE);
+  const ids = new Set();
+
+  // Fetches one URL into PREWARM_CACHE, stamped with when, and returns it
+  const warm = async (href) => {
+    const response = await fetch(href, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${href}`);
+    const headers = new Headers(response.headers);
+    headers.set('X-Prewarmed-At', String(Date.now()));
+    const copy = new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+    await prewarm.put(href, copy.clone());
+    return copy;
+  };
+
+  const results = await Promise.allSettled([
+    warm(state.jobsUrl).then(async (response) => {
+      const data = await response.json();
+      Object.values(data.companies || {}).forEach((section) => {
+        (section.jobs || []).forEach((job) => ids.add(String(job.id)));
+      });
+    }),
+    ...(state.live || []).map(async (url) => {
+      const first = await warm(`${url}&page=1`);
+      const totalPages = Math.min(parseInt(first.headers.get('X-WP-TotalPages'), 10) || 1, MAX_LIVE_PAGES);
+      const pages = [first, ...await Promise.all(
+        Array.from({ length: totalPages - 1 }, (_, i) => warm(`${url}&page=${i + 2}`))
+      )];
+      for (const page of pages) (await page.json()).forEach((role) => ids.add(String(role.id)));
+    }),
+  ]);
+  results.filter((r) => r.status === 'rejected').forEach((r) => console.warn('[Background refresh]', r.reason));
+  // Nothing fetched: keep whatever badge is showing
+  if (results.every((r) => r.status === 'rejected')) return;
+
+  const seen = new Set(state.seenIds || []);
+  const unseen = [...ids].filter((id) => !seen.has(id)).length;
+  if (!('setAppBadge' in self.navigator)) return;
+  await (unseen ? self.navigator.setAppBadge(unseen) : self.navigator.clearAppBadge());
+}
+
+// A background response for this URL (ignoring the app's ?t= cache buster),
+// served once and only while fresh
+async function prewarmed(url) {
+  const key = new URL(url);
+  key.searchParams.delete('t');
+  const cache = await caches.open(PREWARM_CACHE);
+  const response = await cache.match(key.href);
+  if (!response) return null;
+  await cache.delete(key.href);
+  const age = Date.now() - Number(response.headers.get('X-Prewarmed-At'));
+  return age < PREWARM_MAX_AGE_MS ? response : null;
+}
+
 async function cacheFirst(request) {
   const cached = await caches.match(request);
   if (cached) return cached;